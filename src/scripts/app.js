@@ -49,7 +49,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         window.addEventListener('hashchange', () => {
           console.log('🧭 Page navigation detected, checking camera...');
           
-          if (window.cameraHelper && window.cameraHelper.stream) {
+          if (window.cameraHelper && window.cameraHelper.isActive()) {
             console.log('📹 Stopping active camera stream');
             window.cameraHelper.stopCamera();
           }
@@ -117,7 +117,9 @@ function waitForDependencies() {
         'RegisterView',
         'MapView',
         'FavoritesView',
-        'SettingsView'
+        'SettingsView',
+        'StoryDetailView',
+        'OutboxView'
       ];
       
       const missingClasses = requiredClasses.filter(className => !window[className]);
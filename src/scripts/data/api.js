@@ -1,3 +1,12 @@
+// Story uploads get a time limit that grows with the payload, so a 1 MB
+// photo on a slow mobile link is not cut off like a normal API request
+const UPLOAD_BASE_TIMEOUT = 15000;
+const UPLOAD_MIN_BYTES_PER_SECOND = 20000;
+const UPLOAD_MAX_TIMEOUT = 300000;
+
+// The offline feed cache keeps at most this many feed pages of stories
+const STORY_CACHE_MAX_PAGES = 10;
+
 class ApiService {
   constructor() {
     this.baseUrl = 'https://story-api.dicoding.dev/v1';
@@ -55,6 +64,9 @@ class ApiService {
         
         const response = await this.fetchWithTimeout(url, options);
         
+        // Central response check (401 = session expired)
+        this._interceptResponse(response, options);
+        
         // If we get here, the request succeeded
         return response;
       } catch (error) {
@@ -62,7 +74,8 @@ class ApiService {
         console.warn(`API request attempt ${attempt + 1} failed:`, error.message);
         
         // Don't retry on certain errors
-        if (error.message.includes('No internet connection') || 
+        if (error.sessionExpired ||
+            error.message.includes('No internet connection') || 
             error.message.includes('401') || 
             error.message.includes('403')) {
           break;
@@ -80,6 +93,147 @@ class ApiService {
     throw lastError;
   }
 
+  // Upload lewat XHR karena fetch belum bisa melaporkan progres pengiriman.
+  // Resolve dengan Response biasa; reject dengan Error ber-flag
+  // uploadCancelled (dibatalkan lewat signal) atau networkInterrupted
+  // (koneksi putus, perangkat offline, atau timeout).
+  uploadWithProgress(url, { method = 'POST', headers = {}, body = null, onProgress = null, signal = null, timeout = UPLOAD_BASE_TIMEOUT } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(this._createUploadError('Upload cancelled', { uploadCancelled: true }));
+        return;
+      }
+      if (!navigator.onLine) {
+        reject(this._createUploadError('No internet connection', { networkInterrupted: true }));
+        return;
+      }
+
+      const xhr = new XMLHttpRequest();
+      let cancelled = false;
+
+      const onCancel = () => {
+        cancelled = true;
+        xhr.abort();
+      };
+      // Browser tidak selalu menggagalkan XHR saat jaringan hilang
+      const onOffline = () => xhr.abort();
+      const cleanup = () => {
+        if (signal) signal.removeEventListener('abort', onCancel);
+        window.removeEventListener('offline', onOffline);
+      };
+      const fail = (message, flags) => {
+        cleanup();
+        reject(this._createUploadError(message, flags));
+      };
+
+      xhr.open(method, url);
+      xhr.timeout = timeout;
+      Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+      if (onProgress) {
+        xhr.upload.onprogress = (event) => {
+          onProgress({ loaded: event.loaded, total: event.lengthComputable ? event.total : null });
+        };
+      }
+
+      xhr.onload = () => {
+        cleanup();
+        resolve(new Response(xhr.status === 204 ? null : xhr.responseText, {
+          status: xhr.status,
+          headers: { 'Content-Type': xhr.getResponseHeader('Content-Type') || 'application/json' }
+        }));
+      };
+      xhr.onerror = () => fail('Network error during upload', { networkInterrupted: true });
+      xhr.ontimeout = () => fail('Request timeout', { networkInterrupted: true, timedOut: true });
+      xhr.onabort = () => {
+        if (cancelled) {
+          fail('Upload cancelled', { uploadCancelled: true });
+        } else {
+          fail('No internet connection', { networkInterrupted: true });
+        }
+      };
+
+      if (signal) signal.addEventListener('abort', onCancel);
+      window.addEventListener('offline', onOffline);
+      xhr.send(body);
+    });
+  }
+
+  // Batas waktu upload sesuai ukuran body dalam byte
+  _uploadTimeout(bytes) {
+    return Math.min(UPLOAD_BASE_TIMEOUT + Math.round(bytes / UPLOAD_MIN_BYTES_PER_SECOND) * 1000, UPLOAD_MAX_TIMEOUT);
+  }
+
+  _createUploadError(message, flags) {
+    return Object.assign(new Error(message), flags);
+  }
+
+  // Upload cerita dengan progres. Koneksi yang putus sesaat dicoba sekali
+  // lagi dari awal selama perangkat masih online; timeout tidak diulang
+  // karena jaringan yang lambat hanya akan habis waktu lagi.
+  async _uploadStory(url, options, maxRetries = 1) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.uploadWithProgress(url, options);
+        this._interceptResponse(response, options);
+        return response;
+      } catch (error) {
+        if (!error.networkInterrupted || error.timedOut || !navigator.onLine || attempt >= maxRetries) {
+          throw error;
+        }
+        console.warn(`Story upload attempt ${attempt + 1} failed, retrying:`, error.message);
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      }
+    }
+  }
+
+  // Dipanggil untuk setiap response. 401 pada request yang membawa token
+  // berarti sesi sudah tidak berlaku; request login sendiri tidak membawa
+  // token sehingga password salah tidak ikut memutus sesi.
+  _interceptResponse(response, options = {}) {
+    if (response.status !== 401) return;
+
+    const headers = options.headers || {};
+    const authorization = headers.Authorization || headers.authorization;
+    if (!authorization) return;
+
+    // Abaikan 401 dari token lama (misalnya milik cerita di antrean)
+    const currentToken = localStorage.getItem('token');
+    if (currentToken && authorization === `Bearer ${currentToken}`) {
+      this.handleSessionExpired();
+    }
+
+    const error = new Error('Sesi Anda telah berakhir. Silakan masuk kembali.');
+    error.sessionExpired = true;
+    throw error;
+  }
+
+  // Hapus sesi, beri tahu komponen lain lewat authChanged, lalu arahkan ke
+  // halaman login dengan tetap mengingat halaman yang sedang dibuka
+  handleSessionExpired() {
+    if (!localStorage.getItem('token')) return;
+
+    console.warn('Session expired, logging out');
+    this.logout();
+    sessionStorage.setItem('session_expired', 'true');
+
+    window.dispatchEvent(new CustomEvent('authChanged', {
+      detail: { reason: 'sessionExpired' }
+    }));
+
+    if (window.router) {
+      window.router.redirectToLogin();
+    }
+  }
+
+  // True sekali setelah sesi berakhir, supaya halaman login bisa
+  // menjelaskan kenapa pengguna harus masuk lagi
+  consumeSessionExpiredNotice() {
+    const expired = sessionStorage.getItem('session_expired') === 'true';
+    sessionStorage.removeItem('session_expired');
+    return expired;
+  }
+
   async register(name, email, password) {
     try {
       console.log('Registering user:', name, email);
@@ -133,6 +287,7 @@ class ApiService {
       if (responseJson.error) throw new Error(responseJson.message);
 
       // Simpan token dengan benar
+      sessionStorage.removeItem('session_expired');
       localStorage.setItem('token', responseJson.loginResult.token);
       localStorage.setItem('user', JSON.stringify(responseJson.loginResult));
       
@@ -150,7 +305,18 @@ class ApiService {
     }
   }
 
-  async getAllStories() {
+  // Ambil daftar cerita. Tanpa page/size perilakunya sama seperti sebelumnya
+  // (satu request penuh); dengan page/size hasilnya satu halaman feed.
+  async getAllStories(options = {}) {
+    const { stories } = await this.getStoriesWithMeta(options);
+    return stories;
+  }
+
+  // Sama seperti getAllStories, tetapi juga melaporkan asal dan umur data:
+  // { stories, fromCache, isOffline, fetchedAt, etag, serverDate }
+  async getStoriesWithMeta({ page = null, size = null, location = 1 } = {}) {
+    const isPaged = page !== null && size !== null;
+
     try {
       const token = localStorage.getItem('token');
       console.log('Getting stories with token:', token ? 'Token exists' : 'No token');
@@ -160,16 +326,23 @@ class ApiService {
       // FIXED: Check if offline and return cached data
       if (!this.isOnline) {
         console.log('Offline - trying to get cached stories');
-        const cachedStories = await this.getCachedStories();
-        if (cachedStories && cachedStories.length > 0) {
-          console.log('Returning cached stories:', cachedStories.length);
-          return cachedStories;
+        const cachedResult = await this._getCachedResult(isPaged, page, size);
+        if (cachedResult) {
+          console.log('Returning cached stories:', cachedResult.stories.length);
+          return cachedResult;
         } else {
           throw new Error('Tidak ada koneksi internet dan tidak ada data tersimpan');
         }
       }
 
-      const response = await this.fetchWithRetry(`${this.baseUrl}/stories?location=1`, {
+      const params = new URLSearchParams();
+      if (isPaged) {
+        params.set('page', page);
+        params.set('size', size);
+      }
+      params.set('location', location);
+
+      const response = await this.fetchWithRetry(`${this.baseUrl}/stories?${params.toString()}`, {
         headers: { Authorization: `Bearer ${token}` },
       });
 
@@ -178,48 +351,151 @@ class ApiService {
       
       if (responseJson.error) throw new Error(responseJson.message);
 
-      // FIXED: Cache stories for offline use
-      await this.cacheStories(responseJson.listStory);
+      const meta = {
+        fetchedAt: Date.now(),
+        // Only readable when the API exposes them through CORS
+        etag: response.headers.get('ETag'),
+        serverDate: response.headers.get('Date')
+      };
+
+      await this.cacheStories(responseJson.listStory, isPaged ? { page, size, meta } : { meta });
 
-      return responseJson.listStory;
+      return {
+        stories: responseJson.listStory,
+        fromCache: false,
+        isOffline: false,
+        ...meta
+      };
     } catch (error) {
       console.error('Error fetching stories:', error);
       
-      // Handle specific errors
+      // Handle specific errors. An expired session already redirected to login.
+      if (error.sessionExpired) {
+        return this._emptyResult();
+      }
+      
       if (error.message.includes('Token tidak ditemukan')) {
         if (window.router) {
           window.router.navigateTo('/masuk');
         }
-        return [];
+        return this._emptyResult();
       }
       
       // If online request fails, try cached data
       if (this.isOnline) {
         console.log('Online request failed, trying cached stories');
-        const cachedStories = await this.getCachedStories();
-        if (cachedStories && cachedStories.length > 0) {
+        const cachedResult = await this._getCachedResult(isPaged, page, size);
+        if (cachedResult) {
           console.log('Returning cached stories as fallback');
-          return cachedStories;
+          return cachedResult;
         }
       }
       
       // Return empty array to prevent app crashes
-      return [];
+      return this._emptyResult();
     }
   }
 
-  // FIXED: Enhanced addNewStory with offline queue
-  async addNewStory(description, photoBlob, lat, lon) {
+  async _getCachedResult(isPaged, page, size) {
+    const feed = await this.getCachedFeed();
+    if (!feed || feed.stories.length === 0) return null;
+
+    return {
+      stories: isPaged ? this._paginate(feed.stories, page, size) : feed.stories,
+      fromCache: true,
+      isOffline: !this.isOnline,
+      fetchedAt: feed.fetchedAt,
+      etag: feed.etag,
+      serverDate: feed.serverDate
+    };
+  }
+
+  _emptyResult() {
+    return {
+      stories: [],
+      fromCache: false,
+      isOffline: !this.isOnline,
+      fetchedAt: null,
+      etag: null,
+      serverDate: null
+    };
+  }
+
+  // Ambil satu cerita. Saat offline atau gagal, cari di cache daftar cerita
+  // lalu di favorit. Properti `source` menandai asal datanya.
+  async getStoryDetail(id) {
     try {
       const token = localStorage.getItem('token');
-      console.log('Adding new story with token:', token ? 'Token exists' : 'No token');
-      
       if (!token) throw new Error('Token tidak ditemukan. Silakan login terlebih dahulu.');
 
+      if (!this.isOnline) {
+        throw new Error('No internet connection');
+      }
+
+      const response = await this.fetchWithRetry(`${this.baseUrl}/stories/${encodeURIComponent(id)}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+
+      const responseJson = await response.json();
+      console.log('Story detail response:', responseJson);
+
+      if (responseJson.error) throw new Error(responseJson.message);
+
+      return { ...responseJson.story, source: 'network' };
+    } catch (error) {
+      if (error.sessionExpired) throw error;
+
+      console.warn('Error fetching story detail, trying offline data:', error);
+
+      const offlineStory = await this._findOfflineStory(id);
+      if (offlineStory) {
+        return offlineStory;
+      }
+
+      if (error.message.includes('No internet connection') ||
+          error.message.includes('timeout')) {
+        throw new Error('Tidak ada koneksi internet dan cerita ini belum tersimpan offline');
+      }
+
+      throw new Error(`Gagal memuat cerita: ${error.message}`);
+    }
+  }
+
+  async _findOfflineStory(id) {
+    const cachedStories = await this.getCachedStories();
+    const cachedStory = cachedStories.find(story => story.id === id);
+    if (cachedStory) {
+      return { ...cachedStory, source: 'cache' };
+    }
+
+    if (window.indexedDBHelper) {
+      try {
+        const favorite = await window.indexedDBHelper.getFavorite(id);
+        if (favorite) {
+          return { ...favorite, source: 'favorites' };
+        }
+      } catch (error) {
+        console.warn('Failed to read favorite story:', error);
+      }
+    }
+
+    return null;
+  }
+
+  // FIXED: Enhanced addNewStory with offline queue.
+  // asGuest mengirim lewat /stories/guest tanpa token. onProgress menerima
+  // { loaded, total } selama foto terkirim; signal membatalkan upload.
+  async addNewStory(description, photoBlob, lat, lon, { asGuest = false, onProgress = null, signal = null } = {}) {
+    try {
+      const token = asGuest ? null : localStorage.getItem('token');
+      console.log('Adding new story with token:', token ? 'Token exists' : (asGuest ? 'Guest' : 'No token'));
+      
+      if (!token && !asGuest) throw new Error('Token tidak ditemukan. Silakan login terlebih dahulu.');
+
       // Create form data
       const formData = new FormData();
       formData.append('description', description);
-      formData.append('photo', photoBlob, 'photo.jpg');
+      formData.append('photo', photoBlob, this._photoFileName(photoBlob));
       
       // Only add lat/lon if they exist
       if (lat !== null && lon !== null) {
@@ -230,7 +506,7 @@ class ApiService {
       // FIXED: Handle offline case
       if (!this.isOnline) {
         console.log('Offline - queueing story for later upload');
-        await this.queueOfflineStory({ description, photoBlob, lat, lon, token });
+        await this.queueOfflineStory({ description, photoBlob, lat, lon, token, isGuest: asGuest });
         
         // Return a mock success response
         return {
@@ -240,12 +516,12 @@ class ApiService {
       }
 
       console.log('Sending request to add story');
-      const response = await this.fetchWithRetry(`${this.baseUrl}/stories`, {
-        method: 'POST',
-        headers: { 
-          'Authorization': `Bearer ${token}`
-        },
+      const response = await this._uploadStory(this._storyUploadUrl(asGuest), {
+        headers: this._storyUploadHeaders(token),
         body: formData,
+        onProgress,
+        signal,
+        timeout: this._uploadTimeout(photoBlob.size)
       });
 
       const responseJson = await response.json();
@@ -257,12 +533,16 @@ class ApiService {
     } catch (error) {
       console.error('Error adding story:', error);
       
-      // Handle offline case
-      if (error.message.includes('No internet connection') || 
+      if (error.sessionExpired || error.uploadCancelled) throw error;
+      
+      // Handle offline case: an upload cut off by the network is queued
+      // instead of failing, so nothing the user wrote is lost
+      if (error.networkInterrupted ||
+          error.message.includes('No internet connection') || 
           error.message.includes('timeout')) {
         console.log('Network error - queueing story for later upload');
-        const token = localStorage.getItem('token');
-        await this.queueOfflineStory({ description, photoBlob, lat, lon, token });
+        const token = asGuest ? null : localStorage.getItem('token');
+        await this.queueOfflineStory({ description, photoBlob, lat, lon, token, isGuest: asGuest });
         
         return {
           error: false,
@@ -274,18 +554,63 @@ class ApiService {
     }
   }
 
-  // FIXED: Cache stories in IndexedDB or localStorage
-  async cacheStories(stories) {
+  // Cerita tamu dikirim ke endpoint terpisah dan tanpa header Authorization
+  _storyUploadUrl(asGuest) {
+    return asGuest ? `${this.baseUrl}/stories/guest` : `${this.baseUrl}/stories`;
+  }
+
+  _storyUploadHeaders(token) {
+    return token ? { 'Authorization': `Bearer ${token}` } : {};
+  }
+
+  // Nama file mengikuti format foto (WebP, JPEG, ...) hasil ImagePipeline
+  _photoFileName(photoBlob) {
+    const extension = { 'image/webp': 'webp', 'image/png': 'png', 'image/avif': 'avif' }[photoBlob.type] || 'jpg';
+    return `photo.${extension}`;
+  }
+
+  // Potong daftar cerita tersimpan sesuai halaman yang diminta
+  _paginate(stories, page, size) {
+    const start = (page - 1) * size;
+    return stories.slice(start, start + size);
+  }
+
+  // Cache stories in IndexedDB or localStorage together with freshness
+  // metadata (fetchedAt, ETag and Date of the response that produced them)
+  // Simpan hasil request cerita untuk dipakai offline.
+  // - Tanpa page: daftar lengkap, menggantikan seluruh cache.
+  // - Dengan page/size: satu halaman feed yang digabung dengan cache lama,
+  //   lihat _mergeStoryPage. Umur cache mengikuti halaman pertama.
+  async cacheStories(stories, { page = null, size = null, meta = {} } = {}) {
     try {
+      let entry = {
+        stories,
+        fetchedAt: meta.fetchedAt || Date.now(),
+        etag: meta.etag || null,
+        serverDate: meta.serverDate || null
+      };
+
+      const cached = page !== null ? await this.getCachedFeed() : null;
+      if (cached) {
+        const merged = this._mergeStoryPage(cached.stories, stories, { page, size });
+        entry = page === 1
+          ? { ...entry, stories: merged }
+          : { ...cached, stories: merged };
+      }
+
       if (window.indexedDBHelper) {
-        await window.indexedDBHelper.saveOfflineStories(stories);
+        await window.indexedDBHelper.saveStoryCache(entry);
         console.log('Stories cached in IndexedDB');
       } else {
         // Fallback to localStorage with size limit
-        const storiesData = JSON.stringify(stories);
+        const storiesData = JSON.stringify(entry.stories);
         if (storiesData.length < 2000000) { // ~2MB limit
           localStorage.setItem('cached_stories', storiesData);
-          localStorage.setItem('cached_stories_timestamp', Date.now().toString());
+          localStorage.setItem('cached_stories_timestamp', entry.fetchedAt.toString());
+          localStorage.setItem('cached_stories_meta', JSON.stringify({
+            etag: entry.etag,
+            serverDate: entry.serverDate
+          }));
           console.log('Stories cached in localStorage');
         }
       }
@@ -294,31 +619,61 @@ class ApiService {
     }
   }
 
-  // FIXED: Get cached stories
-  async getCachedStories() {
+  // Gabungkan satu halaman feed (terbaru dulu) ke cerita yang tersimpan.
+  // Cerita lama dalam rentang waktu halaman itu yang tidak dikirim lagi oleh
+  // server sudah dihapus, jadi ikut dibuang; untuk halaman 1 rentangnya
+  // sampai cerita terbaru. Hasilnya urut terbaru dulu, supaya potongan per
+  // halaman di _getCachedResult tetap cocok, dan dibatasi
+  // STORY_CACHE_MAX_PAGES halaman.
+  _mergeStoryPage(cachedStories, pageStories, { page, size }) {
+    const time = story => new Date(story.createdAt).getTime() || 0;
+    const pageIds = new Set(pageStories.map(story => story.id));
+    const pageTimes = pageStories.map(time);
+    const oldest = Math.min(...pageTimes);
+    const newest = page === 1 ? Infinity : Math.max(...pageTimes);
+
+    const kept = cachedStories.filter((story) => {
+      if (pageIds.has(story.id)) return false;
+      // Halaman 1 kosong berarti server tidak punya cerita sama sekali
+      if (pageStories.length === 0) return page !== 1;
+      return time(story) < oldest || time(story) > newest;
+    });
+
+    return [...pageStories, ...kept]
+      .sort((a, b) => time(b) - time(a))
+      .slice(0, size * STORY_CACHE_MAX_PAGES);
+  }
+
+  // Cached feed with its metadata, or null. Stale entries are still
+  // returned; callers decide how to present their age.
+  async getCachedFeed() {
     try {
       if (window.indexedDBHelper) {
-        const cachedStories = await window.indexedDBHelper.getOfflineStories();
-        return cachedStories || [];
-      } else {
-        const cachedData = localStorage.getItem('cached_stories');
-        const timestamp = localStorage.getItem('cached_stories_timestamp');
-        
-        if (cachedData && timestamp) {
-          const age = Date.now() - parseInt(timestamp);
-          // Return cached data if less than 24 hours old
-          if (age < 24 * 60 * 60 * 1000) {
-            return JSON.parse(cachedData);
-          }
-        }
-        return [];
+        return await window.indexedDBHelper.getStoryCache();
       }
+
+      const cachedData = localStorage.getItem('cached_stories');
+      const timestamp = localStorage.getItem('cached_stories_timestamp');
+      if (!cachedData || !timestamp) return null;
+
+      const meta = JSON.parse(localStorage.getItem('cached_stories_meta') || '{}');
+      return {
+        stories: JSON.parse(cachedData),
+        fetchedAt: parseInt(timestamp, 10),
+        etag: meta.etag || null,
+        serverDate: meta.serverDate || null
+      };
     } catch (error) {
       console.warn('Failed to get cached stories:', error);
-      return [];
+      return null;
     }
   }
 
+  async getCachedStories() {
+    const feed = await this.getCachedFeed();
+    return feed ? feed.stories : [];
+  }
+
   // FIXED: Queue story for offline upload
   async queueOfflineStory(storyData) {
     try {
@@ -338,35 +693,49 @@ class ApiService {
         console.log('Story queued in localStorage');
       }
 
+      this._notifyOutboxChanged();
+
       // Register background sync if available
-      if ('serviceWorker' in navigator && 'sync' in window.ServiceWorkerRegistration.prototype) {
-        try {
-          const registration = await navigator.serviceWorker.ready;
-          await registration.sync.register('background-sync-story');
-          console.log('Background sync registered');
-        } catch (error) {
-          console.warn('Background sync registration failed:', error);
-        }
-      }
+      await this._requestBackgroundSync();
     } catch (error) {
       console.error('Failed to queue offline story:', error);
       throw error;
     }
   }
 
-  // FIXED: Process queued offline requests
+  // Minta service worker mengunggah antrean lewat Background Sync.
+  // Mengembalikan false jika browser tidak mendukungnya.
+  async _requestBackgroundSync() {
+    if (!('serviceWorker' in navigator) || !('sync' in window.ServiceWorkerRegistration.prototype)) {
+      return false;
+    }
+
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      await registration.sync.register('background-sync-story');
+      console.log('Background sync registered');
+      return true;
+    } catch (error) {
+      console.warn('Background sync registration failed:', error);
+      return false;
+    }
+  }
+
+  // Process queued offline requests. When Background Sync is available the
+  // service worker does the upload (see syncOfflineStories in sw.js), so it
+  // also happens while the app is closed; otherwise upload from the page.
   async processRequestQueue() {
     if (!this.isOnline) return;
 
+    if (window.indexedDBHelper && await this._requestBackgroundSync()) {
+      console.log('Offline queue handed over to service worker');
+      return;
+    }
+
     try {
       console.log('Processing offline story queue...');
       
-      let queue = [];
-      if (window.indexedDBHelper) {
-        queue = await window.indexedDBHelper.getOfflineStoryQueue() || [];
-      } else {
-        queue = JSON.parse(localStorage.getItem('offline_story_queue') || '[]');
-      }
+      const queue = await this.getQueuedStories();
 
       if (queue.length === 0) {
         console.log('No offline stories to process');
@@ -375,59 +744,198 @@ class ApiService {
 
       console.log(`Processing ${queue.length} offline stories`);
 
-      for (const story of queue) {
-        try {
-          const formData = new FormData();
-          formData.append('description', story.description);
-          formData.append('photo', story.photoBlob, 'photo.jpg');
-          
-          if (story.lat !== null && story.lon !== null) {
-            formData.append('lat', story.lat);
-            formData.append('lon', story.lon);
-          }
-
-          const response = await this.fetchWithTimeout(`${this.baseUrl}/stories`, {
-            method: 'POST',
-            headers: { 
-              'Authorization': `Bearer ${story.token}`
-            },
-            body: formData,
-          });
+      let uploaded = 0;
+      let failed = 0;
+
+      for (const queuedStory of queue) {
+        // Skip stories the service worker or another tab is uploading
+        const story = await this._claimQueuedStory(queuedStory);
+        if (!story) continue;
+
+        const lastError = await this._uploadQueuedStory(story);
 
-          if (response.ok) {
-            console.log('Offline story uploaded successfully:', story.id);
-            
-            // Remove from queue
-            if (window.indexedDBHelper) {
-              await window.indexedDBHelper.removeOfflineStory(story.id);
-            } else {
-              const newQueue = queue.filter(q => q.id !== story.id);
-              localStorage.setItem('offline_story_queue', JSON.stringify(newQueue));
-            }
-
-            // Show notification
-            if ('serviceWorker' in navigator) {
-              navigator.serviceWorker.ready.then(registration => {
-                registration.showNotification('Cerita Diunggah', {
-                  body: 'Cerita offline berhasil diunggah!',
-                  icon: '/Submission-Intermediate/icons/icon-192x192.png'
-                });
-              });
-            }
-          }
-        } catch (error) {
-          console.error('Failed to upload offline story:', story.id, error);
+        if (lastError) {
+          failed++;
+        } else {
+          uploaded++;
         }
       }
+
+      if (uploaded > 0 && 'serviceWorker' in navigator) {
+        navigator.serviceWorker.ready.then(registration => {
+          registration.showNotification('Cerita Diunggah', {
+            body: `${uploaded} cerita offline berhasil diunggah!`,
+            icon: '/Submission-Intermediate/icons/icon-192x192.png'
+          });
+        });
+      }
+
+      window.dispatchEvent(new CustomEvent('offlineStoriesSynced', {
+        detail: { uploaded, failed }
+      }));
     } catch (error) {
       console.error('Error processing offline queue:', error);
     }
   }
+
+  // === OUTBOX (antrean cerita offline) ===
+
+  // Ambil semua cerita yang masih menunggu diunggah
+  async getQueuedStories() {
+    if (window.indexedDBHelper) {
+      return await window.indexedDBHelper.getUnsyncedStories() || [];
+    }
+    return JSON.parse(localStorage.getItem('offline_story_queue') || '[]');
+  }
+
+  async getQueuedStory(id) {
+    const queue = await this.getQueuedStories();
+    return queue.find(story => story.id === id) || null;
+  }
+
+  // Ubah deskripsi/lokasi cerita di antrean
+  async updateQueuedStory(id, changes) {
+    const story = await this.getQueuedStory(id);
+    if (!story) throw new Error('Cerita tidak ditemukan di antrean');
+
+    const updatedStory = { ...story, ...changes, id: story.id };
+    await this._saveQueuedStory(updatedStory);
+    this._notifyOutboxChanged();
+    return updatedStory;
+  }
+
+  async removeQueuedStory(id) {
+    if (window.indexedDBHelper) {
+      await window.indexedDBHelper.removeOfflineStory(id);
+    } else {
+      const queue = JSON.parse(localStorage.getItem('offline_story_queue') || '[]');
+      localStorage.setItem('offline_story_queue', JSON.stringify(queue.filter(q => q.id !== id)));
+    }
+    this._notifyOutboxChanged();
+  }
+
+  // Coba unggah satu cerita sekarang juga
+  async retryQueuedStory(id) {
+    if (!this.isOnline) {
+      throw new Error('Tidak ada koneksi internet. Cerita akan diunggah otomatis saat online.');
+    }
+
+    const queuedStory = await this.getQueuedStory(id);
+    if (!queuedStory) throw new Error('Cerita tidak ditemukan di antrean');
+
+    const story = await this._claimQueuedStory(queuedStory);
+    if (!story) throw new Error('Cerita ini sedang diunggah. Coba lagi sebentar lagi.');
+
+    const lastError = await this._uploadQueuedStory(story);
+    if (lastError) {
+      throw new Error(`Gagal mengunggah cerita: ${lastError}`);
+    }
+
+    window.dispatchEvent(new CustomEvent('offlineStoriesSynced', {
+      detail: { uploaded: 1, failed: 0 }
+    }));
+  }
+
+  // Tandai item antrean sedang diunggah supaya service worker tidak ikut
+  // mengirimnya. null berarti item sudah diunggah pihak lain. Antrean di
+  // localStorage tidak dibaca service worker, jadi tidak perlu ditandai.
+  async _claimQueuedStory(story) {
+    if (!window.indexedDBHelper) return story;
+    return window.indexedDBHelper.claimOfflineStory(story.id);
+  }
+
+  // Unggah satu item antrean. Berhasil: item dihapus dan null dikembalikan.
+  // Gagal: percobaan dicatat dan pesan error dikembalikan.
+  async _uploadQueuedStory(story) {
+    let lastError = null;
+
+    try {
+      const formData = new FormData();
+      formData.append('description', story.description);
+      formData.append('photo', story.photoBlob, this._photoFileName(story.photoBlob));
+      
+      // Older queue items may lack lat/lon entirely
+      if (window.GeoUtils.hasCoordinates(story)) {
+        formData.append('lat', story.lat);
+        formData.append('lon', story.lon);
+      }
+
+      if (!story.isGuest && !story.token) {
+        throw new Error('Token tidak ditemukan');
+      }
+
+      const response = await this.fetchWithTimeout(this._storyUploadUrl(story.isGuest), {
+        method: 'POST',
+        headers: this._storyUploadHeaders(story.isGuest ? null : story.token),
+        body: formData,
+      }, this._uploadTimeout(story.photoBlob.size));
+
+      if (response.ok) {
+        console.log('Offline story uploaded successfully:', story.id);
+        await this.removeQueuedStory(story.id);
+        return null;
+      }
+
+      const responseJson = await response.json().catch(() => ({}));
+      lastError = responseJson.message || `HTTP ${response.status}`;
+    } catch (error) {
+      console.error('Failed to upload offline story:', story.id, error);
+      lastError = error.message;
+    }
+
+    await this._recordOfflineFailure(story, lastError);
+    return lastError;
+  }
+
+  async _saveQueuedStory(story) {
+    if (window.indexedDBHelper) {
+      await window.indexedDBHelper.updateOfflineStory(story);
+    } else {
+      const queue = JSON.parse(localStorage.getItem('offline_story_queue') || '[]');
+      const nextQueue = queue.map(q => (q.id === story.id ? story : q));
+      localStorage.setItem('offline_story_queue', JSON.stringify(nextQueue));
+    }
+  }
+
+  _notifyOutboxChanged() {
+    window.dispatchEvent(new Event('outboxChanged'));
+  }
+
+  // Simpan jumlah percobaan dan error terakhir pada item antrean
+  async _recordOfflineFailure(story, message) {
+    // Also releases the upload claim
+    const { uploadStartedAt, ...queuedStory } = story;
+    const updatedStory = {
+      ...queuedStory,
+      attempts: (story.attempts || 0) + 1,
+      lastError: message,
+      lastAttemptAt: new Date().toISOString()
+    };
+
+    try {
+      await this._saveQueuedStory(updatedStory);
+      this._notifyOutboxChanged();
+    } catch (error) {
+      console.warn('Failed to record offline upload failure:', error);
+    }
+  }
   
   // Add authentication helper methods
   isAuthenticated() {
     const token = localStorage.getItem('token');
-    return !!token;
+    return !!token && !this._isTokenExpired(token);
+  }
+  
+  // Token Dicoding berbentuk JWT. Jika payload memuat `exp`, sesi bisa
+  // dianggap berakhir tanpa menunggu 401 dari server.
+  _isTokenExpired(token) {
+    try {
+      const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+      return typeof payload.exp === 'number' && payload.exp * 1000 <= Date.now();
+    } catch (error) {
+      // Not a readable JWT; let the server decide
+      return false;
+    }
   }
   
   logout() {
@@ -1,56 +0,0 @@
-// src/data/db.js
-class StoryDB {
-  constructor() {
-    this.dbName = 'StoryDB';
-    this.storeName = 'offlineStories';
-  }
-
-  async init() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, 1);
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        if (!db.objectStoreNames.contains(this.storeName)) {
-          db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
-        }
-      };
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-  }
-
-  async addStory(story) {
-    const db = await this.init();
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction([this.storeName], 'readwrite');
-      const store = tx.objectStore(this.storeName);
-      const request = store.add({ ...story, timestamp: Date.now() });
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-  }
-
-  async getAllStories() {
-    const db = await this.init();
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction([this.storeName], 'readonly');
-      const store = tx.objectStore(this.storeName);
-      const request = store.getAll();
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
-  }
-
-  async deleteStory(id) {
-    const db = await this.init();
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction([this.storeName], 'readwrite');
-      const store = tx.objectStore(this.storeName);
-      const request = store.delete(id);
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
-    });
-  }
-}
-
-export const storyDB = new StoryDB();
\ No newline at end of file
@@ -4,13 +4,22 @@ console.log('🚀 Loading PetaBicara App...');
 
 // STEP 1: Import utilities first (no dependencies)
 console.log('📁 Loading utilities...');
+import './utils/safe-html.js';
+import './utils/geo-utils.js';
+import './utils/geocoder.js';
+import './utils/event-bus.js';
+import './utils/story-search.js';
 import './utils/router.js';
 import './utils/camera-helper.js';
+import './utils/exif-utils.js';
+import './utils/image-pipeline.js';
+import './utils/photo-edits.js';
 import './utils/indexeddb-helper.js';
 import './utils/push-notification.js';
 import './utils/service-worker-register.js';
 import './utils/debug-tools.js';
 import './utils/favorites-helper.js';
+import './utils/favorite-photo-store.js';
 import './utils/notification-ui-helper.js';
 
 // STEP 2: Import API service (no dependencies on other app classes)
@@ -25,7 +34,10 @@ import './model/story-model.js';
 console.log('🧩 Loading components...');
 import './view/components/footer.js';
 import './view/components/navbar.js';
+import './view/components/confirm-dialog.js';
 import './view/components/story-card.js';
+import './view/components/favorites-import-panel.js';
+import './view/components/photo-editor.js';
 
 // STEP 5: Import Views (depends on components)
 console.log('📺 Loading views...');
@@ -36,6 +48,8 @@ import './view/pages/register-view.js';
 import './view/pages/map-view.js';
 import './view/pages/favorites-view.js';
 import './view/pages/settings-view.js';
+import './view/pages/story-detail-view.js';
+import './view/pages/outbox-view.js';
 import './view/app-view.js';
 
 // STEP 6: Import Presenters (depends on views and models)
@@ -47,6 +61,8 @@ import './presenter/pages/register-presenter.js';
 import './presenter/pages/map-presenter.js';
 import './presenter/pages/favorites-presenter.js';
 import './presenter/pages/settings-presenter.js';
+import './presenter/pages/story-detail-presenter.js';
+import './presenter/pages/outbox-presenter.js';
 import './presenter/app-presenter.js';
 
 // STEP 7: Import main app last (depends on everything)
@@ -60,14 +76,16 @@ setTimeout(() => {
   console.log('🔍 Verifying all classes are loaded...');
   
   const requiredClasses = [
-    'Router', 'StoryModel', 'AppView', 'AppPresenter',
+    'SafeHtml', 'Router', 'StoryModel', 'AppView', 'AppPresenter',
     'HomeView', 'HomePresenter',
     'AddStoryView', 'AddStoryPresenter', 
     'LoginView', 'LoginPresenter',
     'RegisterView', 'RegisterPresenter',
     'MapView', 'MapPresenter',
     'FavoritesView', 'FavoritesPresenter',
-    'SettingsView', 'SettingsPresenter'
+    'SettingsView', 'SettingsPresenter',
+    'StoryDetailView', 'StoryDetailPresenter',
+    'OutboxView', 'OutboxPresenter'
   ];
   
   const missing = requiredClasses.filter(cls => !window[cls]);
@@ -4,10 +4,10 @@ class StoryModel {
     console.log('StoryModel initialized with apiService');
   }
   
-  async getAllStories() {
+  async getAllStories(options = {}) {
     try {
-      console.log('StoryModel.getAllStories: Requesting stories from API');
-      const stories = await this.apiService.getAllStories();
+      console.log('StoryModel.getAllStories: Requesting stories from API', options);
+      const stories = await this.apiService.getAllStories(options);
       
       if (!stories || !Array.isArray(stories)) {
         console.warn('StoryModel: Invalid stories data received from API');
@@ -22,20 +22,102 @@ class StoryModel {
     }
   }
   
-  async addNewStory(description, photoBlob, lat, lon) {
+  // Like getAllStories, plus where the data came from and how old it is
+  async getStoriesWithMeta(options = {}) {
+    try {
+      const result = await this.apiService.getStoriesWithMeta(options);
+      
+      if (!result || !Array.isArray(result.stories)) {
+        console.warn('StoryModel: Invalid stories data received from API');
+        return { ...result, stories: [] };
+      }
+      
+      return result;
+    } catch (error) {
+      console.error('StoryModel: Error getting stories:', error);
+      throw new Error(`Failed to load stories: ${error.message}`);
+    }
+  }
+  
+  // Cached feed shown before fresh data arrives (stale-while-revalidate)
+  async getCachedFeed() {
+    return this.apiService.getCachedFeed();
+  }
+  
+  async getStoryDetail(id) {
+    try {
+      console.log('StoryModel.getStoryDetail: Requesting story', id);
+      if (!id) {
+        throw new Error('Story id is required');
+      }
+      
+      return await this.apiService.getStoryDetail(id);
+    } catch (error) {
+      console.error('StoryModel: Error getting story detail:', error);
+      throw new Error(`Failed to load story: ${error.message}`);
+    }
+  }
+  
+  async addNewStory(description, photoBlob, lat, lon, options = {}) {
     try {
       console.log('StoryModel.addNewStory: Adding new story');
       if (!description || !photoBlob) {
         throw new Error('Description and photo are required');
       }
       
-      const result = await this.apiService.addNewStory(description, photoBlob, lat, lon);
+      const result = await this.apiService.addNewStory(description, photoBlob, lat, lon, options);
       return result;
     } catch (error) {
+      // A cancelled upload is not a failure; keep its flag for the presenter
+      if (error.uploadCancelled) throw error;
       console.error('StoryModel: Error adding story:', error);
       throw new Error(`Failed to add story: ${error.message}`);
     }
   }
+  
+  isAuthenticated() {
+    return this.apiService.isAuthenticated();
+  }
+  
+  // === OUTBOX ===
+  
+  async getQueuedStories() {
+    return this.apiService.getQueuedStories();
+  }
+  
+  async updateQueuedStory(id, changes) {
+    return this.apiService.updateQueuedStory(id, changes);
+  }
+  
+  async retryQueuedStory(id) {
+    return this.apiService.retryQueuedStory(id);
+  }
+  
+  async removeQueuedStory(id) {
+    return this.apiService.removeQueuedStory(id);
+  }
+  
+  // === DRAFTS ===
+  // Unsent add-story forms. They only live in this browser's IndexedDB.
+  
+  // Most recently edited first
+  async getDrafts() {
+    const drafts = await window.indexedDBHelper.getAllDrafts();
+    return drafts.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  }
+  
+  async getDraft(id) {
+    return window.indexedDBHelper.getDraft(id);
+  }
+  
+  // Resolves to the draft's id (new drafts get one here)
+  async saveDraft(draft) {
+    return window.indexedDBHelper.saveDraft(draft);
+  }
+  
+  async removeDraft(id) {
+    return window.indexedDBHelper.removeDraft(id);
+  }
 }
 window.StoryModel = StoryModel;
 
@@ -18,19 +18,24 @@ class AppPresenter {
     this.router.routes = [];
     
     this.router
-      .addRoute('/', () => {
+      .addRoute('/', (params, query) => {
         console.log('Navigating to home page');
-        this.navigateToHome();
+        this.navigateToHome(query);
       })
       
       .addRoute('/tambah', () => {
         console.log('Navigating to add story page');
         this.navigateToAddStory();
+      })
+      
+      .addRoute('/cerita/:id', (params) => {
+        console.log('Navigating to story detail page', params.id);
+        this.navigateToStoryDetail(params.id);
       }, { requiresAuth: true })
       
-      .addRoute('/peta', () => {
+      .addRoute('/peta', (params, query) => {
         console.log('Navigating to map page');
-        this.navigateToMap();
+        this.navigateToMap(query);
       })
       
       // ROUTE BARU - Favorit (memerlukan auth)
@@ -45,6 +50,11 @@ class AppPresenter {
         this.navigateToSettings();
       }, { requiresAuth: true })
       
+      .addRoute('/kotak-keluar', () => {
+        console.log('Navigating to outbox page');
+        this.navigateToOutbox();
+      })
+      
       .addRoute('/masuk', () => {
         console.log('Rendering login page');
         this.navigateToLogin();
@@ -61,17 +71,18 @@ class AppPresenter {
       });
   }
   
-  navigateToHome() {
+  navigateToHome(query = {}) {
     // Apply transition effect through the view
     this.view.applyViewTransition();
     
     // Let the view render the home page
     const homeView = this.view.renderHomePage();
     
-    // Create the presenter for the home page
+    // Create the presenter for the home page; '#/?q=..' restores a search
     const homePresenter = new window.HomePresenter({
       view: homeView,
-      model: this.storyModel
+      model: this.storyModel,
+      searchCriteria: window.StorySearch.fromQuery(query)
     });
     
     homePresenter.init();
@@ -93,17 +104,39 @@ class AppPresenter {
     addStoryPresenter.init();
   }
   
-  navigateToMap() {
+  navigateToStoryDetail(storyId) {
+    // Apply transition effect through the view
+    this.view.applyViewTransition();
+    
+    // Let the view render the story detail page
+    const storyDetailView = this.view.renderStoryDetailPage();
+    
+    // Create the presenter for the story detail page
+    const storyDetailPresenter = new window.StoryDetailPresenter({
+      view: storyDetailView,
+      model: this.storyModel,
+      storyId
+    });
+    
+    storyDetailPresenter.init();
+  }
+  
+  navigateToMap(query = {}) {
     // Apply transition effect through the view
     this.view.applyViewTransition();
     
     // Let the view render the map page
     const mapView = this.view.renderMapPage();
     
+    // '#/peta?lat=..&lon=..' centers the map on that point
+    const lat = parseFloat(query.lat);
+    const lon = parseFloat(query.lon);
+    
     // Create the presenter for the map page
     const mapPresenter = new window.MapPresenter({
       view: mapView,
-      model: this.storyModel
+      model: this.storyModel,
+      focus: isNaN(lat) || isNaN(lon) ? null : { lat, lon }
     });
     
     mapPresenter.init();
@@ -141,6 +174,22 @@ class AppPresenter {
     settingsPresenter.init();
   }
   
+  navigateToOutbox() {
+    // Apply transition effect through the view
+    this.view.applyViewTransition();
+    
+    // Let the view render the outbox page
+    const outboxView = this.view.renderOutboxPage();
+    
+    // Create the presenter for the outbox page
+    const outboxPresenter = new window.OutboxPresenter({
+      view: outboxView,
+      model: this.storyModel
+    });
+    
+    outboxPresenter.init();
+  }
+  
   navigateToLogin() {
     // Apply transition effect through the view
     this.view.applyViewTransition();
@@ -185,11 +234,27 @@ class AppPresenter {
     // Update auth navigation based on authentication status
     this.updateAuthNavigation();
     
+    // Open the detail page when a story card asks for it
+    this.view.setupStoryDetailListener((storyId) => {
+      this.router.navigateTo(`/cerita/${encodeURIComponent(storyId)}`);
+    });
+    
+    // Keep the outbox badge in sync with the offline queue
+    this.updateOutboxCount();
+    this.view.setupOutboxChangeListener(() => {
+      this.updateOutboxCount();
+    });
+    
     // Listen for auth status changes through the view
-    this.view.setupAuthChangeListener(() => {
-      console.log('Auth status changed');
+    this.view.setupAuthChangeListener((fromOtherTab) => {
+      console.log('Auth status changed', fromOtherTab ? '(other tab)' : '');
       this.updateAuthNavigation();
       this.updateFeaturesVisibility();
+      
+      // Login/logout in another tab may make the open page off-limits
+      if (fromOtherTab) {
+        this.router.recheckAccess();
+      }
     });
   }
   
@@ -199,6 +264,15 @@ class AppPresenter {
     this.view.updateAuthNavItem(isLoggedIn);
   }
   
+  async updateOutboxCount() {
+    try {
+      const queue = await this.storyModel.getQueuedStories();
+      this.view.updateOutboxCount(queue.length);
+    } catch (error) {
+      console.error('Error updating outbox count:', error);
+    }
+  }
+  
   // METHOD BARU - Update features visibility based on auth
   updateFeaturesVisibility() {
     // Update favorites navigation visibility
@@ -254,112 +328,8 @@ class AppPresenter {
       window.favoritesHelper.updateNavigationVisibility();
     }
     
-    // Setup story card enhancements
-    this._setupStoryCardEnhancements();
-    
     console.log('Additional features initialized');
   }
-  
-  // METHOD BARU - Setup story card enhancements
-  _setupStoryCardEnhancements() {
-    // Setup mutation observer untuk menambah tombol favorit otomatis
-    const observer = new MutationObserver((mutations) => {
-      let hasNewStories = false;
-      
-      mutations.forEach((mutation) => {
-        mutation.addedNodes.forEach((node) => {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            if (node.classList?.contains('story-card') || 
-                node.querySelector?.('.story-card')) {
-              hasNewStories = true;
-            }
-          }
-        });
-      });
-      
-      if (hasNewStories) {
-        setTimeout(() => {
-          this._enhanceStoryCards();
-        }, 500);
-      }
-    });
-
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
-    });
-    
-    // Enhance existing story cards
-    setTimeout(() => {
-      this._enhanceStoryCards();
-    }, 1000);
-  }
-  
-  // METHOD BARU - Enhance story cards dengan tombol favorit
-  _enhanceStoryCards() {
-    if (!window.favoritesHelper) return;
-    
-    const storyCards = document.querySelectorAll('.story-card:not([data-enhanced])');
-    
-    storyCards.forEach((card, index) => {
-      try {
-        // Extract story data dari card
-        const story = this._extractStoryDataFromCard(card, index);
-        
-        if (story && story.id) {
-          // Tambah tombol favorit
-          window.favoritesHelper.addFavoriteButtonToStoryCard(card, story);
-          
-          // Mark sebagai enhanced
-          card.setAttribute('data-enhanced', 'true');
-          card.setAttribute('data-story-id', story.id);
-        }
-      } catch (error) {
-        console.error('Error enhancing story card:', error);
-      }
-    });
-  }
-  
-  // METHOD BARU - Extract story data from card
-  _extractStoryDataFromCard(card, index) {
-    const titleElement = card.querySelector('.story-title, h3');
-    const descriptionElement = card.querySelector('.story-description, p');
-    const imageElement = card.querySelector('.story-image, img');
-    const authorElement = card.querySelector('.author-name, .story-author');
-    const dateElement = card.querySelector('.story-date, time');
-    
-    const title = titleElement?.textContent?.trim() || `Cerita ${index + 1}`;
-    const description = descriptionElement?.textContent?.trim() || '';
-    const imageUrl = imageElement?.src || '';
-    const author = authorElement?.textContent?.trim() || 'Anonim';
-    const dateText = dateElement?.textContent?.trim() || new Date().toISOString();
-    
-    // Generate unique ID
-    const storyId = this._generateStoryId(title, imageUrl, index);
-    
-    return {
-      id: storyId,
-      name: title,
-      description: description,
-      photoUrl: imageUrl,
-      createdAt: dateText,
-      author: author
-    };
-  }
-  
-  // METHOD BARU - Generate unique story ID
-  _generateStoryId(title, imageUrl, index) {
-    const baseString = `${title}-${imageUrl}-${index}`;
-    let hash = 0;
-    
-    for (let i = 0; i < baseString.length; i++) {
-      const char = baseString.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
-    }
-    
-    return `story-${Math.abs(hash)}`;
-  }
 }
 
 window.AppPresenter = AppPresenter;
@@ -1,7 +1,30 @@
+// Autosave waits this long after the last change
+const DRAFT_SAVE_DELAY = 800;
+
 class AddStoryPresenter {
   constructor({ view, model }) {
     this.view = view;
     this.model = model;
+    this.isGuest = false;
+    
+    // GPS position read from the EXIF of the picked photo, if any
+    this.photoLocation = null;
+    
+    // Draft being edited; changes are written DRAFT_SAVE_DELAY ms after the
+    // last one, one write at a time so a new draft is not created twice
+    this.draft = null;
+    this.pendingDraft = null;
+    this.draftTimer = null;
+    this.draftWrites = Promise.resolve();
+    
+    // Aborts the story upload in progress
+    this.uploadController = null;
+    
+    this._flushDraft = this._flushDraft.bind(this);
+    this._onPageLeave = () => {
+      window.removeEventListener('pagehide', this._flushDraft);
+      this._flushDraft();
+    };
     
     // Set this presenter as the view's presenter
     this.view.setPresenter(this);
@@ -11,6 +34,16 @@ class AddStoryPresenter {
   
   init() {
     console.log('AddStoryPresenter initialized');
+    
+    // Logged-out users post anonymously through /stories/guest
+    this.isGuest = !this.model.isAuthenticated();
+    this.view.setGuestMode(this.isGuest);
+    
+    // The form is gone once the next page renders, so save what is pending
+    window.addEventListener('hashchange', this._onPageLeave, { once: true });
+    window.addEventListener('pagehide', this._flushDraft);
+    
+    this.loadDrafts({ offerResume: true });
   }
   
   async submitStory(formData) {
@@ -28,9 +61,25 @@ class AddStoryPresenter {
       console.log('AddStoryPresenter.submitStory called with:', { description, lat, lon });
       
       // Call the model to add the story
-      const result = await this.model.addNewStory(description, photoBlob, lat, lon);
+      this.uploadController = new AbortController();
+      this.view.showUploadProgress(0, null);
+      const result = await this.model.addNewStory(description, photoBlob, lat, lon, {
+        asGuest: this.isGuest,
+        onProgress: ({ loaded, total }) => this.view.showUploadProgress(loaded, total),
+        signal: this.uploadController.signal
+      });
       console.log('Story added successfully:', result);
       
+      // Sent (or queued in the outbox), so the draft is done
+      await this._discardCurrentDraft();
+      
+      if (this.isGuest) {
+        // The feed needs a login, so guests stay on the form
+        this.view.showSuccess('Cerita berhasil dikirim sebagai tamu!');
+        this.view.hideLoading();
+        return true;
+      }
+      
       // Show success message
       this.view.showSuccess('Cerita berhasil ditambahkan!');
       
@@ -41,13 +90,227 @@ class AddStoryPresenter {
       
       return true;
     } catch (error) {
+      if (error.uploadCancelled) {
+        // The form and its draft stay as they are for another try
+        this.view.showMessage('Pengiriman cerita dibatalkan.', 'info');
+        this.view.hideLoading();
+        return false;
+      }
+      
       console.error('Add story error:', error);
       this.view.showError(error.message || 'Gagal menambahkan cerita');
       this.view.hideLoading();
       return false;
+    } finally {
+      this.uploadController = null;
+    }
+  }
+  
+  cancelUpload() {
+    if (this.uploadController) {
+      this.uploadController.abort();
+    }
+  }
+  
+  // === LOCATION ===
+  
+  async useCurrentLocation() {
+    this.view.setLocating(true);
+    
+    try {
+      // A fresh, precise fix; a cached city-level one is not good enough here
+      const position = await window.GeoUtils.getCurrentPosition({ enableHighAccuracy: true, maximumAge: 0 });
+      this.view.setLocation(position.lat, position.lon, { accuracy: position.accuracy });
+    } catch (error) {
+      console.warn('AddStoryPresenter: Location unavailable:', error);
+      this.view.showLocationError(`Lokasi Anda tidak tersedia: ${error.message}`);
+    } finally {
+      this.view.setLocating(false);
+    }
+  }
+  
+  // EXIF of a picked photo ({ gps, capturedAt, orientation }, see ExifUtils)
+  handlePhotoMetadata({ gps, capturedAt }) {
+    this.photoLocation = gps;
+    
+    if (gps) {
+      this.view.offerPhotoLocation({ ...gps, capturedAt });
+    } else {
+      this.view.hidePhotoLocationOffer();
+    }
+  }
+  
+  usePhotoLocation() {
+    if (!this.photoLocation) return;
+    
+    this.view.setLocation(this.photoLocation.lat, this.photoLocation.lon);
+    this.view.hidePhotoLocationOffer();
+  }
+  
+  // Coordinates typed by hand; returns false when they are not valid
+  setManualLocation(latText, lonText) {
+    const lat = window.GeoUtils.parseCoordinate(latText, 'lat');
+    const lon = window.GeoUtils.parseCoordinate(lonText, 'lon');
+    
+    if (lat === null) {
+      this.view.showLocationError('Latitude harus berupa angka antara -90 dan 90.');
+      return false;
+    }
+    if (lon === null) {
+      this.view.showLocationError('Longitude harus berupa angka antara -180 dan 180.');
+      return false;
+    }
+    
+    this.view.setLocation(lat, lon);
+    return true;
+  }
+  
+  async searchPlaces(query) {
+    try {
+      const places = await window.Geocoder.search(query, { limit: 5 });
+      this.view.renderPlaceResults(places, query);
+    } catch (error) {
+      console.warn('AddStoryPresenter: Place search failed:', error);
+      this.view.renderPlaceResults([], query);
     }
   }
   
+  // === DRAFTS ===
+  
+  async loadDrafts({ offerResume = false } = {}) {
+    try {
+      const drafts = await this.model.getDrafts();
+      this.view.renderDrafts(drafts, this.draft ? this.draft.id : null);
+      
+      // Only offer the latest draft on a fresh, untouched form
+      if (offerResume && drafts.length > 0 && !this.draft && this._isEmptyDraft(this.view.getDraftData())) {
+        this.view.showDraftPrompt(drafts[0]);
+      }
+    } catch (error) {
+      console.error('AddStoryPresenter: Error loading drafts:', error);
+    }
+  }
+  
+  // Called by the view whenever the description, photo or location changes
+  onDraftChanged() {
+    this.pendingDraft = this.view.getDraftData();
+    
+    clearTimeout(this.draftTimer);
+    this.draftTimer = setTimeout(this._flushDraft, DRAFT_SAVE_DELAY);
+  }
+  
+  async resumeDraft(id) {
+    await this._flushDraft();
+    
+    try {
+      const draft = await this.model.getDraft(id);
+      if (!draft) {
+        this.view.showError('Draf tidak ditemukan');
+        await this.loadDrafts();
+        return;
+      }
+      
+      this.draft = draft;
+      this.photoLocation = null;
+      this.view.hideDraftPrompt();
+      this.view.fillDraft(draft);
+      this.view.setDraftStatus(draft.updatedAt);
+      await this.loadDrafts();
+    } catch (error) {
+      console.error('AddStoryPresenter: Error resuming draft:', error);
+      this.view.showError('Gagal membuka draf: ' + error.message);
+    }
+  }
+  
+  // The current draft stays in the list; the form starts empty
+  async startNewDraft() {
+    await this._flushDraft();
+    
+    this.draft = null;
+    this.photoLocation = null;
+    this.view.hideDraftPrompt();
+    this.view.clearDraftForm();
+    this.view.setDraftStatus(null);
+    await this.loadDrafts();
+  }
+  
+  async deleteDraft(id) {
+    try {
+      if (this.draft && this.draft.id === id) {
+        await this._discardCurrentDraft();
+        this.view.clearDraftForm();
+        this.view.setDraftStatus(null);
+      } else {
+        await this.model.removeDraft(id);
+      }
+      
+      this.view.hideDraftPrompt();
+      await this.loadDrafts();
+    } catch (error) {
+      console.error('AddStoryPresenter: Error deleting draft:', error);
+      this.view.showError('Gagal menghapus draf: ' + error.message);
+    }
+  }
+  
+  _flushDraft() {
+    clearTimeout(this.draftTimer);
+    this.draftTimer = null;
+    
+    const data = this.pendingDraft;
+    this.pendingDraft = null;
+    if (!data) return this.draftWrites;
+    
+    this.draftWrites = this.draftWrites
+      .then(() => this._writeDraft(data))
+      .catch(error => console.error('AddStoryPresenter: Error saving draft:', error));
+    return this.draftWrites;
+  }
+  
+  async _writeDraft(data) {
+    // Emptying the form of a saved draft deletes it
+    if (this._isEmptyDraft(data)) {
+      if (this.draft) {
+        await this.model.removeDraft(this.draft.id);
+        this.draft = null;
+        this.view.setDraftStatus(null);
+        await this.loadDrafts();
+      }
+      return;
+    }
+    
+    const now = new Date().toISOString();
+    const draft = {
+      ...(this.draft || { createdAt: now }),
+      description: data.description,
+      photoBlob: data.photoBlob,
+      lat: data.lat,
+      lon: data.lon,
+      updatedAt: now
+    };
+    
+    draft.id = await this.model.saveDraft(draft);
+    this.draft = draft;
+    
+    this.view.setDraftStatus(now);
+    await this.loadDrafts();
+  }
+  
+  async _discardCurrentDraft() {
+    clearTimeout(this.draftTimer);
+    this.draftTimer = null;
+    this.pendingDraft = null;
+    await this.draftWrites;
+    
+    if (this.draft) {
+      await this.model.removeDraft(this.draft.id);
+      this.draft = null;
+    }
+  }
+  
+  _isEmptyDraft({ description, photoBlob, lat }) {
+    return !description.trim() && !photoBlob && lat === null;
+  }
+  
   navigateToHome() {
     // Use router through view to navigate to home page
     this.view.navigateToRoute('/');
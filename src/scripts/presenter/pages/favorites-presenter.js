@@ -4,6 +4,14 @@ class FavoritesPresenter {
   constructor({ view }) {
     this.view = view;
     this.favoritesHelper = window.favoritesHelper;
+    this.importPreview = null;
+    
+    // Collection tab, tag chips and sort order currently shown
+    this.favorites = [];
+    this.collections = [];
+    this.tags = [];
+    this.filters = { collectionId: null, tags: [], sortBy: 'addedAt' };
+    this.userPosition = null;
     
     // Set presenter reference in view
     this.view.setPresenter(this);
@@ -32,21 +40,25 @@ class FavoritesPresenter {
       // Show loading state
       this.view.showLoading();
       
-      // Get favorites from helper
-      const favorites = await this.favoritesHelper.getAllFavorites();
-      console.log(`FavoritesPresenter: Loaded ${favorites.length} favorites`);
+      // Get favorites and collections from helper
+      const [favorites, collections, tags] = await Promise.all([
+        this.favoritesHelper.getAllFavorites(),
+        this.favoritesHelper.getCollections(),
+        this.favoritesHelper.getAllTags()
+      ]);
+      console.log(`FavoritesPresenter: Loaded ${favorites.length} favorites in ${collections.length} collections`);
+      
+      this.favorites = favorites;
+      this.collections = collections;
+      this.tags = tags;
       
-      // Sort by addedToFavoritesAt (newest first)
-      if (favorites.length > 0) {
-        favorites.sort((a, b) => {
-          const dateA = new Date(a.addedToFavoritesAt || a.createdAt);
-          const dateB = new Date(b.addedToFavoritesAt || b.createdAt);
-          return dateB - dateA;
-        });
+      // Drop filters that point at deleted collections or unused tags
+      if (!collections.some(collection => collection.id === this.filters.collectionId)) {
+        this.filters.collectionId = null;
       }
+      this.filters.tags = this.filters.tags.filter(tag => tags.some(item => item.tag === tag));
       
-      // Update view
-      this.view.renderFavorites(favorites);
+      await this.renderFavorites();
       
     } catch (error) {
       console.error('FavoritesPresenter: Error loading favorites:', error);
@@ -54,33 +66,162 @@ class FavoritesPresenter {
     }
   }
 
+  // Re-render the list for the current filters without reloading everything
+  async renderFavorites() {
+    const favorites = await this._getVisibleFavorites();
+    
+    // Use the offline photo copies where available
+    const photoUrls = await this.favoritesHelper.getOfflinePhotoUrls(favorites.map(story => story.id));
+    
+    this.view.renderCollectionTabs(
+      this.collections.map(collection => ({
+        ...collection,
+        count: this.favorites.filter(story => story.collectionIds.includes(collection.id)).length
+      })),
+      this.filters.collectionId,
+      this.favorites.length
+    );
+    this.view.renderTagFilters(this.tags, this.filters.tags);
+    this.view.renderFavorites(
+      favorites.map(story => ({
+        ...story,
+        offlinePhotoUrl: photoUrls.get(story.id) || null
+      })),
+      {
+        collections: this.collections,
+        totalCount: this.favorites.length,
+        isFiltered: !!this.filters.collectionId || this.filters.tags.length > 0
+      }
+    );
+  }
+
+  async _getVisibleFavorites() {
+    const { collectionId, tags, sortBy } = this.filters;
+    
+    let favorites = collectionId
+      ? await this.favoritesHelper.getFavoritesInCollection(collectionId)
+      : [...this.favorites];
+    
+    if (tags.length > 0) {
+      favorites = favorites.filter(story => tags.every(tag => story.tags.includes(tag)));
+    }
+    
+    if (this.userPosition) {
+      favorites = favorites.map(story => ({
+        ...story,
+        distanceKm: window.GeoUtils.distanceKm(this.userPosition, story)
+      }));
+    }
+    
+    return favorites.sort(this._getComparator(sortBy));
+  }
+
+  _getComparator(sortBy) {
+    const newestFirst = (key) => (a, b) => new Date(b[key] || b.createdAt) - new Date(a[key] || a.createdAt);
+    
+    if (sortBy === 'createdAt') {
+      return newestFirst('createdAt');
+    }
+    
+    if (sortBy === 'distance') {
+      // Stories without a location go last
+      return (a, b) => {
+        if (a.distanceKm === null) return b.distanceKm === null ? 0 : 1;
+        if (b.distanceKm === null) return -1;
+        return a.distanceKm - b.distanceKm;
+      };
+    }
+    
+    return newestFirst('addedToFavoritesAt');
+  }
+
+  // === FILTERS & SORT ===
+
+  async selectCollection(collectionId) {
+    this.filters.collectionId = collectionId || null;
+    await this.renderFavorites();
+  }
+
+  async toggleTagFilter(tag) {
+    const { tags } = this.filters;
+    this.filters.tags = tags.includes(tag) ? tags.filter(item => item !== tag) : [...tags, tag];
+    await this.renderFavorites();
+  }
+
+  async clearFilters() {
+    this.filters.collectionId = null;
+    this.filters.tags = [];
+    await this.renderFavorites();
+  }
+
+  async setSortOrder(sortBy) {
+    if (sortBy === 'distance' && !this.userPosition) {
+      try {
+        this.userPosition = await window.GeoUtils.getCurrentPosition();
+      } catch (error) {
+        console.warn('FavoritesPresenter: Location unavailable for distance sort:', error);
+        this.view.showActionError(`Tidak bisa mengurutkan berdasarkan jarak: ${error.message}`);
+        this.view.setSortValue(this.filters.sortBy);
+        return;
+      }
+    }
+    
+    this.filters.sortBy = sortBy;
+    await this.renderFavorites();
+  }
+
+  // === COLLECTIONS, TAGS & NOTES ===
+
+  async createCollection(name) {
+    try {
+      const collection = await this.favoritesHelper.createCollection(name);
+      this.view.showSuccess(`Koleksi "${collection.name}" dibuat`);
+      this.filters.collectionId = collection.id;
+      await this.loadFavorites();
+      return true;
+    } catch (error) {
+      console.error('FavoritesPresenter: Error creating collection:', error);
+      this.view.showActionError(error.message);
+      return false;
+    }
+  }
+
+  async deleteCollection(collectionId) {
+    try {
+      await this.favoritesHelper.deleteCollection(collectionId);
+      this.view.showSuccess('Koleksi dihapus, ceritanya tetap ada di favorit');
+      await this.loadFavorites();
+    } catch (error) {
+      console.error('FavoritesPresenter: Error deleting collection:', error);
+      this.view.showActionError('Gagal menghapus koleksi: ' + error.message);
+    }
+  }
+
+  async saveFavoriteDetails(storyId, details) {
+    try {
+      await this.favoritesHelper.updateFavoriteDetails(storyId, details);
+      this.view.showSuccess('Catatan dan tag disimpan');
+      await this.loadFavorites();
+      return true;
+    } catch (error) {
+      console.error('FavoritesPresenter: Error saving favorite details:', error);
+      this.view.showActionError('Gagal menyimpan: ' + error.message);
+      return false;
+    }
+  }
+
+  // Removal is immediate; FavoritesHelper shows an undo toast for it and
+  // its favoritesChanged event makes the view reload the list
   async removeFavorite(storyId) {
     console.log('FavoritesPresenter: Removing favorite', storyId);
     
     try {
+      await this.view.animateCardRemoval(storyId);
       const success = await this.favoritesHelper.removeFromFavorites(storyId);
-      
-      if (success) {
-        this.view.showSuccess('Cerita berhasil dihapus dari favorit');
-        
-        // Remove card from view immediately
-        const card = document.querySelector(`.favorite-story-card[data-story-id="${storyId}"]`);
-        if (card) {
-          card.style.animation = 'fadeOut 0.3s ease';
-          setTimeout(() => {
-            card.remove();
-            // Update count
-            this.updateFavoritesCount();
-          }, 300);
-        }
-        
-        // Check if no more favorites
-        const remainingCards = document.querySelectorAll('.favorite-story-card');
-        if (remainingCards.length <= 1) { // <= 1 because we haven't removed the card yet
-          setTimeout(() => {
-            this.loadFavorites(); // Reload to show empty state
-          }, 400);
-        }
+
+      if (!success) {
+        // Bring the faded card back
+        await this.loadFavorites();
       }
     } catch (error) {
       console.error('FavoritesPresenter: Error removing favorite:', error);
@@ -102,6 +243,41 @@ class FavoritesPresenter {
     }
   }
 
+  // === IMPORT ===
+
+  async previewImport(file) {
+    console.log('FavoritesPresenter: Previewing import', file && file.name);
+
+    try {
+      this.importPreview = await this.favoritesHelper.previewFavoritesImport(file);
+      this.view.showImportPreview(this.importPreview);
+    } catch (error) {
+      console.error('FavoritesPresenter: Invalid import file:', error);
+      this.importPreview = null;
+      this.view.showImportError(error.message);
+    }
+  }
+
+  async confirmImport(options) {
+    if (!this.importPreview) return;
+
+    this.view.setImportBusy(true);
+
+    try {
+      const summary = await this.favoritesHelper.importFavorites(this.importPreview, options);
+      this.importPreview = null;
+      this.view.showImportSummary(summary);
+    } catch (error) {
+      console.error('FavoritesPresenter: Error importing favorites:', error);
+      this.view.setImportBusy(false);
+      this.view.showImportError('Gagal import favorit: ' + error.message);
+    }
+  }
+
+  cancelImport() {
+    this.importPreview = null;
+  }
+
   async clearAllFavorites() {
     console.log('FavoritesPresenter: Clearing all favorites');
     
@@ -113,32 +289,17 @@ class FavoritesPresenter {
         return;
       }
 
-      if (!confirm(`Apakah Anda yakin ingin menghapus semua ${favorites.length} favorit? Tindakan ini tidak dapat dibatalkan.`)) {
+      if (!await this.view.confirmClearAll(favorites.length)) {
         return;
       }
 
-      const success = await this.favoritesHelper.clearAllFavorites();
-      
-      if (success) {
-        this.view.showSuccess(`${favorites.length} favorit berhasil dihapus`);
-        // Reload to show empty state
-        await this.loadFavorites();
-      }
+      await this.favoritesHelper.clearAllFavorites();
     } catch (error) {
       console.error('FavoritesPresenter: Error clearing favorites:', error);
       this.view.showError('Gagal menghapus semua favorit: ' + error.message);
     }
   }
 
-  async updateFavoritesCount() {
-    try {
-      const favorites = await this.favoritesHelper.getAllFavorites();
-      this.view.updateFavoritesCount(favorites.length);
-    } catch (error) {
-      console.error('Error updating favorites count:', error);
-    }
-  }
-
   // Helper method untuk navigasi
   navigateToHome() {
     if (window.router) {
@@ -1,47 +1,96 @@
 // Updated home-presenter.js - No DOM manipulation, removed localStorage access
 
 class HomePresenter {
-  constructor({ view, model }) {
+  constructor({ view, model, pageSize = 12, searchCriteria = null }) {
     this.view = view;
     this.model = model;
-    
+
+    // Paging state for the infinite feed
+    this.pageSize = pageSize;
+    this.currentPage = 0;
+    this.hasMore = true;
+    this.isLoading = false;
+
+    // Search state. While a search is active the feed shows matches from
+    // the whole story list instead of server pages.
+    this.criteria = searchCriteria || window.StorySearch.emptyCriteria();
+    this.searchSource = null;
+    this.searchResults = [];
+    this.searchShown = 0;
+    this.userPosition = null;
+
     // Set presenter reference in the view
     this.view.setPresenter(this);
     console.log('HomePresenter initialized with view and model');
   }
-  
-  init() {
+
+  async init() {
     console.log('HomePresenter.init called');
+
+    // "Di dekat saya" stays on once chosen, unless the URL asks for
+    // another order
+    if (this.criteria.sort === 'terbaru' && await window.GeoUtils.isNearMeEnabled()) {
+      this.criteria.sort = 'terdekat';
+    }
+
+    this.view.setSearchCriteria(this.criteria);
+    this.view.setNearMeActive(this.criteria.sort === 'terdekat');
     this.loadStories();
   }
-  
+
+  // Load the first page and reset the feed
   async loadStories() {
     console.log('HomePresenter.loadStories called');
-    
-    // Tell the view to show loading state
-    this.view.showLoading();
-    
+
+    if (this.isLoading) {
+      console.log('HomePresenter: Load already in progress, skipping');
+      return;
+    }
+
+    if (this.isSearching()) {
+      await this._loadSearchResults();
+      return;
+    }
+
+    this.currentPage = 0;
+    this.hasMore = true;
+
+    // Stale-while-revalidate: show the cached feed right away, then swap
+    // in the network result once it arrives
+    const showedCache = await this._showCachedFeed();
+    if (!showedCache) {
+      // Tell the view to show loading state
+      this.view.showLoading();
+    }
+
     try {
       // Get stories from the model
       console.log('HomePresenter: Requesting stories from model');
-      const stories = await this.model.getAllStories();
-      console.log('HomePresenter: Stories loaded successfully, count:', stories ? stories.length : 0);
-      
-      // Check if stories array exists and has items
-      if (stories && Array.isArray(stories)) {
-        // Update the view with the loaded stories
-        this.view.renderStories(stories);
-      } else {
-        console.warn('HomePresenter: No stories returned or invalid format');
-        this.view.renderStories([]);
+      const result = await this._fetchPage(1);
+      console.log('HomePresenter: Stories loaded successfully, count:', result.stories.length);
+
+      // A search started while the feed was loading takes over
+      if (this.isSearching()) {
+        await this._loadSearchResults();
+        return;
       }
+
+      // Update the view with the loaded stories
+      this.view.renderStories(result.stories);
+      this.view.renderFreshness({
+        fetchedAt: result.fetchedAt,
+        fromCache: result.fromCache,
+        isOffline: result.isOffline,
+        isRefreshing: false
+      });
+      this._updateFeedState();
     } catch (error) {
       console.error('HomePresenter: Error loading stories:', error);
-      
+
       // Show error message in the view
       const errorMessage = error.message || 'Failed to load stories';
       this.view.renderError(errorMessage);
-      
+
       // If the error is due to authentication, check token through model
       if (errorMessage.includes('token') || errorMessage.includes('authentication')) {
         console.log('HomePresenter: Authentication issue detected, checking token');
@@ -49,7 +98,248 @@ class HomePresenter {
       }
     }
   }
-  
+
+  // Load the next page and append it to the feed
+  async loadMoreStories() {
+    if (this.isSearching()) {
+      this._showMoreSearchResults();
+      return;
+    }
+
+    // Wait for the first page before paging further
+    if (this.isLoading || !this.hasMore || this.currentPage === 0) return;
+
+    console.log('HomePresenter.loadMoreStories called, next page:', this.currentPage + 1);
+    this.view.showLoadingMore();
+
+    try {
+      const { stories } = await this._fetchPage(this.currentPage + 1);
+      this.view.appendStories(stories);
+      this._updateFeedState();
+    } catch (error) {
+      console.error('HomePresenter: Error loading more stories:', error);
+      this.view.renderLoadMoreError(error.message || 'Gagal memuat cerita berikutnya');
+    }
+  }
+
+  // Render the first page of the cached feed while the network request runs.
+  // Returns true when something was shown.
+  async _showCachedFeed() {
+    try {
+      const cached = await this.model.getCachedFeed();
+      if (!cached || !Array.isArray(cached.stories) || cached.stories.length === 0) {
+        return false;
+      }
+
+      this.view.renderStories(cached.stories.slice(0, this.pageSize));
+      this.view.renderFreshness({
+        fetchedAt: cached.fetchedAt,
+        fromCache: true,
+        isOffline: !navigator.onLine,
+        isRefreshing: true
+      });
+      return true;
+    } catch (error) {
+      console.warn('HomePresenter: Could not read cached feed:', error);
+      return false;
+    }
+  }
+
+  // === SEARCH ===
+
+  isSearching() {
+    return window.StorySearch.isActive(this.criteria);
+  }
+
+  // Apply changed search fields, e.g. { q: 'pantai' } or { sort: 'terlama' }.
+  // The criteria are mirrored in the hash URL so the result can be shared.
+  async updateSearch(changes) {
+    const criteria = { ...this.criteria, ...changes };
+
+    if (criteria.from && criteria.to && criteria.from > criteria.to) {
+      this.view.showSearchError('Tanggal "dari" harus sebelum tanggal "sampai"');
+      return;
+    }
+
+    await this._resolveNearestSort(criteria);
+
+    // Picking an order is also the near-me opt-in/opt-out
+    if ('sort' in changes) {
+      window.GeoUtils.setNearMeEnabled(criteria.sort === 'terdekat');
+    }
+
+    this.criteria = criteria;
+    this.view.setNearMeActive(criteria.sort === 'terdekat');
+    this._updateUrl();
+
+    // The next search starts from a fresh copy of the story list
+    if (!this.isSearching()) {
+      this.searchSource = null;
+    }
+
+    if (this.searchSource) {
+      await this._applySearch();
+    } else {
+      await this.loadStories();
+    }
+  }
+
+  toggleNearMe() {
+    return this.updateSearch({
+      sort: this.criteria.sort === 'terdekat' ? 'terbaru' : 'terdekat'
+    });
+  }
+
+  clearSearch() {
+    const criteria = window.StorySearch.emptyCriteria();
+    this.view.setSearchCriteria(criteria);
+    return this.updateSearch(criteria);
+  }
+
+  // Back online or the outbox changed: the story list searched so far is
+  // out of date
+  refreshSearchSource() {
+    this.searchSource = null;
+    if (this.isSearching()) {
+      return this.loadStories();
+    }
+  }
+
+  // Search covers the whole feed: fetched in full when online, the cached
+  // stories when offline (getStoriesWithMeta falls back to them)
+  async _loadSearchResults() {
+    this.isLoading = true;
+    this.view.renderSearchSummary({ isSearching: true });
+
+    try {
+      await this._resolveNearestSort(this.criteria);
+      this._updateUrl();
+
+      const result = await this.model.getStoriesWithMeta();
+      this.searchSource = result;
+      this._migrateScrapedFavorites(result.stories);
+
+      this.view.renderFreshness({
+        fetchedAt: result.fetchedAt,
+        fromCache: result.fromCache,
+        isOffline: result.isOffline,
+        isRefreshing: false
+      });
+    } catch (error) {
+      console.error('HomePresenter: Error loading stories for search:', error);
+      this.view.renderSearchSummary(null);
+      this.view.renderError(error.message || 'Gagal memuat cerita');
+      return;
+    } finally {
+      this.isLoading = false;
+    }
+
+    await this._applySearch();
+  }
+
+  async _applySearch() {
+    // The search may have been cleared while the stories were loading
+    if (!this.isSearching()) {
+      this.view.renderSearchSummary(null);
+      await this.loadStories();
+      return;
+    }
+
+    const { stories, isOffline } = this.searchSource;
+    this.searchResults = window.StorySearch.filter(stories, this.criteria, this.userPosition);
+    this.searchShown = 0;
+
+    this.view.setAuthorSuggestions(window.StorySearch.getAuthors(stories));
+    this.view.renderSearchSummary({
+      count: this.searchResults.length,
+      total: stories.length,
+      isOffline
+    });
+
+    if (this.searchResults.length === 0) {
+      this.view.renderNoSearchResults();
+      return;
+    }
+
+    this.view.renderStories(this._nextSearchPage());
+    this._updateFeedState();
+  }
+
+  _showMoreSearchResults() {
+    if (this.searchShown >= this.searchResults.length) return;
+
+    this.view.appendStories(this._nextSearchPage());
+    this._updateFeedState();
+  }
+
+  // Matches are shown a page at a time through the same infinite scroll
+  _nextSearchPage() {
+    const page = this.searchResults.slice(this.searchShown, this.searchShown + this.pageSize);
+    this.searchShown += page.length;
+    this.hasMore = this.searchShown < this.searchResults.length;
+    return page;
+  }
+
+  _updateUrl() {
+    if (window.router) {
+      window.router.replaceQuery(window.StorySearch.toQuery(this.criteria));
+    }
+  }
+
+  // Sorting by distance needs the user's position; without it fall back
+  // to the previous order and tell the user why
+  async _resolveNearestSort(criteria) {
+    if (criteria.sort !== 'terdekat' || this.userPosition) return;
+
+    try {
+      this.userPosition = await window.GeoUtils.getCurrentPosition();
+    } catch (error) {
+      console.warn('HomePresenter: Location unavailable for nearest sort:', error);
+      criteria.sort = this.criteria.sort === 'terdekat' ? 'terbaru' : this.criteria.sort;
+      window.GeoUtils.setNearMeEnabled(false);
+      this.view.setSearchCriteria(criteria);
+      this.view.setNearMeActive(false);
+      this.view.showSearchError(`Tidak bisa mengurutkan berdasarkan jarak: ${error.message}`);
+    }
+  }
+
+  async _fetchPage(page) {
+    this.isLoading = true;
+
+    try {
+      const result = await this.model.getStoriesWithMeta({ page, size: this.pageSize });
+      const list = Array.isArray(result.stories) ? result.stories : [];
+
+      this.currentPage = page;
+      // A short page means the server has nothing left
+      this.hasMore = list.length >= this.pageSize;
+
+      this._migrateScrapedFavorites(list);
+
+      return { ...result, stories: list };
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  // Favorites saved before <story-card> used real ids get re-keyed as soon
+  // as their story shows up in the feed
+  _migrateScrapedFavorites(stories) {
+    if (!window.favoritesHelper || stories.length === 0) return;
+
+    window.favoritesHelper.migrateScrapedFavorites(stories).catch(error => {
+      console.warn('HomePresenter: Could not migrate old favorites:', error);
+    });
+  }
+
+  _updateFeedState() {
+    if (this.hasMore) {
+      this.view.hideLoadingMore();
+    } else {
+      this.view.renderEndOfFeed();
+    }
+  }
+
   // Helper method to check authentication status
   _checkAuth() {
     // Check authentication through model instead of direct localStorage access
@@ -64,4 +354,4 @@ class HomePresenter {
   }
 }
 window.HomePresenter = HomePresenter;
-console.log('HomePresenter exported to window');
\ No newline at end of file
+console.log('HomePresenter exported to window');
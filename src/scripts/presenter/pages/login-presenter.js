@@ -13,6 +13,11 @@ class LoginPresenter {
     
     init() {
         console.log('LoginPresenter initialized');
+
+        // Explain why the user landed here after an expired session
+        if (this.apiService.consumeSessionExpiredNotice && this.apiService.consumeSessionExpiredNotice()) {
+            this.view.showAlert('Sesi Anda telah berakhir. Silakan masuk kembali.');
+        }
     }
     async handleLogin(email, password) {
   try {
@@ -34,8 +39,8 @@ class LoginPresenter {
         window.dispatchEvent(new Event('authChanged'));
       }
       
-      // Navigate to home
-      this.router.navigateTo('/');
+      // Return to the page that required login, or home
+      this.navigateAfterLogin();
     }
   } catch (error) {
     console.error('Login error:', error);
@@ -64,9 +69,9 @@ class LoginPresenter {
             // Show success message in the view
             this.view.showSuccess('✅ Berhasil login');
 
-            // Navigate to home page after a short delay through view
+            // Navigate back to the intended page after a short delay through view
             this.view.scheduleNavigation(() => {
-                this.navigateToHome();
+                this.navigateAfterLogin();
             }, 1000);
 
             return true;
@@ -82,6 +87,11 @@ class LoginPresenter {
         this.router.navigateTo('/');
     }
 
+    navigateAfterLogin() {
+        const intendedRoute = this.router.consumeIntendedRoute();
+        this.router.navigateTo(intendedRoute || '/');
+    }
+
     navigateToRegister() {
         this.router.navigateTo('/daftar');
     }
@@ -1,33 +1,159 @@
 class MapPresenter {
-  constructor({ view, model }) {
+  constructor({ view, model, focus = null }) {
     this.view = view;
     this.model = model;
-    
+
+    // Optional { lat, lon } to center on, e.g. from the story detail page
+    this.focus = focus;
+
+    // All stories with a location, and the bounding box from "Cari di area ini"
+    this.stories = [];
+    this.areaFilter = null;
+
+    // "Di dekat saya": the user's { lat, lon, accuracy } and the optional
+    // radius in km stories must fall within
+    this.userPosition = null;
+    this.radiusKm = null;
+
     // Set this presenter as the view's presenter
     this.view.setPresenter(this);
-    
+
     console.log('MapPresenter created');
   }
-  
+
   init() {
     console.log('MapPresenter initialized');
   }
-  
+
   async loadStoriesForMap() {
     console.log('MapPresenter: Loading stories for map');
-    
+
     try {
       // Get stories from the model
       const stories = await this.model.getAllStories();
       console.log(`MapPresenter: Successfully retrieved ${stories.length} stories`);
-      
+
+      this.stories = stories.filter(story => window.GeoUtils.hasCoordinates(story));
+      this.areaFilter = null;
+
       // Update the view with the loaded stories
-      this.view.displayStories(stories);
+      this.view.displayStories(this.stories);
+
+      if (this.focus) {
+        this.view.focusLocation(this.focus.lat, this.focus.lon);
+      }
+
+      // Opted in earlier: show the user's location again without asking
+      if (await window.GeoUtils.isNearMeEnabled()) {
+        await this.locateUser({ recenter: !this.focus });
+      }
     } catch (error) {
       console.error('MapPresenter: Error loading stories:', error);
       this.view.showError(error.message || 'Failed to load stories');
     }
   }
+
+  // Called by the view after every pan/zoom with the visible bounds
+  onViewportChanged(bounds) {
+    const activeStories = this._getActiveStories();
+    const stories = activeStories.filter(story => this._isInBounds(story, bounds));
+
+    this.view.renderStoryList(stories, {
+      total: activeStories.length,
+      isAreaFilter: this.areaFilter !== null,
+      radiusKm: this.radiusKm
+    });
+  }
+
+  // === NEAR ME ===
+
+  async toggleNearMe() {
+    if (this.userPosition) {
+      this.userPosition = null;
+      this.radiusKm = null;
+      window.GeoUtils.setNearMeEnabled(false);
+
+      this.view.clearUserLocation();
+      this.view.displayStories(this._getActiveStories());
+      return;
+    }
+
+    await this.locateUser({ recenter: true });
+  }
+
+  async locateUser({ recenter = true } = {}) {
+    this.view.setNearMeState({ isActive: false, isLocating: true });
+
+    try {
+      this.userPosition = await window.GeoUtils.getCurrentPosition();
+      window.GeoUtils.setNearMeEnabled(true);
+
+      this.view.showUserLocation(this.userPosition, { recenter });
+      this.view.setNearMeState({ isActive: true, isLocating: false });
+      this.view.displayStories(this._getActiveStories());
+    } catch (error) {
+      console.warn('MapPresenter: Location unavailable:', error);
+      this.userPosition = null;
+      window.GeoUtils.setNearMeEnabled(false);
+
+      this.view.setNearMeState({ isActive: false, isLocating: false });
+      this.view.showLocationError(`Lokasi Anda tidak tersedia: ${error.message}`);
+    }
+  }
+
+  // radiusKm null shows stories at any distance
+  setRadius(radiusKm) {
+    if (!this.userPosition) return;
+
+    this.radiusKm = radiusKm || null;
+
+    this.view.showRadius(this.userPosition, this.radiusKm);
+    this.view.displayStories(this._getActiveStories());
+  }
+
+  // Keep only the stories inside the given bounding box on the map
+  searchArea(bounds) {
+    this.areaFilter = bounds;
+
+    this.view.displayStories(this._getActiveStories());
+    this.view.setAreaFilterActive(true);
+  }
+
+  clearAreaFilter() {
+    this.areaFilter = null;
+
+    this.view.displayStories(this._getActiveStories());
+    this.view.setAreaFilterActive(false);
+  }
+
+  // Stories passing the area and radius filters; nearest first once the
+  // user's position is known
+  _getActiveStories() {
+    let stories = this.areaFilter
+      ? this.stories.filter(story => this._isInBounds(story, this.areaFilter))
+      : this.stories;
+
+    if (!this.userPosition) return stories;
+
+    stories = stories.map(story => ({
+      ...story,
+      distanceKm: window.GeoUtils.distanceKm(this.userPosition, story)
+    }));
+
+    if (this.radiusKm) {
+      stories = stories.filter(story => story.distanceKm !== null && story.distanceKm <= this.radiusKm);
+    }
+
+    return stories.sort((a, b) => a.distanceKm - b.distanceKm);
+  }
+
+  _isInBounds(story, bounds) {
+    const lat = Number(story.lat);
+    const lon = Number(story.lon);
+
+    return lat >= bounds.south && lat <= bounds.north &&
+           lon >= bounds.west && lon <= bounds.east;
+  }
 }
 window.MapPresenter = MapPresenter;
-console.log('MapPresenter exported to window');
\ No newline at end of file
+console.log('MapPresenter exported to window');
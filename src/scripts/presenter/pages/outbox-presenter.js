@@ -0,0 +1,110 @@
+// src/scripts/presenter/pages/outbox-presenter.js
+
+class OutboxPresenter {
+  constructor({ view, model }) {
+    this.view = view;
+    this.model = model;
+
+    // Set presenter reference in view
+    this.view.setPresenter(this);
+
+    console.log('OutboxPresenter initialized');
+  }
+
+  async init() {
+    console.log('OutboxPresenter.init called');
+    await this.loadQueue();
+  }
+
+  async loadQueue() {
+    try {
+      this.view.showLoading();
+
+      const stories = await this.model.getQueuedStories();
+
+      // Oldest first, so the list reads in upload order
+      stories.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+      this.view.renderQueue(stories);
+    } catch (error) {
+      console.error('OutboxPresenter: Error loading queue:', error);
+      this.view.showError('Gagal memuat antrean: ' + error.message);
+    }
+  }
+
+  async saveStory(id, { description, lat, lon }) {
+    const error = this._validate({ description, lat, lon });
+    if (error) {
+      this.view.showToast(error, 'error');
+      return false;
+    }
+
+    try {
+      await this.model.updateQueuedStory(id, {
+        description: description.trim(),
+        lat: lat === '' ? null : Number(lat),
+        lon: lon === '' ? null : Number(lon)
+      });
+      this.view.showToast('Perubahan disimpan', 'success');
+      // The list reloads from the outboxChanged event once the form closes
+      this.view.closeEditForm(id);
+      return true;
+    } catch (err) {
+      console.error('OutboxPresenter: Error saving story:', err);
+      this.view.showToast('Gagal menyimpan perubahan: ' + err.message, 'error');
+      return false;
+    }
+  }
+
+  async retryStory(id) {
+    this.view.setItemBusy(id, true);
+
+    try {
+      await this.model.retryQueuedStory(id);
+      this.view.showToast('Cerita berhasil diunggah!', 'success');
+    } catch (error) {
+      console.error('OutboxPresenter: Error retrying story:', error);
+      this.view.showToast(error.message, 'error');
+    } finally {
+      this.view.setItemBusy(id, false);
+    }
+  }
+
+  async deleteStory(id) {
+    try {
+      await this.model.removeQueuedStory(id);
+      this.view.showToast('Cerita dihapus dari antrean', 'info');
+    } catch (error) {
+      console.error('OutboxPresenter: Error deleting story:', error);
+      this.view.showToast('Gagal menghapus cerita: ' + error.message, 'error');
+    }
+  }
+
+  _validate({ description, lat, lon }) {
+    if (!description || !description.trim()) {
+      return 'Cerita tidak boleh kosong.';
+    }
+
+    // Location is optional, but both halves must be given together
+    if ((lat === '') !== (lon === '')) {
+      return 'Isi latitude dan longitude sekaligus, atau kosongkan keduanya.';
+    }
+
+    if (lat !== '') {
+      // Number() rejects trailing junk like "12abc", which parseFloat accepts
+      const latNum = Number(lat);
+      const lonNum = Number(lon);
+
+      if (!Number.isFinite(latNum) || latNum < -90 || latNum > 90) {
+        return 'Latitude harus di antara -90 dan 90.';
+      }
+      if (!Number.isFinite(lonNum) || lonNum < -180 || lonNum > 180) {
+        return 'Longitude harus di antara -180 dan 180.';
+      }
+    }
+
+    return null;
+  }
+}
+window.OutboxPresenter = OutboxPresenter;
+console.log('OutboxPresenter exported to window');
@@ -5,6 +5,7 @@ class SettingsPresenter {
     this.view = view;
     this.favoritesHelper = window.favoritesHelper;
     this.indexedDBHelper = window.indexedDBHelper;
+    this.importPreview = null;
     
     // Set presenter reference in view
     this.view.setPresenter(this);
@@ -35,10 +36,52 @@ class SettingsPresenter {
     }
   }
 
+  // === IMPORT ===
+
+  async previewImport(file) {
+    console.log('SettingsPresenter: Previewing import', file && file.name);
+
+    try {
+      this.importPreview = await this.favoritesHelper.previewFavoritesImport(file);
+      this.view.showImportPreview(this.importPreview);
+    } catch (error) {
+      console.error('SettingsPresenter: Invalid import file:', error);
+      this.importPreview = null;
+      this.view.showImportError(error.message);
+    }
+  }
+
+  async confirmImport(options) {
+    if (!this.importPreview) return;
+
+    this.view.setImportBusy(true);
+
+    try {
+      const summary = await this.favoritesHelper.importFavorites(this.importPreview, options);
+      this.importPreview = null;
+      this.view.showImportSummary(summary);
+      this.view._loadDataStats();
+    } catch (error) {
+      console.error('SettingsPresenter: Error importing favorites:', error);
+      this.view.setImportBusy(false);
+      this.view.showImportError('Gagal import favorit: ' + error.message);
+    }
+  }
+
+  cancelImport() {
+    this.importPreview = null;
+  }
+
   async clearAllData() {
     console.log('SettingsPresenter: Clearing all data');
     
-    if (!confirm('Apakah Anda yakin ingin menghapus semua data lokal? Tindakan ini tidak dapat dibatalkan.')) {
+    const confirmed = await window.ConfirmDialog.show({
+      title: 'Hapus data lokal',
+      message: 'Apakah Anda yakin ingin menghapus semua data lokal? Tindakan ini tidak dapat dibatalkan.',
+      confirmLabel: 'Hapus semua data',
+      danger: true
+    });
+    if (!confirmed) {
       return;
     }
 
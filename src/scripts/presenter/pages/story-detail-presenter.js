@@ -0,0 +1,33 @@
+// src/scripts/presenter/pages/story-detail-presenter.js
+
+class StoryDetailPresenter {
+  constructor({ view, model, storyId }) {
+    this.view = view;
+    this.model = model;
+    this.storyId = storyId;
+
+    // Set presenter reference in the view
+    this.view.setPresenter(this);
+
+    console.log('StoryDetailPresenter initialized for story', storyId);
+  }
+
+  init() {
+    console.log('StoryDetailPresenter.init called');
+    this.loadStory();
+  }
+
+  async loadStory() {
+    this.view.showLoading();
+
+    try {
+      const story = await this.model.getStoryDetail(this.storyId);
+      this.view.renderStory(story);
+    } catch (error) {
+      console.error('StoryDetailPresenter: Error loading story:', error);
+      this.view.renderError(error.message || 'Gagal memuat cerita');
+    }
+  }
+}
+window.StoryDetailPresenter = StoryDetailPresenter;
+console.log('StoryDetailPresenter exported to window');
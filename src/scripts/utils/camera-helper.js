@@ -1,26 +1,199 @@
-const cameraHelper = {
-  async startCamera(videoElement) {
+// src/scripts/utils/camera-helper.js - Camera service for the add-story form
+// Keeps the active stream itself, so any page (and app.js on navigation) can
+// stop it without knowing the video element. Remembers the chosen camera and
+// resolution across restarts, and exposes torch/zoom when the track has them.
+//
+// startCamera() and friends reject with an Error whose `code` is one of
+// CAMERA_ERROR_MESSAGES' keys and whose message can be shown to the user.
+
+const CAMERA_RESOLUTIONS = {
+  sd: { label: '480p', width: 640, height: 480 },
+  hd: { label: '720p', width: 1280, height: 720 },
+  'full-hd': { label: '1080p', width: 1920, height: 1080 }
+};
+
+const CAMERA_ERROR_MESSAGES = {
+  'permission-denied': 'Akses kamera ditolak. Izinkan kamera untuk situs ini di pengaturan browser.',
+  'no-device': 'Tidak ada kamera yang ditemukan di perangkat ini.',
+  'in-use': 'Kamera sedang dipakai aplikasi lain. Tutup aplikasi itu lalu coba lagi.',
+  unsupported: 'Browser ini tidak mendukung kamera (butuh HTTPS).',
+  unknown: 'Gagal memulai kamera. Coba lagi.'
+};
+
+// DOMException names from getUserMedia, including old Chrome/Firefox ones
+const CAMERA_ERROR_CODES = {
+  NotAllowedError: 'permission-denied',
+  PermissionDeniedError: 'permission-denied',
+  SecurityError: 'permission-denied',
+  NotFoundError: 'no-device',
+  DevicesNotFoundError: 'no-device',
+  OverconstrainedError: 'no-device',
+  NotReadableError: 'in-use',
+  TrackStartError: 'in-use',
+  AbortError: 'in-use'
+};
+
+class CameraHelper {
+  constructor() {
+    this.stream = null;
+    this.videoElement = null;
+    this.devices = [];
+
+    // Chosen settings, kept for the next start
+    this.facingMode = 'environment';
+    this.deviceId = null;
+    this.resolution = 'hd';
+    this.torch = false;
+  }
+
+  isSupported() {
+    return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+  }
+
+  isActive() {
+    return !!this.stream;
+  }
+
+  /**
+   * Start the camera into a video element, replacing any running stream
+   * @param {HTMLVideoElement} videoElement
+   * @param {Object} [options] - override the remembered choice
+   * @param {string} [options.deviceId]
+   * @param {('environment'|'user')} [options.facingMode]
+   * @param {string} [options.resolution] - key of CameraHelper.RESOLUTIONS
+   * @returns {Promise<Object>} getState()
+   */
+  async startCamera(videoElement, { deviceId, facingMode, resolution } = {}) {
+    if (!this.isSupported()) {
+      throw CameraHelper._createError('unsupported');
+    }
+
+    if (facingMode) {
+      this.facingMode = facingMode;
+      this.deviceId = null;
+    }
+    if (deviceId) this.deviceId = deviceId;
+    if (resolution && CAMERA_RESOLUTIONS[resolution]) this.resolution = resolution;
+
+    this.stopCamera();
+
+    let stream;
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: { facingMode: 'environment' }
-      });
-      videoElement.srcObject = stream;
-      return true;
+      stream = await this._getUserMedia();
     } catch (error) {
       console.error('Error accessing camera:', error);
-      return false;
+      throw CameraHelper._createError(CAMERA_ERROR_CODES[error.name] || 'unknown', error);
     }
-  },
+
+    this.stream = stream;
+    this.videoElement = videoElement;
+    this.torch = false;
+    videoElement.srcObject = stream;
+
+    // What we actually got; facingMode is missing on most desktop webcams
+    const track = this._getTrack();
+    const settings = track.getSettings ? track.getSettings() : {};
+    if (settings.deviceId) this.deviceId = settings.deviceId;
+    if (settings.facingMode) this.facingMode = settings.facingMode;
+
+    // Labels are only readable once permission has been granted
+    await this.getDevices();
+
+    console.log(`CameraHelper: started ${settings.width || '?'}x${settings.height || '?'} (${this.facingMode})`);
+    return this.getState();
+  }
 
   stopCamera() {
-    const videoElement = document.getElementById('cameraFeed');
-    if (videoElement && videoElement.srcObject) {
-      const stream = videoElement.srcObject;
-      const tracks = stream.getTracks();
-      tracks.forEach(track => track.stop());
-      videoElement.srcObject = null;
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+    if (this.videoElement) {
+      this.videoElement.srcObject = null;
+      this.videoElement = null;
+    }
+    this.torch = false;
+  }
+
+  /**
+   * Video inputs of this device
+   * @returns {Promise<Array<{deviceId: string, label: string}>>}
+   */
+  async getDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      this.devices = devices
+        .filter(device => device.kind === 'videoinput')
+        .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Kamera ${index + 1}` }));
+    } catch (error) {
+      console.warn('CameraHelper: Could not list cameras:', error);
+      this.devices = [];
     }
-  },
+    return this.devices;
+  }
+
+  // Front <-> back; restarts the running stream
+  switchFacingMode() {
+    const facingMode = this.facingMode === 'user' ? 'environment' : 'user';
+    return this._restart({ facingMode });
+  }
+
+  selectDevice(deviceId) {
+    return this._restart({ deviceId });
+  }
+
+  setResolution(resolution) {
+    return this._restart({ resolution });
+  }
+
+  /**
+   * Torch and zoom support of the running track
+   * @returns {{torch: boolean, zoom: ({min: number, max: number, step: number}|null)}}
+   */
+  getCapabilities() {
+    const track = this._getTrack();
+    const capabilities = track && track.getCapabilities ? track.getCapabilities() : {};
+
+    return {
+      torch: !!capabilities.torch,
+      zoom: capabilities.zoom && capabilities.zoom.max > capabilities.zoom.min
+        ? { min: capabilities.zoom.min, max: capabilities.zoom.max, step: capabilities.zoom.step || 0.1 }
+        : null
+    };
+  }
+
+  async setTorch(on) {
+    if (!this.getCapabilities().torch) return false;
+
+    await this._getTrack().applyConstraints({ advanced: [{ torch: on }] });
+    this.torch = on;
+    return true;
+  }
+
+  async setZoom(zoom) {
+    if (!this.getCapabilities().zoom) return false;
+
+    await this._getTrack().applyConstraints({ advanced: [{ zoom }] });
+    return true;
+  }
+
+  getState() {
+    const track = this._getTrack();
+    const settings = track && track.getSettings ? track.getSettings() : {};
+
+    return {
+      isActive: this.isActive(),
+      facingMode: this.facingMode,
+      deviceId: this.deviceId,
+      devices: this.devices,
+      resolution: this.resolution,
+      torch: this.torch,
+      zoom: settings.zoom ?? null,
+      capabilities: this.getCapabilities()
+    };
+  }
 
   captureImage(videoElement, canvas) {
     try {
@@ -33,7 +206,7 @@ const cameraHelper = {
       console.error('Error capturing image:', error);
       return null;
     }
-  },
+  }
 
   async getCapturedImageBlob() {
     const capturedImage = document.getElementById('capturedImage');
@@ -43,5 +216,57 @@ const cameraHelper = {
     }
     return null;
   }
-};
-window.cameraHelper = cameraHelper;
\ No newline at end of file
+
+  _restart(options) {
+    if (!this.videoElement) {
+      return Promise.reject(new Error('Camera is not running'));
+    }
+    return this.startCamera(this.videoElement, options);
+  }
+
+  async _getUserMedia() {
+    try {
+      return await navigator.mediaDevices.getUserMedia({ video: this._getConstraints() });
+    } catch (error) {
+      // The remembered camera is gone (unplugged); fall back to any camera
+      // facing the same way
+      if (this.deviceId && ['OverconstrainedError', 'NotFoundError'].includes(error.name)) {
+        this.deviceId = null;
+        return navigator.mediaDevices.getUserMedia({ video: this._getConstraints() });
+      }
+      throw error;
+    }
+  }
+
+  _getTrack() {
+    return this.stream ? this.stream.getVideoTracks()[0] : null;
+  }
+
+  // `ideal` everywhere so a camera that cannot do it still starts
+  _getConstraints() {
+    const { width, height } = CAMERA_RESOLUTIONS[this.resolution];
+    const constraints = { width: { ideal: width }, height: { ideal: height } };
+
+    if (this.deviceId) {
+      constraints.deviceId = { exact: this.deviceId };
+    } else {
+      constraints.facingMode = { ideal: this.facingMode };
+    }
+    return constraints;
+  }
+
+  static _createError(code, cause = null) {
+    const error = new Error(CAMERA_ERROR_MESSAGES[code]);
+    error.code = code;
+    error.cause = cause;
+    return error;
+  }
+}
+
+CameraHelper.RESOLUTIONS = CAMERA_RESOLUTIONS;
+
+const cameraHelper = new CameraHelper();
+
+window.CameraHelper = CameraHelper;
+window.cameraHelper = cameraHelper;
+console.log('CameraHelper exported to window');
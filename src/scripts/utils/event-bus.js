@@ -0,0 +1,87 @@
+// src/scripts/utils/event-bus.js - Sinkronisasi event antar tab
+// Event aplikasi yang di-dispatch di window (login/logout, favorit, antrean
+// offline) diteruskan ke tab lain lewat BroadcastChannel, atau lewat event
+// `storage` dari localStorage jika BroadcastChannel tidak tersedia. Di tab
+// penerima event yang sama di-dispatch ulang dengan detail.fromOtherTab = true,
+// jadi listener yang sudah ada ikut jalan tanpa perubahan.
+
+const SYNCED_EVENTS = ['authChanged', 'favoritesChanged', 'outboxChanged'];
+const CHANNEL_NAME = 'petabicara-events';
+const STORAGE_KEY = 'petabicara_event_bus';
+
+class EventBus {
+  constructor() {
+    this.channel = null;
+
+    this._onStorage = this._onStorage.bind(this);
+  }
+
+  init() {
+    if ('BroadcastChannel' in window) {
+      this.channel = new BroadcastChannel(CHANNEL_NAME);
+      this.channel.onmessage = (event) => this._receive(event.data);
+    } else {
+      window.addEventListener('storage', this._onStorage);
+    }
+
+    SYNCED_EVENTS.forEach(type => {
+      window.addEventListener(type, (event) => this._forward(event));
+    });
+
+    console.log(`EventBus: syncing tabs via ${this.channel ? 'BroadcastChannel' : 'localStorage'}`);
+  }
+
+  // True untuk event yang datang dari tab lain
+  static isFromOtherTab(event) {
+    return !!(event && event.detail && event.detail.fromOtherTab);
+  }
+
+  _forward(event) {
+    // Jangan kirim balik event yang baru diterima dari tab lain
+    if (EventBus.isFromOtherTab(event)) return;
+
+    const message = {
+      type: event.type,
+      detail: event.detail || null,
+      sentAt: Date.now()
+    };
+
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else {
+        // Tab lain menerima event storage saat nilainya berubah;
+        // langsung dihapus supaya localStorage tetap bersih
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(message));
+        localStorage.removeItem(STORAGE_KEY);
+      }
+    } catch (error) {
+      console.warn(`EventBus: Could not forward ${event.type}:`, error);
+    }
+  }
+
+  _onStorage(event) {
+    if (event.key !== STORAGE_KEY || !event.newValue) return;
+
+    try {
+      this._receive(JSON.parse(event.newValue));
+    } catch (error) {
+      console.warn('EventBus: Ignoring unreadable message:', error);
+    }
+  }
+
+  _receive(message) {
+    if (!message || !SYNCED_EVENTS.includes(message.type)) return;
+
+    window.dispatchEvent(new CustomEvent(message.type, {
+      detail: { ...(message.detail || {}), fromOtherTab: true }
+    }));
+  }
+}
+
+const eventBus = new EventBus();
+eventBus.init();
+
+window.EventBus = EventBus;
+window.eventBus = eventBus;
+console.log('EventBus exported to window');
@@ -0,0 +1,271 @@
+// src/scripts/utils/exif-utils.js
+// Reads the bits of JPEG EXIF metadata the add-story flow uses (GPS position,
+// capture time, orientation) and removes metadata before upload so a photo
+// does not leak where it was taken.
+
+const JPEG_SOI = 0xFFD8;
+const JPEG_SOS = 0xFFDA;
+const JPEG_APP1 = 0xFFE1; // EXIF and XMP
+const JPEG_APP13 = 0xFFED; // IPTC (may hold location too)
+
+// EXIF lives in the first APP1 segment, which is at most 64 KB
+const EXIF_SCAN_BYTES = 128 * 1024;
+
+const EXIF_TAGS = {
+  ORIENTATION: 0x0112,
+  DATE_TIME: 0x0132,
+  EXIF_IFD: 0x8769,
+  GPS_IFD: 0x8825,
+  DATE_TIME_ORIGINAL: 0x9003,
+  GPS_LATITUDE_REF: 0x0001,
+  GPS_LATITUDE: 0x0002,
+  GPS_LONGITUDE_REF: 0x0003,
+  GPS_LONGITUDE: 0x0004
+};
+
+// Bytes per value for the TIFF field types we read
+const EXIF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const ExifUtils = {
+  _appliesOrientation: null,
+
+  /**
+   * Read GPS position, capture time and orientation from a JPEG.
+   * Anything missing or unreadable comes back as null / orientation 1.
+   * @param {Blob} blob
+   * @returns {Promise<{gps: ({lat: number, lon: number}|null), capturedAt: (Date|null), orientation: number}>}
+   */
+  async read(blob) {
+    const metadata = { gps: null, capturedAt: null, orientation: 1 };
+    if (!blob) return metadata;
+
+    try {
+      const view = new DataView(await blob.slice(0, EXIF_SCAN_BYTES).arrayBuffer());
+      const tiffStart = ExifUtils._findExif(view);
+      if (tiffStart === null) return metadata;
+
+      return { ...metadata, ...ExifUtils._parseTiff(view, tiffStart) };
+    } catch (error) {
+      console.warn('ExifUtils: Could not read EXIF:', error);
+      return metadata;
+    }
+  },
+
+  /**
+   * Copy of a JPEG without EXIF/XMP/IPTC segments; the image data is not
+   * re-encoded. Other formats are returned unchanged.
+   * Only use this for upright photos (orientation 1): the orientation tag
+   * goes too.
+   * @param {Blob} blob
+   * @returns {Promise<Blob>}
+   */
+  async strip(blob) {
+    const view = new DataView(await blob.arrayBuffer());
+    if (view.byteLength < 4 || view.getUint16(0) !== JPEG_SOI) return blob;
+
+    const parts = [blob.slice(0, 2)];
+    let offset = 2;
+
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xFF00) !== 0xFF00) break;
+
+      // Everything from the scan on is image data
+      if (marker === JPEG_SOS) break;
+
+      const end = offset + 2 + view.getUint16(offset + 2);
+      if (marker !== JPEG_APP1 && marker !== JPEG_APP13) {
+        parts.push(blob.slice(offset, end));
+      }
+      offset = end;
+    }
+
+    parts.push(blob.slice(offset));
+    return new Blob(parts, { type: 'image/jpeg' });
+  },
+
+  // Orientations 5-8 turn the image by 90°, so width and height swap
+  swapsDimensions(orientation) {
+    return orientation >= 5 && orientation <= 8;
+  },
+
+  /**
+   * Set up a canvas transform so drawing the stored (unrotated) image at
+   * 0,0 comes out upright. width/height are the stored image's size; the
+   * canvas must already be sized for the upright result.
+   */
+  applyOrientation(ctx, orientation, width, height) {
+    switch (orientation) {
+      case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+      case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+      case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+      case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+      case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+      case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+      case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+      default: break;
+    }
+  },
+
+  /**
+   * Most current browsers already honour the EXIF orientation when decoding
+   * an <img>; rotating again would turn the photo twice. Checked once with
+   * a 2×1 JPEG tagged "rotate 90°": if it decodes as 1×2 the browser did it.
+   * @returns {Promise<boolean>}
+   */
+  browserAppliesOrientation() {
+    if (!ExifUtils._appliesOrientation) {
+      ExifUtils._appliesOrientation = ExifUtils._detectAppliedOrientation().catch(() => true);
+    }
+    return ExifUtils._appliesOrientation;
+  },
+
+  async _detectAppliedOrientation() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 2;
+    canvas.height = 1;
+    const jpeg = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg'));
+
+    // APP1 segment with a single IFD0 entry: Orientation = 6
+    const exif = new Uint8Array([
+      0xFF, 0xE1, 0x00, 0x22,
+      0x45, 0x78, 0x69, 0x66, 0x00, 0x00,
+      0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08,
+      0x00, 0x01,
+      0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x06, 0x00, 0x00,
+      0x00, 0x00, 0x00, 0x00
+    ]);
+    const tagged = new Blob([jpeg.slice(0, 2), exif, jpeg.slice(2)], { type: 'image/jpeg' });
+
+    const url = URL.createObjectURL(tagged);
+    try {
+      const image = new Image();
+      image.src = url;
+      await image.decode();
+      return image.naturalWidth === 1;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  },
+
+  // Offset of the TIFF header inside the EXIF APP1 segment, or null
+  _findExif(view) {
+    if (view.byteLength < 4 || view.getUint16(0) !== JPEG_SOI) return null;
+
+    let offset = 2;
+    while (offset + 10 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xFF00) !== 0xFF00 || marker === JPEG_SOS) return null;
+
+      // "Exif\0\0"
+      if (marker === JPEG_APP1 && view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0) {
+        return offset + 10;
+      }
+      offset += 2 + view.getUint16(offset + 2);
+    }
+    return null;
+  },
+
+  _parseTiff(view, start) {
+    const byteOrder = view.getUint16(start);
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return {};
+
+    const little = byteOrder === 0x4949;
+    const readIfd = (offset) => ExifUtils._readIfd(view, start, start + offset, little);
+    const ifd0 = readIfd(view.getUint32(start + 4, little));
+    const result = {};
+
+    const orientation = ifd0.get(EXIF_TAGS.ORIENTATION);
+    if (orientation >= 1 && orientation <= 8) {
+      result.orientation = orientation;
+    }
+
+    const exifIfd = ifd0.has(EXIF_TAGS.EXIF_IFD) ? readIfd(ifd0.get(EXIF_TAGS.EXIF_IFD)) : new Map();
+    result.capturedAt = ExifUtils._parseDate(exifIfd.get(EXIF_TAGS.DATE_TIME_ORIGINAL) || ifd0.get(EXIF_TAGS.DATE_TIME));
+
+    if (ifd0.has(EXIF_TAGS.GPS_IFD)) {
+      result.gps = ExifUtils._parseGps(readIfd(ifd0.get(EXIF_TAGS.GPS_IFD)));
+    }
+
+    return result;
+  },
+
+  // Map of tag -> value (number, string, or array for multi-value fields)
+  _readIfd(view, tiffStart, offset, little) {
+    const values = new Map();
+    const count = view.getUint16(offset, little);
+
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      const tag = view.getUint16(entry, little);
+      const type = view.getUint16(entry + 2, little);
+      const size = EXIF_TYPE_SIZES[type];
+      if (!size) continue;
+
+      const valueCount = view.getUint32(entry + 4, little);
+      const valueOffset = size * valueCount <= 4
+        ? entry + 8
+        : tiffStart + view.getUint32(entry + 8, little);
+
+      values.set(tag, ExifUtils._readValue(view, type, valueOffset, valueCount, little));
+    }
+
+    return values;
+  },
+
+  _readValue(view, type, offset, count, little) {
+    if (type === 2) {
+      let text = '';
+      for (let i = 0; i < count; i++) {
+        const code = view.getUint8(offset + i);
+        if (code === 0) break;
+        text += String.fromCharCode(code);
+      }
+      return text;
+    }
+
+    const read = (i) => {
+      switch (type) {
+        case 3: return view.getUint16(offset + i * 2, little);
+        case 4: return view.getUint32(offset + i * 4, little);
+        case 9: return view.getInt32(offset + i * 4, little);
+        case 5: return view.getUint32(offset + i * 8, little) / view.getUint32(offset + i * 8 + 4, little);
+        case 10: return view.getInt32(offset + i * 8, little) / view.getInt32(offset + i * 8 + 4, little);
+        default: return view.getUint8(offset + i);
+      }
+    };
+
+    if (count === 1) return read(0);
+    return Array.from({ length: count }, (_, i) => read(i));
+  },
+
+  // "2024:05:12 10:30:00" in the camera's local time
+  _parseDate(value) {
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second] = match.map(Number);
+    const date = new Date(year, month - 1, day, hour, minute, second);
+    return isNaN(date.getTime()) ? null : date;
+  },
+
+  _parseGps(gps) {
+    const toDegrees = (dms, ref, negativeRef) => {
+      if (!Array.isArray(dms) || dms.length !== 3 || dms.some(part => !isFinite(part))) return null;
+      const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+      return ref === negativeRef ? -degrees : degrees;
+    };
+
+    const lat = toDegrees(gps.get(EXIF_TAGS.GPS_LATITUDE), gps.get(EXIF_TAGS.GPS_LATITUDE_REF), 'S');
+    const lon = toDegrees(gps.get(EXIF_TAGS.GPS_LONGITUDE), gps.get(EXIF_TAGS.GPS_LONGITUDE_REF), 'W');
+
+    // 0,0 is what some cameras write when they had no fix
+    if (lat === null || lon === null || (lat === 0 && lon === 0)) return null;
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+
+    return { lat, lon };
+  }
+};
+
+window.ExifUtils = ExifUtils;
+console.log('ExifUtils exported to window');
@@ -0,0 +1,120 @@
+// src/scripts/utils/favorite-photo-store.js
+// Keeps an offline copy of favorite story photos: the original image plus a
+// small thumbnail, both as Blobs in IndexedDB (store 'favoritePhotos').
+
+const THUMBNAIL_MAX_SIZE = 400;
+const THUMBNAIL_QUALITY = 0.8;
+
+class FavoritePhotoStore {
+  constructor() {
+    this.dbHelper = window.indexedDBHelper;
+  }
+
+  // Download and store the photo of a favorited story. Best effort: a
+  // failure (offline, CORS) only means the card falls back to photoUrl.
+  async cache(story) {
+    if (!this.dbHelper || !story || !story.id || !story.photoUrl) return false;
+
+    try {
+      const response = await fetch(story.photoUrl, { mode: 'cors' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const full = await response.blob();
+      if (!full.type.startsWith('image/')) {
+        throw new Error(`Unexpected content type ${full.type || 'unknown'}`);
+      }
+
+      const thumbnail = await this._createThumbnail(full);
+
+      const saved = await this.dbHelper.saveFavoritePhoto({
+        id: story.id,
+        full,
+        thumbnail,
+        sourceUrl: story.photoUrl,
+        savedAt: new Date().toISOString()
+      });
+
+      if (!saved) {
+        console.log('Favorite removed during download, photo not stored', story.id);
+        return false;
+      }
+
+      console.log('Offline photo stored for favorite', story.id);
+      return true;
+    } catch (error) {
+      console.warn('Could not store offline photo for favorite', story.id, error);
+      return false;
+    }
+  }
+
+  // Cache photos for favorites that don't have one yet (e.g. after import)
+  async cacheMissing(stories) {
+    for (const story of stories) {
+      const existing = await this.dbHelper.getFavoritePhoto(story.id);
+      if (!existing) {
+        await this.cache(story);
+      }
+    }
+  }
+
+  // Object URL for one stored photo ('thumbnail' or 'full'), or null.
+  // The caller owns the URL and must revoke it.
+  async getObjectUrl(storyId, variant = 'full') {
+    if (!this.dbHelper) return null;
+
+    try {
+      const record = await this.dbHelper.getFavoritePhoto(storyId);
+      const blob = record && (record[variant] || record.full);
+      return blob ? URL.createObjectURL(blob) : null;
+    } catch (error) {
+      console.warn('Could not read offline photo', storyId, error);
+      return null;
+    }
+  }
+
+  // Map of storyId -> object URL for every id that has a stored photo
+  async getObjectUrls(storyIds, variant = 'thumbnail') {
+    const urls = new Map();
+
+    for (const id of storyIds) {
+      const url = await this.getObjectUrl(id, variant);
+      if (url) {
+        urls.set(id, url);
+      }
+    }
+
+    return urls;
+  }
+
+  // Downscale to fit THUMBNAIL_MAX_SIZE; small images are kept as they are
+  async _createThumbnail(blob) {
+    if (typeof createImageBitmap !== 'function') return blob;
+
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, THUMBNAIL_MAX_SIZE / Math.max(bitmap.width, bitmap.height));
+
+    if (scale === 1) {
+      bitmap.close();
+      return blob;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    return new Promise((resolve) => {
+      canvas.toBlob((thumbnail) => resolve(thumbnail || blob), 'image/jpeg', THUMBNAIL_QUALITY);
+    });
+  }
+}
+
+// Create global instance
+const favoritePhotoStore = new FavoritePhotoStore();
+
+window.FavoritePhotoStore = FavoritePhotoStore;
+window.favoritePhotoStore = favoritePhotoStore;
+console.log('FavoritePhotoStore exported to window');
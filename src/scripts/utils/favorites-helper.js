@@ -1,9 +1,32 @@
 // src/scripts/utils/favorites-helper.js
 
+// Versi format file dari exportFavorites() di bawah. 1.1.0 menambah koleksi,
+// tag dan catatan; file 1.0.0 lama tetap bisa diimport.
+const HELPER_BACKUP_VERSION = '1.1.0';
+const SUPPORTED_HELPER_BACKUP_VERSIONS = ['1.0.0', '1.1.0'];
+const MAX_BACKUP_FILE_SIZE = 5 * 1024 * 1024;
+
+const MAX_COLLECTION_NAME_LENGTH = 40;
+const MAX_TAGS_PER_FAVORITE = 10;
+const MAX_TAG_LENGTH = 30;
+const MAX_NOTE_LENGTH = 1000;
+
+// Berapa lama tombol "Urungkan" tersedia setelah favorit dihapus
+const UNDO_TIMEOUT = 8000;
+
+// Id buatan AppPresenter._generateStoryId() lama untuk favorit hasil
+// scraping DOM, sebelum <story-card> memakai id cerita dari API
+const SCRAPED_FAVORITE_ID = /^story-\d+$/;
+const SCRAPED_FAVORITES_MIGRATED_KEY = 'scrapedFavoritesMigrated';
+
 class FavoritesHelper {
   constructor() {
     this.dbHelper = window.indexedDBHelper;
     this.isReady = false;
+    
+    // Record yang baru dihapus dan masih bisa dikembalikan
+    this.undoSnapshot = null;
+    this.undoTimer = null;
   }
 
   async init() {
@@ -22,8 +45,9 @@ class FavoritesHelper {
     
     try {
       await this.dbHelper.addToFavorites(story);
+      this._cachePhotos([story]);
       this.showToast('✅ Cerita ditambahkan ke favorit!');
-      this.updateFavoriteButton(story.id, true);
+      this._notifyChanged('added', [story.id]);
       this.updateNavigationCount();
       return true;
     } catch (error) {
@@ -38,10 +62,10 @@ class FavoritesHelper {
     if (!this.isReady) await this.init();
     
     try {
-      await this.dbHelper.removeFromFavorites(storyId);
-      this.showToast('🗑️ Cerita dihapus dari favorit');
-      this.updateFavoriteButton(storyId, false);
+      const snapshot = await this.dbHelper.removeFromFavorites(storyId);
+      this._notifyChanged('removed', [storyId]);
       this.updateNavigationCount();
+      this._offerUndo(snapshot, '🗑️ Cerita dihapus dari favorit');
       return true;
     } catch (error) {
       console.error('Error removing from favorites:', error);
@@ -78,79 +102,164 @@ class FavoritesHelper {
     if (!this.isReady) await this.init();
     
     try {
-      return await this.dbHelper.getAllFavorites();
+      const favorites = await this.dbHelper.getAllFavorites();
+      return favorites.map(story => this._withDetails(story));
     } catch (error) {
       console.error('Error getting favorites:', error);
       return [];
     }
   }
 
-  // Tambah tombol favorit ke story card
-  addFavoriteButtonToStoryCard(storyCard, story) {
-    // Cek apakah tombol sudah ada
-    if (storyCard.querySelector('.favorite-btn')) {
-      return;
-    }
+  // === KOLEKSI, TAG & CATATAN ===
 
-    // Buat tombol favorit
-    const favoriteBtn = document.createElement('button');
-    favoriteBtn.className = 'favorite-btn';
-    favoriteBtn.setAttribute('data-story-id', story.id);
-    favoriteBtn.setAttribute('aria-label', 'Tambah ke favorit');
-    favoriteBtn.innerHTML = '<i class="far fa-heart"></i>';
+  // Semua koleksi, urut nama
+  async getCollections() {
+    if (!this.isReady) await this.init();
 
-    // Tambahkan ke footer story card
-    const storyFooter = storyCard.querySelector('.story-footer');
-    if (storyFooter) {
-      storyFooter.appendChild(favoriteBtn);
-    } else {
-      // Jika tidak ada footer, buat footer baru
-      const footer = document.createElement('div');
-      footer.className = 'story-footer';
-      footer.appendChild(favoriteBtn);
-      storyCard.appendChild(footer);
-    }
+    const collections = await this.dbHelper.getAllCollections();
+    return collections.sort((a, b) => a.name.localeCompare(b.name, 'id'));
+  }
 
-    // Event listener untuk toggle favorit
-    favoriteBtn.addEventListener('click', async (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      
-      favoriteBtn.disabled = true;
-      const originalHTML = favoriteBtn.innerHTML;
-      favoriteBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+  async createCollection(name) {
+    if (!this.isReady) await this.init();
 
-      await this.toggleFavorite(story);
-      
-      favoriteBtn.disabled = false;
+    const collections = await this.getCollections();
+    const collection = {
+      id: this._newCollectionId(),
+      name: this._validateCollectionName(name, collections),
+      createdAt: new Date().toISOString()
+    };
+
+    await this.dbHelper.saveCollection(collection);
+    this._notifyChanged('collections', null);
+    return collection;
+  }
+
+  _newCollectionId() {
+    return `col-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  // Hapus koleksi; cerita di dalamnya tetap menjadi favorit
+  async deleteCollection(collectionId) {
+    if (!this.isReady) await this.init();
+    await this.dbHelper.deleteCollection(collectionId);
+    this._notifyChanged('collections', null);
+  }
+
+  async getFavoritesInCollection(collectionId) {
+    if (!this.isReady) await this.init();
+
+    const favorites = await this.dbHelper.getFavoritesByCollection(collectionId);
+    return favorites.map(story => this._withDetails(story));
+  }
+
+  async getFavoritesWithTag(tag) {
+    if (!this.isReady) await this.init();
+
+    const favorites = await this.dbHelper.getFavoritesByTag(tag);
+    return favorites.map(story => this._withDetails(story));
+  }
+
+  // Semua tag yang dipakai beserta jumlah ceritanya: [{ tag, count }]
+  async getAllTags() {
+    const counts = new Map();
+    (await this.getAllFavorites()).forEach(story => {
+      story.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
     });
 
-    // Update status awal tombol
-    this.updateFavoriteButtonStatus(favoriteBtn, story.id);
+    return [...counts.entries()]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => a.tag.localeCompare(b.tag, 'id'));
   }
 
-  // Update status tombol favorit
-  async updateFavoriteButtonStatus(button, storyId) {
-    const isFav = await this.isFavorite(storyId);
-    this.updateFavoriteButton(storyId, isFav);
+  // Simpan catatan pribadi, tag dan koleksi sebuah favorit. Field yang
+  // tidak dikirim tidak diubah.
+  async updateFavoriteDetails(storyId, { note, tags, collectionIds } = {}) {
+    if (!this.isReady) await this.init();
+
+    const changes = {};
+    if (note !== undefined) {
+      changes.note = this._normalizeNote(note);
+    }
+    if (tags !== undefined) {
+      changes.tags = this.normalizeTags(tags);
+    }
+    if (collectionIds !== undefined) {
+      const knownIds = new Set((await this.getCollections()).map(collection => collection.id));
+      changes.collectionIds = [...new Set(collectionIds)].filter(id => knownIds.has(id));
+    }
+
+    const updated = await this.dbHelper.updateFavorite(storyId, changes);
+    if (!updated) {
+      throw new Error('Cerita tidak ada di favorit');
+    }
+    this._notifyChanged('updated', [storyId]);
+    return this._withDetails(updated);
   }
 
-  // Update tampilan tombol favorit
-  updateFavoriteButton(storyId, isFavorite) {
-    const button = document.querySelector(`.favorite-btn[data-story-id="${storyId}"]`);
-    if (!button) return;
+  // Terima array atau teks dipisah koma: huruf kecil, tanpa '#', tanpa duplikat
+  normalizeTags(input) {
+    const raw = Array.isArray(input) ? input : String(input || '').split(',');
+    const tags = raw
+      .filter(tag => typeof tag === 'string')
+      .map(tag => tag.trim().replace(/^#+/, '').replace(/\s+/g, '-').toLowerCase().slice(0, MAX_TAG_LENGTH))
+      .filter(Boolean);
 
-    if (isFavorite) {
-      button.innerHTML = '<i class="fas fa-heart"></i>';
-      button.classList.add('favorited');
-      button.setAttribute('aria-label', 'Hapus dari favorit');
-      button.style.color = '#e91e63';
-    } else {
-      button.innerHTML = '<i class="far fa-heart"></i>';
-      button.classList.remove('favorited');
-      button.setAttribute('aria-label', 'Tambah ke favorit');
-      button.style.color = '#999';
+    return [...new Set(tags)].slice(0, MAX_TAGS_PER_FAVORITE);
+  }
+
+  _normalizeNote(note) {
+    return typeof note === 'string' ? note.trim().slice(0, MAX_NOTE_LENGTH) : '';
+  }
+
+  _validateCollectionName(name, collections) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      throw new Error('Nama koleksi tidak boleh kosong');
     }
+    if (trimmed.length > MAX_COLLECTION_NAME_LENGTH) {
+      throw new Error(`Nama koleksi maksimal ${MAX_COLLECTION_NAME_LENGTH} karakter`);
+    }
+
+    const lower = trimmed.toLowerCase();
+    if (collections.some(item => item.name.toLowerCase() === lower)) {
+      throw new Error(`Koleksi "${trimmed}" sudah ada`);
+    }
+    return trimmed;
+  }
+
+  // Favorit yang disimpan sebelum ada koleksi/tag/catatan belum punya field-nya
+  _withDetails(story) {
+    return {
+      ...story,
+      collectionIds: Array.isArray(story.collectionIds) ? story.collectionIds : [],
+      tags: Array.isArray(story.tags) ? story.tags : [],
+      note: typeof story.note === 'string' ? story.note : ''
+    };
+  }
+
+  // Object URL foto offline (thumbnail/full) per id cerita. Pemanggil wajib
+  // me-revoke URL tersebut.
+  async getOfflinePhotoUrls(storyIds, variant = 'thumbnail') {
+    if (!window.favoritePhotoStore) return new Map();
+    return window.favoritePhotoStore.getObjectUrls(storyIds, variant);
+  }
+
+  // Simpan foto di latar belakang; tidak menahan toast atau UI
+  _cachePhotos(stories) {
+    if (!window.favoritePhotoStore || stories.length === 0) return;
+
+    window.favoritePhotoStore.cacheMissing(stories).catch(error => {
+      console.warn('Error caching favorite photos:', error);
+    });
+  }
+
+  // Beri tahu halaman dan <story-card> yang sedang tampil. ids null
+  // berarti semua favorit bisa berubah (mis. import mode ganti).
+  _notifyChanged(action, ids) {
+    window.dispatchEvent(new CustomEvent('favoritesChanged', {
+      detail: { action, ids }
+    }));
   }
 
   // Update jumlah favorit di navigasi
@@ -214,8 +323,8 @@ class FavoritesHelper {
     }
   }
 
-  // Tampilkan toast notification
-  showToast(message, duration = 3000) {
+  // Tampilkan toast notification. action opsional: { label, onClick }
+  showToast(message, duration = 3000, action = null) {
     // Hapus toast yang ada
     const existingToast = document.querySelector('.favorites-toast');
     if (existingToast) {
@@ -238,8 +347,21 @@ class FavoritesHelper {
       box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
       animation: slideIn 0.3s ease;
     `;
+    toast.setAttribute('role', 'status');
     toast.textContent = message;
 
+    if (action) {
+      const actionBtn = document.createElement('button');
+      actionBtn.type = 'button';
+      actionBtn.className = 'favorites-toast-action';
+      actionBtn.textContent = action.label;
+      actionBtn.addEventListener('click', () => {
+        toast.remove();
+        action.onClick();
+      });
+      toast.appendChild(actionBtn);
+    }
+
     // Tambah CSS animation jika belum ada
     if (!document.getElementById('toastAnimation')) {
       const style = document.createElement('style');
@@ -252,6 +374,16 @@ class FavoritesHelper {
         .favorites-toast {
           animation: slideIn 0.3s ease;
         }
+        .favorites-toast-action {
+          margin-left: 12px;
+          background: none;
+          border: 1px solid rgba(255, 255, 255, 0.6);
+          border-radius: 4px;
+          color: #90cdf4;
+          font-weight: 600;
+          padding: 2px 10px;
+          cursor: pointer;
+        }
       `;
       document.head.appendChild(style);
     }
@@ -271,10 +403,12 @@ class FavoritesHelper {
   async exportFavorites() {
     try {
       const favorites = await this.getAllFavorites();
+      const collections = await this.getCollections();
       const exportData = {
         exportDate: new Date().toISOString(),
-        version: '1.0.0',
+        version: HELPER_BACKUP_VERSION,
         totalFavorites: favorites.length,
+        collections: collections,
         favorites: favorites
       };
 
@@ -299,26 +433,427 @@ class FavoritesHelper {
     }
   }
 
-  // Clear semua favorit
-  async clearAllFavorites() {
-    if (!confirm('Apakah Anda yakin ingin menghapus semua favorit? Tindakan ini tidak dapat dibatalkan.')) {
-      return false;
+  // === IMPORT ===
+
+  // Baca file backup lalu bandingkan isinya dengan favorit yang tersimpan.
+  // Hasilnya dipakai untuk pratinjau sekaligus sebagai masukan importFavorites().
+  async previewFavoritesImport(file) {
+    if (!this.isReady) await this.init();
+
+    if (!file) {
+      throw new Error('Tidak ada file yang dipilih');
     }
+    if (file.size > MAX_BACKUP_FILE_SIZE) {
+      throw new Error('File terlalu besar (maksimal 5 MB)');
+    }
+
+    const backup = this.parseFavoritesBackup(await file.text());
+    const existing = await this.getAllFavorites();
+    const existingById = new Map(existing.map(story => [story.id, story]));
+    const { collections, newCollections, favorites } = this._matchCollections(
+      backup.collections,
+      backup.favorites,
+      await this.getCollections()
+    );
+
+    const preview = {
+      fileName: file.name,
+      format: backup.format,
+      exportDate: backup.exportDate,
+      warnings: backup.warnings,
+      invalid: backup.invalid,
+      collections,
+      newCollections,
+      newItems: [],
+      duplicates: [],
+      conflicts: [],
+      existingCount: existing.length
+    };
+
+    favorites.forEach(story => {
+      const current = existingById.get(story.id);
+      if (!current) {
+        preview.newItems.push(story);
+      } else if (this._isSameFavorite(current, story)) {
+        preview.duplicates.push(story);
+      } else {
+        preview.conflicts.push({ current, incoming: story });
+      }
+    });
+
+    return preview;
+  }
+
+  // Koleksi dari file yang namanya sudah ada di sini memakai id koleksi yang
+  // ada, supaya nama tetap unik dan cerita masuk ke koleksi yang sama.
+  // Id yang sama dengan nama berbeda adalah koleksi lain, jadi diberi id baru.
+  _matchCollections(fileCollections, favorites, existingCollections) {
+    const existingByName = new Map(existingCollections.map(item => [item.name.toLowerCase(), item]));
+    const existingIds = new Set(existingCollections.map(item => item.id));
+    const usedIds = new Set(existingIds);
+    const idMap = new Map();
+
+    const collections = fileCollections.map(collection => {
+      const match = existingByName.get(collection.name.toLowerCase());
+      let id = match ? match.id : collection.id;
+      if (!match && usedIds.has(id)) {
+        id = this._newCollectionId();
+      }
+      usedIds.add(id);
+      idMap.set(collection.id, id);
+      return { ...collection, id };
+    });
+
+    return {
+      collections,
+      newCollections: collections.filter(collection => !existingIds.has(collection.id)),
+      favorites: favorites.map(story => ({
+        ...story,
+        collectionIds: [...new Set(story.collectionIds.map(id => idMap.get(id)))]
+      }))
+    };
+  }
 
+  // Validasi isi file. Menerima dua format:
+  // - export FavoritesHelper: { exportDate, version: '1.0.0' | '1.1.0', totalFavorites, collections?, favorites }
+  // - IndexedDBHelper.exportFavorites(): { exportDate, version: <versi skema DB>, collections?, favorites }
+  parseFavoritesBackup(text) {
+    let data;
     try {
-      const favorites = await this.getAllFavorites();
-      
-      for (const story of favorites) {
-        await this.dbHelper.removeFromFavorites(story.id);
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('File bukan JSON yang valid');
+    }
+
+    if (!data || typeof data !== 'object' || !Array.isArray(data.favorites)) {
+      throw new Error('Format backup tidak dikenali: daftar "favorites" tidak ditemukan');
+    }
+
+    const warnings = [];
+    let format;
+
+    if (SUPPORTED_HELPER_BACKUP_VERSIONS.includes(data.version)) {
+      format = 'helper';
+      if (typeof data.totalFavorites === 'number' && data.totalFavorites !== data.favorites.length) {
+        warnings.push(`Jumlah favorit di file (${data.favorites.length}) tidak sama dengan totalFavorites (${data.totalFavorites})`);
       }
+    } else if (Number.isInteger(data.version) && data.version > 0) {
+      format = 'indexeddb';
+      if (this.dbHelper && data.version > this.dbHelper.dbVersion) {
+        throw new Error(`Backup dibuat oleh versi aplikasi yang lebih baru (skema ${data.version})`);
+      }
+    } else {
+      throw new Error(`Versi backup tidak didukung: ${data.version === undefined ? 'tidak ada' : data.version}`);
+    }
+
+    if (data.exportDate && isNaN(new Date(data.exportDate).getTime())) {
+      warnings.push('Tanggal export tidak valid');
+    }
+
+    const collections = this._parseBackupCollections(data.collections, warnings);
+    const collectionIds = new Set(collections.map(collection => collection.id));
+    const favorites = [];
+    const invalid = [];
+    const seenIds = new Set();
+
+    data.favorites.forEach((item, index) => {
+      const reason = this._validateBackupItem(item);
+      if (reason) {
+        invalid.push({ index, reason });
+      } else if (seenIds.has(item.id)) {
+        invalid.push({ index, reason: `ID ganda di dalam file: ${item.id}` });
+      } else {
+        seenIds.add(item.id);
+        favorites.push(this._normalizeBackupItem(item, collectionIds));
+      }
+    });
+
+    return {
+      format,
+      exportDate: data.exportDate || null,
+      collections,
+      favorites,
+      invalid,
+      warnings
+    };
+  }
+
+  // Koleksi tanpa id/nama atau dengan nama ganda dilewati dengan peringatan
+  _parseBackupCollections(list, warnings) {
+    if (list === undefined) return [];
+    if (!Array.isArray(list)) {
+      warnings.push('Daftar koleksi tidak valid dan diabaikan');
+      return [];
+    }
+
+    const collections = [];
+    const seenNames = new Set();
+    const seenIds = new Set();
+
+    list.forEach(item => {
+      const name = item && typeof item.name === 'string' ? item.name.trim().slice(0, MAX_COLLECTION_NAME_LENGTH) : '';
+      const valid = item && typeof item.id === 'string' && item.id && name;
+
+      if (!valid || seenIds.has(item.id) || seenNames.has(name.toLowerCase())) {
+        warnings.push(`Koleksi dilewati: ${valid ? name : 'data tidak lengkap'}`);
+        return;
+      }
+
+      seenIds.add(item.id);
+      seenNames.add(name.toLowerCase());
+      const createdAt = new Date(item.createdAt);
+      collections.push({
+        id: item.id,
+        name,
+        createdAt: isNaN(createdAt.getTime()) ? new Date().toISOString() : createdAt.toISOString()
+      });
+    });
+
+    return collections;
+  }
+
+  // Simpan hasil pratinjau. mode 'merge' menambah yang baru (dan menimpa
+  // konflik bila overwriteConflicts), mode 'replace' mengganti seluruh favorit.
+  async importFavorites(preview, { mode = 'merge', overwriteConflicts = false } = {}) {
+    if (!this.isReady) await this.init();
+
+    const incoming = [...preview.newItems, ...preview.duplicates, ...preview.conflicts.map(c => c.incoming)];
+    let items;
+    let summary;
+
+    if (mode === 'replace') {
+      items = incoming;
+      summary = {
+        mode,
+        added: incoming.length,
+        updated: 0,
+        skipped: 0,
+        removed: preview.existingCount,
+        invalid: preview.invalid.length
+      };
+    } else {
+      const conflicts = overwriteConflicts ? preview.conflicts.map(c => c.incoming) : [];
+      items = [...preview.newItems, ...conflicts];
+      summary = {
+        mode,
+        added: preview.newItems.length,
+        updated: conflicts.length,
+        skipped: preview.duplicates.length + (preview.conflicts.length - conflicts.length),
+        removed: 0,
+        invalid: preview.invalid.length
+      };
+    }
+
+    const collections = mode === 'replace' ? preview.collections : preview.newCollections;
+    await this.dbHelper.importFavorites({ favorites: items, collections }, { replace: mode === 'replace' });
+    this._notifyChanged('imported', mode === 'replace' ? null : items.map(story => story.id));
+    this.updateNavigationCount();
+    this._cachePhotos(items);
+
+    return summary;
+  }
+
+  _validateBackupItem(item) {
+    if (!item || typeof item !== 'object') return 'Bukan objek cerita';
+    if (typeof item.id !== 'string' || !item.id.trim()) return 'ID cerita tidak ada';
+    if (typeof item.name !== 'string') return `Nama tidak valid (${item.id})`;
+    if (typeof item.photoUrl !== 'string' || !/^(https?:|data:image\/)/i.test(item.photoUrl)) {
+      return `URL foto tidak valid (${item.id})`;
+    }
+    if (item.description !== undefined && item.description !== null && typeof item.description !== 'string') {
+      return `Deskripsi tidak valid (${item.id})`;
+    }
+    if (item.createdAt && isNaN(new Date(item.createdAt).getTime())) {
+      return `Tanggal cerita tidak valid (${item.id})`;
+    }
+    if (item.note !== undefined && item.note !== null && typeof item.note !== 'string') {
+      return `Catatan tidak valid (${item.id})`;
+    }
+    if (item.tags !== undefined && !Array.isArray(item.tags)) {
+      return `Tag tidak valid (${item.id})`;
+    }
+    if (item.collectionIds !== undefined && !Array.isArray(item.collectionIds)) {
+      return `Koleksi tidak valid (${item.id})`;
+    }
+
+    const hasLat = item.lat !== undefined && item.lat !== null;
+    const hasLon = item.lon !== undefined && item.lon !== null;
+    if (hasLat && (typeof item.lat !== 'number' || item.lat < -90 || item.lat > 90)) {
+      return `Latitude tidak valid (${item.id})`;
+    }
+    if (hasLon && (typeof item.lon !== 'number' || item.lon < -180 || item.lon > 180)) {
+      return `Longitude tidak valid (${item.id})`;
+    }
+    return null;
+  }
+
+  // Ambil hanya field yang dikenal supaya data asing tidak ikut tersimpan.
+  // Id koleksi yang tidak ada di daftar koleksi file dibuang.
+  _normalizeBackupItem(item, collectionIds = new Set()) {
+    const addedAt = new Date(item.addedToFavoritesAt);
+    return {
+      id: item.id,
+      name: item.name,
+      description: item.description || '',
+      photoUrl: item.photoUrl,
+      createdAt: item.createdAt || null,
+      lat: typeof item.lat === 'number' ? item.lat : null,
+      lon: typeof item.lon === 'number' ? item.lon : null,
+      addedToFavoritesAt: isNaN(addedAt.getTime()) ? new Date().toISOString() : addedAt.toISOString(),
+      collectionIds: (item.collectionIds || []).filter(id => collectionIds.has(id)),
+      tags: this.normalizeTags(item.tags || []),
+      note: this._normalizeNote(item.note)
+    };
+  }
+
+  _isSameFavorite(a, b) {
+    const sameList = (x = [], y = []) => [...x].sort().join('\n') === [...y].sort().join('\n');
+
+    return ['name', 'description', 'photoUrl', 'createdAt', 'lat', 'lon', 'note']
+      .every(key => (a[key] ?? null) === (b[key] ?? null)) &&
+      sameList(a.tags, b.tags) &&
+      sameList(a.collectionIds, b.collectionIds);
+  }
+
+  // Hapus semua favorit dalam satu transaksi. Konfirmasi menjadi tugas
+  // pemanggil; hasilnya jumlah favorit yang dihapus.
+  async clearAllFavorites() {
+    if (!this.isReady) await this.init();
+
+    try {
+      const snapshot = await this.dbHelper.clearFavorites();
       
-      this.showToast(`🗑️ ${favorites.length} favorit berhasil dihapus`);
+      this._notifyChanged('cleared', snapshot.favorites.map(story => story.id));
       this.updateNavigationCount();
+      this._offerUndo(snapshot, `🗑️ ${snapshot.favorites.length} favorit berhasil dihapus`);
       
-      return true;
+      return snapshot.favorites.length;
     } catch (error) {
       console.error('Error clearing favorites:', error);
       this.showToast('❌ Gagal menghapus favorit');
+      return 0;
+    }
+  }
+
+  // === MIGRASI FAVORIT LAMA ===
+
+  // Cocokkan favorit ber-id buatan dengan cerita asli lewat photoUrl lalu
+  // simpan ulang dengan id API-nya. Dipanggil setiap kali feed dimuat sampai
+  // tidak ada lagi favorit lama yang tersisa; setelah itu ditandai selesai.
+  async migrateScrapedFavorites(stories) {
+    if (!this.isReady) await this.init();
+
+    if (await this.dbHelper.getSetting(SCRAPED_FAVORITES_MIGRATED_KEY)) return 0;
+
+    const favorites = await this.getAllFavorites();
+    const scraped = favorites.filter(story => SCRAPED_FAVORITE_ID.test(story.id));
+    const favoritesById = new Map(favorites.map(story => [story.id, story]));
+    const storiesByPhoto = new Map(
+      stories
+        .filter(story => story && story.id && story.photoUrl && !SCRAPED_FAVORITE_ID.test(story.id))
+        .map(story => [story.photoUrl, story])
+    );
+
+    // Satu cerita bisa punya beberapa favorit lama (indeks kartu berbeda)
+    const moves = new Map();
+    scraped.forEach(old => {
+      const story = storiesByPhoto.get(old.photoUrl);
+      if (!story) return;
+
+      const move = moves.get(story.id) || { fromIds: [], favorite: favoritesById.get(story.id) || null };
+      move.fromIds.push(old.id);
+      move.favorite = this._rekeyFavorite(old, story, move.favorite);
+      moves.set(story.id, move);
+    });
+
+    if (moves.size > 0) {
+      await this.dbHelper.rekeyFavorites([...moves.values()]);
+      this._notifyChanged('migrated', null);
+      this.updateNavigationCount();
+    }
+
+    const migratedCount = [...moves.values()].reduce((total, move) => total + move.fromIds.length, 0);
+    console.log(`Re-keyed ${migratedCount} of ${scraped.length} scraped favorites`);
+
+    if (migratedCount === scraped.length) {
+      await this.dbHelper.saveSetting(SCRAPED_FAVORITES_MIGRATED_KEY, {
+        migratedCount,
+        migratedAt: new Date().toISOString()
+      });
+    }
+
+    return migratedCount;
+  }
+
+  // Data cerita dari API, data pribadi (tanggal favorit, koleksi, tag,
+  // catatan) digabung dari favorit lama dan favorit yang sudah ada
+  _rekeyFavorite(old, story, existing) {
+    const sources = existing ? [existing, old] : [old];
+    const addedDates = sources.map(item => item.addedToFavoritesAt).filter(Boolean).sort();
+
+    return {
+      id: story.id,
+      name: story.name,
+      description: story.description || '',
+      photoUrl: story.photoUrl,
+      createdAt: story.createdAt || null,
+      lat: story.lat ?? null,
+      lon: story.lon ?? null,
+      addedToFavoritesAt: addedDates[0] || new Date().toISOString(),
+      collectionIds: [...new Set(sources.flatMap(item => item.collectionIds || []))],
+      tags: this.normalizeTags(sources.flatMap(item => item.tags || [])),
+      note: sources.map(item => item.note).find(Boolean) || ''
+    };
+  }
+
+  // === UNDO ===
+
+  // Simpan record yang dihapus dan tawarkan tombol "Urungkan". Penghapusan
+  // berturut-turut digabung sehingga satu undo mengembalikan semuanya.
+  _offerUndo(snapshot, message) {
+    if (!snapshot || snapshot.favorites.length === 0) return;
+
+    clearTimeout(this.undoTimer);
+
+    const pending = this.undoSnapshot;
+    this.undoSnapshot = pending
+      ? {
+          favorites: [...pending.favorites, ...snapshot.favorites],
+          photos: [...pending.photos, ...snapshot.photos]
+        }
+      : snapshot;
+    this.undoTimer = setTimeout(() => {
+      this.undoSnapshot = null;
+    }, UNDO_TIMEOUT);
+
+    const count = this.undoSnapshot.favorites.length;
+    this.showToast(
+      pending ? `🗑️ ${count} cerita dihapus dari favorit` : message,
+      UNDO_TIMEOUT,
+      { label: 'Urungkan', onClick: () => this.undoRemoval() }
+    );
+  }
+
+  // Kembalikan favorit yang terakhir dihapus persis seperti semula,
+  // termasuk addedToFavoritesAt dan foto offline-nya
+  async undoRemoval() {
+    const snapshot = this.undoSnapshot;
+    if (!snapshot) return false;
+
+    clearTimeout(this.undoTimer);
+    this.undoSnapshot = null;
+
+    try {
+      await this.dbHelper.restoreFavorites(snapshot);
+
+      this._notifyChanged('restored', snapshot.favorites.map(story => story.id));
+      this.updateNavigationCount();
+
+      this.showToast(`↩️ ${snapshot.favorites.length} favorit dikembalikan`);
+      return true;
+    } catch (error) {
+      console.error('Error restoring favorites:', error);
+      this.showToast('❌ Gagal mengembalikan favorit');
       return false;
     }
   }
@@ -337,9 +872,10 @@ document.addEventListener('DOMContentLoaded', () => {
     favoritesHelper.updateNavigationVisibility();
   });
   
-  window.addEventListener('storage', (e) => {
-    if (e.key === 'token') {
-      favoritesHelper.updateNavigationVisibility();
+  // Favorit diubah di tab lain (lihat EventBus)
+  window.addEventListener('favoritesChanged', (e) => {
+    if (window.EventBus && window.EventBus.isFromOtherTab(e)) {
+      favoritesHelper.updateNavigationCount();
     }
   });
   
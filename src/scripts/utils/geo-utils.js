@@ -0,0 +1,112 @@
+// src/scripts/utils/geo-utils.js
+// Small geographic helpers shared by pages that sort or label stories by distance.
+
+const EARTH_RADIUS_KM = 6371;
+
+// Settings key for the opt-in "Di dekat saya" mode on Home and Map
+const NEAR_ME_SETTING_KEY = 'nearMe';
+
+const GeoUtils = {
+  /**
+   * Great-circle distance in kilometres between two { lat, lon } points
+   * (haversine formula). Returns null when either point has no coordinates.
+   */
+  distanceKm(from, to) {
+    if (!GeoUtils.hasCoordinates(from) || !GeoUtils.hasCoordinates(to)) return null;
+
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(to.lat - from.lat);
+    const dLon = toRad(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2 +
+              Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  },
+
+  hasCoordinates(point) {
+    return !!point &&
+      point.lat !== null && point.lat !== undefined && !isNaN(parseFloat(point.lat)) &&
+      point.lon !== null && point.lon !== undefined && !isNaN(parseFloat(point.lon));
+  },
+
+  /**
+   * Human readable distance, e.g. "850 m" or "12,3 km"
+   */
+  formatDistance(km) {
+    if (km === null || km === undefined) return '';
+    if (km < 1) return `${Math.round(km * 1000)} m`;
+    return `${km.toLocaleString('id-ID', { maximumFractionDigits: km < 10 ? 1 : 0 })} km`;
+  },
+
+  /**
+   * Parse a typed coordinate ("-6.2", "-6,2" or " 106.8 "). Returns null
+   * unless it is a number within range for the given axis.
+   * @param {string} text
+   * @param {'lat'|'lon'} axis
+   */
+  parseCoordinate(text, axis) {
+    const normalized = String(text || '').trim().replace(',', '.');
+    if (!/^[-+]?\d+(\.\d+)?$/.test(normalized)) return null;
+
+    const value = parseFloat(normalized);
+    const limit = axis === 'lat' ? 90 : 180;
+    return Math.abs(value) <= limit ? value : null;
+  },
+
+  /**
+   * Promise wrapper around navigator.geolocation.getCurrentPosition,
+   * resolving with { lat, lon, accuracy }
+   */
+  getCurrentPosition(options = {}) {
+    return new Promise((resolve, reject) => {
+      if (!('geolocation' in navigator)) {
+        reject(new Error('Browser tidak mendukung geolokasi'));
+        return;
+      }
+
+      navigator.geolocation.getCurrentPosition(
+        (position) => resolve({
+          lat: position.coords.latitude,
+          lon: position.coords.longitude,
+          accuracy: position.coords.accuracy
+        }),
+        (error) => reject(new Error(
+          error.code === error.PERMISSION_DENIED
+            ? 'Izin lokasi ditolak'
+            : 'Lokasi tidak dapat ditentukan'
+        )),
+        { enableHighAccuracy: false, timeout: 10000, maximumAge: 5 * 60 * 1000, ...options }
+      );
+    });
+  },
+
+  /**
+   * Whether the user switched "Di dekat saya" on last time. Turning it on
+   * is what prompts for the location permission, so pages only use the
+   * position without asking when this is true.
+   */
+  async isNearMeEnabled() {
+    if (!window.indexedDBHelper) return false;
+
+    try {
+      const setting = await window.indexedDBHelper.getSetting(NEAR_ME_SETTING_KEY);
+      return !!(setting && setting.enabled);
+    } catch (error) {
+      console.warn('GeoUtils: Could not read near-me setting:', error);
+      return false;
+    }
+  },
+
+  async setNearMeEnabled(enabled) {
+    if (!window.indexedDBHelper) return;
+
+    try {
+      await window.indexedDBHelper.saveSetting(NEAR_ME_SETTING_KEY, { enabled: !!enabled });
+    } catch (error) {
+      console.warn('GeoUtils: Could not save near-me setting:', error);
+    }
+  }
+};
+
+window.GeoUtils = GeoUtils;
+console.log('GeoUtils exported to window');
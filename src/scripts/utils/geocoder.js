@@ -0,0 +1,133 @@
+// src/scripts/utils/geocoder.js
+// Place search for the location picker. Any provider can be plugged in with
+// Geocoder.setProvider(); a provider is an object with
+//   search(query, { limit }) -> Promise<Array<{ name, region, lat, lon }>>
+// The default searches a bundled list of Indonesian cities, so it also works
+// offline and needs no API key.
+
+// Provincial capitals and other large or well-known cities
+const INDONESIAN_CITIES = [
+  { name: 'Banda Aceh', region: 'Aceh', lat: 5.5483, lon: 95.3238 },
+  { name: 'Medan', region: 'Sumatera Utara', lat: 3.5952, lon: 98.6722 },
+  { name: 'Padang', region: 'Sumatera Barat', lat: -0.9471, lon: 100.4172 },
+  { name: 'Bukittinggi', region: 'Sumatera Barat', lat: -0.3056, lon: 100.3692 },
+  { name: 'Pekanbaru', region: 'Riau', lat: 0.5071, lon: 101.4478 },
+  { name: 'Batam', region: 'Kepulauan Riau', lat: 1.0456, lon: 104.0305 },
+  { name: 'Tanjung Pinang', region: 'Kepulauan Riau', lat: 0.9186, lon: 104.4554 },
+  { name: 'Jambi', region: 'Jambi', lat: -1.6101, lon: 103.6131 },
+  { name: 'Palembang', region: 'Sumatera Selatan', lat: -2.9761, lon: 104.7754 },
+  { name: 'Bengkulu', region: 'Bengkulu', lat: -3.7928, lon: 102.2608 },
+  { name: 'Pangkal Pinang', region: 'Kepulauan Bangka Belitung', lat: -2.1316, lon: 106.1169 },
+  { name: 'Bandar Lampung', region: 'Lampung', lat: -5.3971, lon: 105.2668 },
+  { name: 'Jakarta', region: 'DKI Jakarta', lat: -6.2088, lon: 106.8456 },
+  { name: 'Bogor', region: 'Jawa Barat', lat: -6.5971, lon: 106.806 },
+  { name: 'Depok', region: 'Jawa Barat', lat: -6.4025, lon: 106.7942 },
+  { name: 'Bekasi', region: 'Jawa Barat', lat: -6.2383, lon: 106.9756 },
+  { name: 'Bandung', region: 'Jawa Barat', lat: -6.9175, lon: 107.6191 },
+  { name: 'Cirebon', region: 'Jawa Barat', lat: -6.732, lon: 108.5523 },
+  { name: 'Tasikmalaya', region: 'Jawa Barat', lat: -7.3274, lon: 108.2207 },
+  { name: 'Tangerang', region: 'Banten', lat: -6.1781, lon: 106.63 },
+  { name: 'Serang', region: 'Banten', lat: -6.12, lon: 106.1503 },
+  { name: 'Semarang', region: 'Jawa Tengah', lat: -6.9667, lon: 110.4167 },
+  { name: 'Surakarta', region: 'Jawa Tengah', lat: -7.5755, lon: 110.8243, aliases: ['Solo'] },
+  { name: 'Magelang', region: 'Jawa Tengah', lat: -7.4797, lon: 110.2177 },
+  { name: 'Purwokerto', region: 'Jawa Tengah', lat: -7.4245, lon: 109.2302 },
+  { name: 'Yogyakarta', region: 'DI Yogyakarta', lat: -7.7956, lon: 110.3695, aliases: ['Jogja', 'Yogya', 'Jogjakarta'] },
+  { name: 'Surabaya', region: 'Jawa Timur', lat: -7.2575, lon: 112.7521 },
+  { name: 'Malang', region: 'Jawa Timur', lat: -7.9666, lon: 112.6326 },
+  { name: 'Kediri', region: 'Jawa Timur', lat: -7.848, lon: 112.0178 },
+  { name: 'Banyuwangi', region: 'Jawa Timur', lat: -8.2192, lon: 114.3691 },
+  { name: 'Denpasar', region: 'Bali', lat: -8.6705, lon: 115.2126 },
+  { name: 'Ubud', region: 'Bali', lat: -8.5069, lon: 115.2625 },
+  { name: 'Mataram', region: 'Nusa Tenggara Barat', lat: -8.5833, lon: 116.1167 },
+  { name: 'Labuan Bajo', region: 'Nusa Tenggara Timur', lat: -8.4964, lon: 119.8877 },
+  { name: 'Kupang', region: 'Nusa Tenggara Timur', lat: -10.1772, lon: 123.607 },
+  { name: 'Pontianak', region: 'Kalimantan Barat', lat: -0.0263, lon: 109.3425 },
+  { name: 'Palangka Raya', region: 'Kalimantan Tengah', lat: -2.2161, lon: 113.9135 },
+  { name: 'Banjarmasin', region: 'Kalimantan Selatan', lat: -3.3186, lon: 114.5944 },
+  { name: 'Samarinda', region: 'Kalimantan Timur', lat: -0.5022, lon: 117.1536 },
+  { name: 'Balikpapan', region: 'Kalimantan Timur', lat: -1.2379, lon: 116.8529 },
+  { name: 'Tanjung Selor', region: 'Kalimantan Utara', lat: 2.8375, lon: 117.3653 },
+  { name: 'Manado', region: 'Sulawesi Utara', lat: 1.4748, lon: 124.8421 },
+  { name: 'Gorontalo', region: 'Gorontalo', lat: 0.5435, lon: 123.0568 },
+  { name: 'Palu', region: 'Sulawesi Tengah', lat: -0.8917, lon: 119.8707 },
+  { name: 'Mamuju', region: 'Sulawesi Barat', lat: -2.6786, lon: 118.8933 },
+  { name: 'Makassar', region: 'Sulawesi Selatan', lat: -5.1477, lon: 119.4327 },
+  { name: 'Kendari', region: 'Sulawesi Tenggara', lat: -3.9985, lon: 122.5127 },
+  { name: 'Ambon', region: 'Maluku', lat: -3.6954, lon: 128.1814 },
+  { name: 'Ternate', region: 'Maluku Utara', lat: 0.7893, lon: 127.3802 },
+  { name: 'Sofifi', region: 'Maluku Utara', lat: 0.7333, lon: 127.5667 },
+  { name: 'Manokwari', region: 'Papua Barat', lat: -0.8615, lon: 134.062 },
+  { name: 'Sorong', region: 'Papua Barat Daya', lat: -0.8762, lon: 131.2558 },
+  { name: 'Nabire', region: 'Papua Tengah', lat: -3.3667, lon: 135.4833 },
+  { name: 'Wamena', region: 'Papua Pegunungan', lat: -4.096, lon: 138.947 },
+  { name: 'Jayapura', region: 'Papua', lat: -2.5337, lon: 140.7181 },
+  { name: 'Merauke', region: 'Papua Selatan', lat: -8.4932, lon: 140.4018 }
+];
+
+// Default provider: matches city names, aliases and provinces
+class LocalGazetteerGeocoder {
+  constructor(places = INDONESIAN_CITIES) {
+    this.places = places;
+  }
+
+  async search(query, { limit = 5 } = {}) {
+    const needle = this._normalize(query);
+    if (!needle) return [];
+
+    return this.places
+      .map(place => ({ place, rank: this._rank(place, needle) }))
+      .filter(({ rank }) => rank !== null)
+      .sort((a, b) => a.rank - b.rank || a.place.name.localeCompare(b.place.name, 'id-ID'))
+      .slice(0, limit)
+      .map(({ place }) => ({ name: place.name, region: place.region, lat: place.lat, lon: place.lon }));
+  }
+
+  // Lower is better: exact name, name prefix, name substring, province
+  _rank(place, needle) {
+    const names = [place.name, ...(place.aliases || [])].map(name => this._normalize(name));
+
+    if (names.includes(needle)) return 0;
+    if (names.some(name => name.startsWith(needle))) return 1;
+    if (names.some(name => name.includes(needle))) return 2;
+    if (this._normalize(place.region).includes(needle)) return 3;
+    return null;
+  }
+
+  _normalize(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .trim();
+  }
+}
+
+const Geocoder = {
+  _provider: new LocalGazetteerGeocoder(),
+
+  setProvider(provider) {
+    if (!provider || typeof provider.search !== 'function') {
+      throw new Error('Geocoder provider must implement search(query, options)');
+    }
+    Geocoder._provider = provider;
+  },
+
+  getProvider() {
+    return Geocoder._provider;
+  },
+
+  /**
+   * Find places matching the query with the active provider
+   * @param {string} query
+   * @param {{limit?: number}} [options]
+   * @returns {Promise<Array<{name: string, region: string, lat: number, lon: number}>>}
+   */
+  search(query, options = {}) {
+    return Geocoder._provider.search(query, options);
+  }
+};
+
+window.LocalGazetteerGeocoder = LocalGazetteerGeocoder;
+window.Geocoder = Geocoder;
+console.log('Geocoder exported to window');
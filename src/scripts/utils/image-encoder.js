@@ -0,0 +1,119 @@
+// src/scripts/utils/image-encoder.js
+// Byte-budget search shared by the image pipeline worker and its main-thread
+// fallback. Works on OffscreenCanvas when there is one, otherwise on a
+// regular <canvas>, and never touches window, so it also runs in a worker.
+
+// Quality is searched between these; below MIN_QUALITY the photo is shrunk
+const MIN_QUALITY = 0.5;
+const MAX_QUALITY = 0.92;
+const QUALITY_STEPS = 5;
+
+// Each shrink step keeps at most this share of the previous side length
+const MAX_SHRINK = 0.9;
+
+export function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+export function encodeCanvas(canvas, type, quality) {
+  if (typeof canvas.convertToBlob === 'function') {
+    return canvas.convertToBlob({ type, quality });
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Canvas could not be encoded')), type, quality);
+  });
+}
+
+/**
+ * Encode an image as the first of `types` the browser can produce, as large
+ * and sharp as fits in maxBytes: highest quality first, then smaller sizes.
+ * @param {ImageBitmap|HTMLImageElement|HTMLCanvasElement} image - already upright
+ * @param {{maxBytes: number, maxDimension: number, minDimension: number, types: string[]}} settings
+ * @returns {Promise<{blob: Blob, type: string, width: number, height: number, quality: number, withinBudget: boolean}>}
+ *   When nothing fits, the smallest attempt with withinBudget false
+ */
+export async function compressToBudget(image, { maxBytes, maxDimension, minDimension, types }) {
+  const longSide = Math.max(image.width, image.height);
+  let smallest = null;
+
+  for (const type of types) {
+    let scale = Math.min(1, maxDimension / longSide);
+
+    while (true) {
+      const width = Math.max(1, Math.round(image.width * scale));
+      const height = Math.max(1, Math.round(image.height * scale));
+      const canvas = drawScaled(image, width, height, type);
+
+      const best = await searchQuality(canvas, type, maxBytes);
+      // The browser cannot encode this type and handed back PNG instead
+      if (!best) break;
+
+      const attempt = { ...best, type, width, height };
+      if (attempt.withinBudget) return attempt;
+      if (!smallest || attempt.blob.size < smallest.blob.size) smallest = attempt;
+
+      if (Math.max(width, height) <= minDimension) break;
+
+      // File size grows roughly with pixel count
+      const shrink = Math.min(MAX_SHRINK, Math.sqrt(maxBytes / attempt.blob.size));
+      scale = Math.max(scale * shrink, minDimension / longSide);
+    }
+  }
+
+  if (!smallest) {
+    throw new Error(`None of ${types.join(', ')} can be encoded here`);
+  }
+  return smallest;
+}
+
+function drawScaled(image, width, height, type) {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+
+  // JPEG has no alpha; transparent PNG areas would turn black
+  if (type === 'image/jpeg') {
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(image, 0, 0, width, height);
+  return canvas;
+}
+
+// Highest quality that fits, or the MIN_QUALITY result if none does.
+// Null when the canvas cannot produce `type`.
+async function searchQuality(canvas, type, maxBytes) {
+  const encode = async (quality) => {
+    const blob = await encodeCanvas(canvas, type, quality);
+    return blob.type === type ? { blob, quality, withinBudget: blob.size <= maxBytes } : null;
+  };
+
+  const top = await encode(MAX_QUALITY);
+  if (!top || top.withinBudget) return top;
+
+  const bottom = await encode(MIN_QUALITY);
+  if (!bottom.withinBudget) return bottom;
+
+  let best = bottom;
+  let low = MIN_QUALITY;
+  let high = MAX_QUALITY;
+
+  for (let step = 0; step < QUALITY_STEPS; step++) {
+    const attempt = await encode((low + high) / 2);
+    if (attempt.withinBudget) {
+      best = attempt;
+      low = attempt.quality;
+    } else {
+      high = attempt.quality;
+    }
+  }
+
+  return best;
+}
@@ -0,0 +1,188 @@
+// src/scripts/utils/image-pipeline.js
+// Prepares story photos for upload: makes them upright and re-encodes them
+// in the preferred format at the best quality and size that fit the API's
+// byte limit. The work runs in a Web Worker on OffscreenCanvas; browsers
+// without that do the same search on the main thread.
+
+import { compressToBudget, createCanvas } from './image-encoder.js';
+
+const DEFAULT_SETTINGS = {
+  // The story API rejects photos over 1 MB
+  maxBytes: 1000000,
+  maxDimension: 1600,
+  minDimension: 480,
+  // Output formats the API accepts, most preferred first; a format the
+  // browser cannot encode is skipped. AVIF can be listed here as well.
+  types: ['image/webp', 'image/jpeg']
+};
+
+class ImagePipeline {
+  constructor(settings = {}) {
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.worker = null;
+    this.workerUnavailable = false;
+    this.pending = new Map();
+    this.nextId = 1;
+  }
+
+  configure(settings) {
+    this.settings = { ...this.settings, ...settings };
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Whether a photo has to be re-encoded before upload: it is too big, not
+   * upright, or in a format the API does not take
+   * @param {Blob} blob
+   * @param {{orientation?: number}} [options] - EXIF orientation
+   */
+  needsProcessing(blob, { orientation = 1 } = {}) {
+    return blob.size > this.settings.maxBytes ||
+      orientation !== 1 ||
+      !this.settings.types.includes(blob.type);
+  }
+
+  /**
+   * Re-encode a photo to fit the byte budget
+   * @param {Blob|HTMLCanvasElement} source - a photo file, or an already
+   *   drawn (e.g. edited) canvas
+   * @param {Object} [options]
+   * @param {number} [options.orientation] - EXIF orientation of a Blob, only
+   *   used when the browser does not turn the photo upright by itself
+   * @param {number} [options.originalSize] - size to report as "before";
+   *   defaults to the Blob's size
+   * @returns {Promise<{blob: Blob, originalSize: (number|null), size: number, type: string,
+   *   width: number, height: number, quality: number, withinBudget: boolean}>}
+   */
+  async process(source, { orientation = 1, originalSize = source.size ?? null } = {}) {
+    let result;
+
+    try {
+      result = await this._runInWorker(source);
+    } catch (error) {
+      if (!error.unsupported) throw error;
+      console.warn('ImagePipeline: Worker unavailable, compressing on the main thread:', error.message);
+      result = await this._runOnMainThread(source, orientation);
+    }
+
+    console.log(`ImagePipeline: ${originalSize ?? '?'} -> ${result.blob.size} bytes as ${result.type} ` +
+      `(${result.width}x${result.height}, quality ${result.quality.toFixed(2)})`);
+
+    return { ...result, originalSize, size: result.blob.size };
+  }
+
+  /**
+   * Decode a photo on the main thread, turned upright
+   * @param {Blob} blob
+   * @param {number} [orientation] - EXIF orientation
+   * @returns {Promise<HTMLImageElement|HTMLCanvasElement|OffscreenCanvas>}
+   */
+  async decodeUpright(blob, orientation = 1) {
+    const url = URL.createObjectURL(blob);
+    const img = new Image();
+
+    try {
+      img.src = url;
+      await img.decode();
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+
+    // Turn the photo upright ourselves only if the browser did not already
+    if (orientation === 1 || await window.ExifUtils.browserAppliesOrientation()) {
+      return img;
+    }
+
+    const { width, height } = img;
+    const swap = window.ExifUtils.swapsDimensions(orientation);
+    const canvas = createCanvas(swap ? height : width, swap ? width : height);
+    const ctx = canvas.getContext('2d');
+    window.ExifUtils.applyOrientation(ctx, orientation, width, height);
+    ctx.drawImage(img, 0, 0, width, height);
+    return canvas;
+  }
+
+  // "1,4 MB" / "830 KB" for showing sizes in the form
+  static formatBytes(bytes) {
+    if (bytes >= 1000000) {
+      return `${(bytes / 1000000).toLocaleString('id-ID', { maximumFractionDigits: 1 })} MB`;
+    }
+    return `${Math.max(1, Math.round(bytes / 1000))} KB`;
+  }
+
+  _getWorker() {
+    if (this.worker) return this.worker;
+
+    this.worker = new Worker(new URL('./image-pipeline.worker.js', import.meta.url), { type: 'module' });
+
+    this.worker.onmessage = (event) => {
+      const { id, result, error, unsupported } = event.data;
+      const request = this.pending.get(id);
+      if (!request) return;
+
+      this.pending.delete(id);
+      if (unsupported) this._disableWorker();
+
+      if (error) {
+        request.reject(Object.assign(new Error(error), { unsupported: !!unsupported }));
+      } else {
+        request.resolve(result);
+      }
+    };
+
+    // The worker script did not load (e.g. offline before it was cached)
+    this.worker.onerror = (event) => {
+      const error = Object.assign(new Error(event.message || 'Image worker failed'), { unsupported: true });
+      this.pending.forEach(request => request.reject(error));
+      this.pending.clear();
+      this._disableWorker();
+    };
+
+    return this.worker;
+  }
+
+  _disableWorker() {
+    this.workerUnavailable = true;
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  async _runInWorker(source) {
+    if (this.workerUnavailable || typeof Worker === 'undefined') {
+      throw Object.assign(new Error('Workers are not available'), { unsupported: true });
+    }
+
+    // Canvases cannot be posted; their pixels go over as a transferred bitmap
+    const message = source instanceof Blob ? source : await createImageBitmap(source);
+    const transfer = source instanceof Blob ? [] : [message];
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.pending.set(id, { resolve, reject });
+
+      try {
+        this._getWorker().postMessage({ id, source: message, settings: this.settings }, transfer);
+      } catch (error) {
+        this.pending.delete(id);
+        this._disableWorker();
+        reject(Object.assign(error, { unsupported: true }));
+      }
+    });
+  }
+
+  async _runOnMainThread(source, orientation) {
+    const image = source instanceof Blob ? await this.decodeUpright(source, orientation) : source;
+    return compressToBudget(image, this.settings);
+  }
+}
+
+const imagePipeline = new ImagePipeline();
+
+window.ImagePipeline = ImagePipeline;
+window.imagePipeline = imagePipeline;
+console.log('ImagePipeline exported to window');
@@ -0,0 +1,42 @@
+// src/scripts/utils/image-pipeline.worker.js
+// Runs ImagePipeline compression off the main thread. Messages are
+// { id, source: Blob|ImageBitmap, settings }; replies are { id, result }
+// or { id, error, unsupported } when this worker cannot draw at all.
+
+import { compressToBudget } from './image-encoder.js';
+
+function canDraw() {
+  if (typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap === 'undefined') {
+    return false;
+  }
+  // Some browsers have OffscreenCanvas but only for WebGL
+  return !!new OffscreenCanvas(1, 1).getContext('2d');
+}
+
+const supported = canDraw();
+
+self.onmessage = async (event) => {
+  const { id, source, settings } = event.data;
+
+  if (!supported) {
+    self.postMessage({ id, error: 'OffscreenCanvas 2D is not available in workers', unsupported: true });
+    return;
+  }
+
+  let image = null;
+  try {
+    // Blobs are decoded here, turned upright from their EXIF orientation
+    image = source instanceof Blob
+      ? await createImageBitmap(source, { imageOrientation: 'from-image' })
+      : source;
+
+    const result = await compressToBudget(image, settings);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  } finally {
+    if (image && typeof image.close === 'function') {
+      image.close();
+    }
+  }
+};
@@ -1,20 +1,146 @@
 // IndexedDB Helper untuk Peta Bicara
+
+// Skema database sebagai daftar migrasi berurutan. Untuk menambah store atau
+// index, tambahkan entri baru di akhir daftar; jangan ubah entri yang sudah
+// dirilis. dbVersion selalu mengikuti versi migrasi terakhir.
+const SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Initial stores: favorites, offlineStories, settings',
+    upgrade(db) {
+      // Database v1 lama dibuat tanpa daftar migrasi, jadi tetap cek dulu
+      if (!db.objectStoreNames.contains('favorites')) {
+        const favoritesStore = db.createObjectStore('favorites', { keyPath: 'id' });
+        favoritesStore.createIndex('createdAt', 'createdAt', { unique: false });
+      }
+
+      if (!db.objectStoreNames.contains('offlineStories')) {
+        const offlineStore = db.createObjectStore('offlineStories', {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+        offlineStore.createIndex('timestamp', 'timestamp', { unique: false });
+      }
+
+      if (!db.objectStoreNames.contains('settings')) {
+        db.createObjectStore('settings', { keyPath: 'key' });
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Index favorites by addedToFavoritesAt',
+    upgrade(db, transaction) {
+      const favoritesStore = transaction.objectStore('favorites');
+      if (!favoritesStore.indexNames.contains('addedToFavoritesAt')) {
+        favoritesStore.createIndex('addedToFavoritesAt', 'addedToFavoritesAt', { unique: false });
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Story feed cache with freshness metadata',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains('storyCache')) {
+        db.createObjectStore('storyCache', { keyPath: 'key' });
+      }
+    }
+  },
+  {
+    version: 4,
+    description: 'Offline photo Blobs for favorites',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains('favoritePhotos')) {
+        db.createObjectStore('favoritePhotos', { keyPath: 'id' });
+      }
+    }
+  },
+  {
+    version: 5,
+    description: 'Favorite collections, tags and notes',
+    upgrade(db, transaction) {
+      const favoritesStore = transaction.objectStore('favorites');
+      if (!favoritesStore.indexNames.contains('collectionIds')) {
+        favoritesStore.createIndex('collectionIds', 'collectionIds', { unique: false, multiEntry: true });
+      }
+      if (!favoritesStore.indexNames.contains('tags')) {
+        favoritesStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+      }
+
+      if (!db.objectStoreNames.contains('favoriteCollections')) {
+        const collectionsStore = db.createObjectStore('favoriteCollections', { keyPath: 'id' });
+        collectionsStore.createIndex('name', 'name', { unique: true });
+      }
+    }
+  },
+  {
+    version: 6,
+    description: 'Autosaved drafts of the add-story form',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains('storyDrafts')) {
+        const draftsStore = db.createObjectStore('storyDrafts', { keyPath: 'id', autoIncrement: true });
+        draftsStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+      }
+    }
+  }
+];
+
+// Database lama dari src/scripts/data/db.js yang datanya dipindahkan sekali
+const LEGACY_STORY_DB = {
+  name: 'StoryDB',
+  storeName: 'offlineStories',
+  migratedSettingKey: 'legacyStoryDBMigrated'
+};
+
+// How long an upload claim on a queued story holds. The page and the
+// service worker both upload the queue; a claim stops them posting the same
+// story twice, and expires in case its uploader died midway. Keep in sync
+// with sw.js.
+const OFFLINE_UPLOAD_LEASE = 10 * 60 * 1000;
+
 class IndexedDBHelper {
   constructor() {
     this.dbName = 'PetaBicaraDB';
-    this.dbVersion = 1;
+    this.migrations = SCHEMA_MIGRATIONS;
+    this.dbVersion = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
     this.db = null;
+    this._initPromise = null;
     
     // Object stores
     this.stores = {
       favorites: 'favorites',
       offlineStories: 'offlineStories',
-      settings: 'settings'
+      settings: 'settings',
+      storyCache: 'storyCache',
+      favoritePhotos: 'favoritePhotos',
+      favoriteCollections: 'favoriteCollections',
+      storyDrafts: 'storyDrafts'
     };
   }
   
-  // Initialize database
+  // Initialize database (shared by every caller, opened once)
   async init() {
+    if (this.db) {
+      return this.db;
+    }
+    
+    if (!this._initPromise) {
+      this._initPromise = this._openDatabase()
+        .then(async (db) => {
+          await this._migrateLegacyStoryDB();
+          return db;
+        })
+        .catch((error) => {
+          // Allow a later call to try again
+          this._initPromise = null;
+          throw error;
+        });
+    }
+    
+    return this._initPromise;
+  }
+  
+  _openDatabase() {
     return new Promise((resolve, reject) => {
       console.log('Initializing IndexedDB...');
       
@@ -25,46 +151,144 @@ class IndexedDBHelper {
         reject(request.error);
       };
       
+      request.onblocked = () => {
+        console.warn('IndexedDB upgrade blocked by another open tab');
+      };
+      
       request.onsuccess = () => {
         this.db = request.result;
+        
+        // Let other tabs upgrade the schema instead of blocking them
+        this.db.onversionchange = () => {
+          console.log('IndexedDB version change requested, closing connection');
+          this.db.close();
+          this.db = null;
+          this._initPromise = null;
+        };
+        
         console.log('IndexedDB initialized successfully');
         resolve(this.db);
       };
       
       request.onupgradeneeded = (event) => {
-        console.log('Upgrading IndexedDB schema...');
-        const db = event.target.result;
-        
-        // Create favorites store
-        if (!db.objectStoreNames.contains(this.stores.favorites)) {
-          const favoritesStore = db.createObjectStore(this.stores.favorites, {
-            keyPath: 'id'
+        this._runMigrations(request.result, request.transaction, event.oldVersion);
+      };
+    });
+  }
+  
+  // Run every migration newer than the version on disk, in order
+  _runMigrations(db, transaction, oldVersion) {
+    console.log(`Upgrading IndexedDB schema from v${oldVersion} to v${this.dbVersion}...`);
+    
+    this.migrations
+      .filter(migration => migration.version > oldVersion)
+      .forEach((migration) => {
+        console.log(`Applying migration v${migration.version}: ${migration.description}`);
+        migration.upgrade(db, transaction);
+      });
+  }
+  
+  // One-time move of queued stories from the legacy StoryDB database
+  async _migrateLegacyStoryDB() {
+    try {
+      const alreadyMigrated = await this.getSetting(LEGACY_STORY_DB.migratedSettingKey);
+      if (alreadyMigrated) return;
+      
+      const legacyDb = await this._openLegacyDatabase();
+      let legacyStories = [];
+      
+      if (legacyDb) {
+        legacyStories = await this._readLegacyStories(legacyDb);
+        legacyDb.close();
+      }
+      
+      // All rows and the done flag commit together: a move cut off halfway
+      // leaves nothing behind to be copied a second time on the next start
+      const migratedAt = new Date().toISOString();
+      await this.performMultiStoreTransaction(
+        [this.stores.offlineStories, this.stores.settings],
+        'readwrite',
+        (transaction) => {
+          const offlineStore = transaction.objectStore(this.stores.offlineStories);
+          legacyStories.forEach((legacyStory) => {
+            offlineStore.add(this._fromLegacyStory(legacyStory));
           });
-          favoritesStore.createIndex('createdAt', 'createdAt', { unique: false });
-          console.log('Favorites store created');
-        }
-        
-        // Create offline stories store
-        if (!db.objectStoreNames.contains(this.stores.offlineStories)) {
-          const offlineStore = db.createObjectStore(this.stores.offlineStories, {
-            keyPath: 'id',
-            autoIncrement: true
+          
+          transaction.objectStore(this.stores.settings).put({
+            key: LEGACY_STORY_DB.migratedSettingKey,
+            value: { movedCount: legacyStories.length, migratedAt },
+            updatedAt: migratedAt
           });
-          offlineStore.createIndex('timestamp', 'timestamp', { unique: false });
-          console.log('Offline stories store created');
         }
-        
-        // Create settings store
-        if (!db.objectStoreNames.contains(this.stores.settings)) {
-          const settingsStore = db.createObjectStore(this.stores.settings, {
-            keyPath: 'key'
-          });
-          console.log('Settings store created');
+      );
+      
+      // Only once the copy has committed
+      if (legacyDb) {
+        await this._deleteLegacyDatabase();
+      }
+      console.log(`Legacy StoryDB migration done, moved ${legacyStories.length} stories`);
+    } catch (error) {
+      // Not fatal: the flag stays unset and the move is retried next time
+      console.error('Legacy StoryDB migration failed:', error);
+    }
+  }
+  
+  // Open StoryDB only if it already exists; never create it
+  _openLegacyDatabase() {
+    return new Promise((resolve) => {
+      const request = indexedDB.open(LEGACY_STORY_DB.name);
+      
+      request.onupgradeneeded = () => {
+        request.transaction.abort();
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(LEGACY_STORY_DB.storeName)) {
+          db.close();
+          resolve(null);
+          return;
         }
+        resolve(db);
+      };
+      request.onerror = () => resolve(null);
+    });
+  }
+  
+  _readLegacyStories(legacyDb) {
+    return new Promise((resolve, reject) => {
+      const transaction = legacyDb.transaction([LEGACY_STORY_DB.storeName], 'readonly');
+      const request = transaction.objectStore(LEGACY_STORY_DB.storeName).getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  
+  _deleteLegacyDatabase() {
+    return new Promise((resolve) => {
+      const request = indexedDB.deleteDatabase(LEGACY_STORY_DB.name);
+      request.onsuccess = () => resolve();
+      request.onerror = () => {
+        console.warn('Failed to delete legacy StoryDB:', request.error);
+        resolve();
       };
+      request.onblocked = () => resolve();
     });
   }
   
+  // Map a StoryDB row onto the offlineStories record shape
+  _fromLegacyStory(legacyStory) {
+    return {
+      description: legacyStory.description || '',
+      photoBlob: legacyStory.photoBlob || legacyStory.photo || null,
+      lat: legacyStory.lat ?? null,
+      lon: legacyStory.lon ?? null,
+      token: legacyStory.token || localStorage.getItem('token'),
+      timestamp: new Date(legacyStory.timestamp || Date.now()).toISOString(),
+      synced: false,
+      migratedFrom: LEGACY_STORY_DB.name
+    };
+  }
+  
   // Generic method to perform transactions
   async performTransaction(storeName, mode, operation) {
     if (!this.db) {
@@ -98,7 +322,37 @@ class IndexedDBHelper {
       }
     });
   }
-  
+
+  // Transaction over several stores that resolves only once it commits.
+  // The operation may return a function; its value becomes the result, so
+  // request callbacks can fill in data before the transaction completes.
+  async performMultiStoreTransaction(storeNames, mode, operation) {
+    if (!this.db) {
+      await this.init();
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeNames, mode);
+      let result;
+
+      transaction.oncomplete = () => {
+        resolve(typeof result === 'function' ? result() : result);
+      };
+      transaction.onerror = () => {
+        console.error(`Transaction failed for ${storeNames.join(', ')}:`, transaction.error);
+        reject(transaction.error);
+      };
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+
+      try {
+        result = operation(transaction);
+      } catch (error) {
+        transaction.abort();
+        reject(error);
+      }
+    });
+  }
+
   // === FAVORITES METHODS ===
   
   // Add story to favorites
@@ -113,7 +367,10 @@ class IndexedDBHelper {
       createdAt: story.createdAt,
       lat: story.lat,
       lon: story.lon,
-      addedToFavoritesAt: new Date().toISOString()
+      addedToFavoritesAt: new Date().toISOString(),
+      collectionIds: [],
+      tags: [],
+      note: ''
     };
     
     return this.performTransaction(
@@ -123,14 +380,90 @@ class IndexedDBHelper {
     );
   }
   
-  // Remove story from favorites
+  // Remove story from favorites. Resolves with the removed records
+  // (see removeFavorites) so the removal can be undone.
   async removeFromFavorites(storyId) {
     console.log('Removing story from favorites:', storyId);
-    
-    return this.performTransaction(
-      this.stores.favorites,
+    return this.removeFavorites([storyId]);
+  }
+
+  // Delete favorites and their offline photos in one transaction. Resolves
+  // with a snapshot { favorites, photos } of the exact records that were
+  // removed, for restoreFavorites().
+  async removeFavorites(storyIds) {
+    return this.performMultiStoreTransaction(
+      [this.stores.favorites, this.stores.favoritePhotos],
       'readwrite',
-      (store) => store.delete(storyId)
+      (transaction) => {
+        const snapshot = { favorites: [], photos: [] };
+
+        [
+          [this.stores.favorites, 'favorites'],
+          [this.stores.favoritePhotos, 'photos']
+        ].forEach(([storeName, key]) => {
+          const store = transaction.objectStore(storeName);
+
+          storyIds.forEach((storyId) => {
+            const request = store.get(storyId);
+            request.onsuccess = () => {
+              if (request.result) {
+                snapshot[key].push(request.result);
+                store.delete(storyId);
+              }
+            };
+          });
+        });
+
+        return () => snapshot;
+      }
+    );
+  }
+
+  // Remove every favorite and offline photo in one transaction; resolves
+  // with the same kind of snapshot as removeFavorites()
+  async clearFavorites() {
+    console.log('Clearing all favorites');
+
+    return this.performMultiStoreTransaction(
+      [this.stores.favorites, this.stores.favoritePhotos],
+      'readwrite',
+      (transaction) => {
+        const snapshot = { favorites: [], photos: [] };
+
+        [
+          [this.stores.favorites, 'favorites'],
+          [this.stores.favoritePhotos, 'photos']
+        ].forEach(([storeName, key]) => {
+          const store = transaction.objectStore(storeName);
+          const request = store.getAll();
+          request.onsuccess = () => {
+            snapshot[key] = request.result || [];
+            store.clear();
+          };
+        });
+
+        return () => snapshot;
+      }
+    );
+  }
+
+  // Put back records returned by removeFavorites()/clearFavorites() as they
+  // were, including addedToFavoritesAt and the photo Blobs
+  async restoreFavorites(snapshot) {
+    console.log(`Restoring ${snapshot.favorites.length} favorites`);
+
+    return this.performMultiStoreTransaction(
+      [this.stores.favorites, this.stores.favoritePhotos],
+      'readwrite',
+      (transaction) => {
+        const favoritesStore = transaction.objectStore(this.stores.favorites);
+        const photosStore = transaction.objectStore(this.stores.favoritePhotos);
+
+        snapshot.favorites.forEach(favorite => favoritesStore.put(favorite));
+        snapshot.photos.forEach(photo => photosStore.put(photo));
+
+        return snapshot.favorites.length;
+      }
     );
   }
   
@@ -145,6 +478,15 @@ class IndexedDBHelper {
     );
   }
   
+  // Get a single favorite story
+  async getFavorite(storyId) {
+    return this.performTransaction(
+      this.stores.favorites,
+      'readonly',
+      (store) => store.get(storyId)
+    );
+  }
+  
   // Check if story is in favorites
   async isFavorite(storyId) {
     return this.performTransaction(
@@ -162,7 +504,127 @@ class IndexedDBHelper {
       (store) => store.count()
     );
   }
-  
+
+  // Merge changes (note, tags, collectionIds) into a stored favorite.
+  // Resolves with the updated record, or null when the id is not a favorite.
+  async updateFavorite(storyId, changes) {
+    console.log('Updating favorite:', storyId);
+
+    return this.performMultiStoreTransaction(
+      [this.stores.favorites],
+      'readwrite',
+      (transaction) => {
+        const store = transaction.objectStore(this.stores.favorites);
+        let updated = null;
+
+        const request = store.get(storyId);
+        request.onsuccess = () => {
+          if (!request.result) return;
+          updated = { ...request.result, ...changes, id: storyId };
+          store.put(updated);
+        };
+
+        return () => updated;
+      }
+    );
+  }
+
+  // Move favorites to a new id: [{ fromIds, favorite }]. The records under
+  // fromIds are deleted and their offline photo follows the new id.
+  async rekeyFavorites(moves) {
+    return this.performMultiStoreTransaction(
+      [this.stores.favorites, this.stores.favoritePhotos],
+      'readwrite',
+      (transaction) => {
+        const favoritesStore = transaction.objectStore(this.stores.favorites);
+        const photosStore = transaction.objectStore(this.stores.favoritePhotos);
+
+        moves.forEach(({ fromIds, favorite }) => {
+          favoritesStore.put(favorite);
+
+          fromIds.forEach((fromId) => {
+            favoritesStore.delete(fromId);
+
+            const request = photosStore.get(fromId);
+            request.onsuccess = () => {
+              if (!request.result) return;
+              photosStore.delete(fromId);
+              photosStore.put({ ...request.result, id: favorite.id });
+            };
+          });
+        });
+
+        return moves.length;
+      }
+    );
+  }
+
+  // Favorites in one collection (multiEntry index on collectionIds)
+  async getFavoritesByCollection(collectionId) {
+    return this.performTransaction(
+      this.stores.favorites,
+      'readonly',
+      (store) => store.index('collectionIds').getAll(collectionId)
+    );
+  }
+
+  // Favorites carrying one tag (multiEntry index on tags)
+  async getFavoritesByTag(tag) {
+    return this.performTransaction(
+      this.stores.favorites,
+      'readonly',
+      (store) => store.index('tags').getAll(tag)
+    );
+  }
+
+  // === FAVORITE COLLECTION METHODS ===
+
+  // Save collection: { id, name, createdAt }. Names are unique.
+  async saveCollection(collection) {
+    return this.performTransaction(
+      this.stores.favoriteCollections,
+      'readwrite',
+      (store) => store.put(collection)
+    );
+  }
+
+  async getAllCollections() {
+    return this.performTransaction(
+      this.stores.favoriteCollections,
+      'readonly',
+      (store) => store.getAll()
+    );
+  }
+
+  // Delete a collection and take it off every favorite in one transaction;
+  // the stories themselves stay in favorites
+  async deleteCollection(collectionId) {
+    console.log('Deleting favorite collection:', collectionId);
+
+    return this.performMultiStoreTransaction(
+      [this.stores.favoriteCollections, this.stores.favorites],
+      'readwrite',
+      (transaction) => {
+        transaction.objectStore(this.stores.favoriteCollections).delete(collectionId);
+
+        const cursorRequest = transaction.objectStore(this.stores.favorites)
+          .index('collectionIds')
+          .openCursor(IDBKeyRange.only(collectionId));
+
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (!cursor) return;
+
+          cursor.update({
+            ...cursor.value,
+            collectionIds: cursor.value.collectionIds.filter(id => id !== collectionId)
+          });
+          cursor.continue();
+        };
+      }
+    );
+  }
+
   // === OFFLINE STORIES METHODS ===
   
   // Save story for offline submission
@@ -174,7 +636,9 @@ class IndexedDBHelper {
       photoBlob: storyData.photoBlob,
       lat: storyData.lat,
       lon: storyData.lon,
-      token: localStorage.getItem('token'),
+      // Guest posts are uploaded without a token
+      token: storyData.isGuest ? null : localStorage.getItem('token'),
+      isGuest: !!storyData.isGuest,
       timestamp: new Date().toISOString(),
       synced: false
     };
@@ -219,6 +683,38 @@ class IndexedDBHelper {
     );
   }
   
+  // Update a queued offline story (attempt count, last error, edits)
+  async updateOfflineStory(story) {
+    console.log('Updating offline story:', story.id);
+    
+    return this.performTransaction(
+      this.stores.offlineStories,
+      'readwrite',
+      (store) => store.put(story)
+    );
+  }
+  
+  // Mark a queued story as being uploaded. Resolves with the claimed story,
+  // or null when it is gone or someone else holds a live claim on it.
+  async claimOfflineStory(storyId) {
+    return this.performMultiStoreTransaction([this.stores.offlineStories], 'readwrite', (transaction) => {
+      const store = transaction.objectStore(this.stores.offlineStories);
+      let claimed = null;
+
+      const request = store.get(storyId);
+      request.onsuccess = () => {
+        const story = request.result;
+        if (!story || story.synced) return;
+        if (story.uploadStartedAt && Date.now() - story.uploadStartedAt < OFFLINE_UPLOAD_LEASE) return;
+
+        claimed = { ...story, uploadStartedAt: Date.now() };
+        store.put(claimed);
+      };
+
+      return () => claimed;
+    });
+  }
+  
   // Remove synced offline story
   async removeOfflineStory(storyId) {
     console.log('Removing offline story:', storyId);
@@ -230,6 +726,124 @@ class IndexedDBHelper {
     );
   }
   
+  // === DRAFT METHODS ===
+  
+  // Save a draft: { id?, description, photoBlob, lat, lon, createdAt, updatedAt }.
+  // Without id a new draft is created; resolves to the draft's id.
+  async saveDraft(draft) {
+    return this.performTransaction(
+      this.stores.storyDrafts,
+      'readwrite',
+      (store) => store.put(draft)
+    );
+  }
+  
+  async getDraft(draftId) {
+    const draft = await this.performTransaction(
+      this.stores.storyDrafts,
+      'readonly',
+      (store) => store.get(draftId)
+    );
+    return draft || null;
+  }
+  
+  async getAllDrafts() {
+    return this.performTransaction(
+      this.stores.storyDrafts,
+      'readonly',
+      (store) => store.getAll()
+    ).then(drafts => drafts || []);
+  }
+  
+  async removeDraft(draftId) {
+    return this.performTransaction(
+      this.stores.storyDrafts,
+      'readwrite',
+      (store) => store.delete(draftId)
+    );
+  }
+  
+  // === FAVORITE PHOTO METHODS ===
+  
+  // Save offline photo Blobs: { id, thumbnail, full, sourceUrl, savedAt }.
+  // Only while the story is still a favorite, checked in the same
+  // transaction: the download may finish after it was unfavorited.
+  // Resolves true when the photo was stored.
+  async saveFavoritePhoto(record) {
+    return this.performMultiStoreTransaction(
+      [this.stores.favorites, this.stores.favoritePhotos],
+      'readwrite',
+      (transaction) => {
+        let saved = false;
+        const request = transaction.objectStore(this.stores.favorites).getKey(record.id);
+        request.onsuccess = () => {
+          if (request.result === undefined) return;
+          transaction.objectStore(this.stores.favoritePhotos).put(record);
+          saved = true;
+        };
+        return () => saved;
+      }
+    );
+  }
+  
+  async getFavoritePhoto(storyId) {
+    const record = await this.performTransaction(
+      this.stores.favoritePhotos,
+      'readonly',
+      (store) => store.get(storyId)
+    );
+    return record || null;
+  }
+  
+  async removeFavoritePhoto(storyId) {
+    return this.performTransaction(
+      this.stores.favoritePhotos,
+      'readwrite',
+      (store) => store.delete(storyId)
+    );
+  }
+  
+  // Number of stored photos and their size in bytes
+  async getFavoritePhotosUsage() {
+    const records = await this.performTransaction(
+      this.stores.favoritePhotos,
+      'readonly',
+      (store) => store.getAll()
+    );
+    
+    return (records || []).reduce((usage, record) => {
+      usage.count++;
+      usage.thumbnailBytes += record.thumbnail ? record.thumbnail.size : 0;
+      usage.fullBytes += record.full ? record.full.size : 0;
+      return usage;
+    }, { count: 0, thumbnailBytes: 0, fullBytes: 0 });
+  }
+  
+  // === STORY CACHE METHODS ===
+  
+  // Save the cached feed: { stories, fetchedAt, etag, serverDate }
+  async saveStoryCache(entry) {
+    return this.performTransaction(
+      this.stores.storyCache,
+      'readwrite',
+      (store) => store.put({ ...entry, key: 'feed' })
+    );
+  }
+  
+  // Get the cached feed, or null when nothing was cached yet
+  async getStoryCache() {
+    const entry = await this.performTransaction(
+      this.stores.storyCache,
+      'readonly',
+      (store) => store.get('feed')
+    );
+    
+    if (!entry) return null;
+    
+    const { key, ...feed } = entry;
+    return feed;
+  }
+  
   // === SETTINGS METHODS ===
   
   // Save app setting
@@ -304,28 +918,52 @@ class IndexedDBHelper {
   // Export favorites data (for backup)
   async exportFavorites() {
     const favorites = await this.getAllFavorites();
+    const collections = await this.getAllCollections();
     return {
       exportDate: new Date().toISOString(),
       version: this.dbVersion,
-      favorites: favorites
+      favorites: favorites,
+      collections: collections
     };
   }
-  
-  // Import favorites data (from backup)
-  async importFavorites(data) {
+
+  // Import favorites data (from backup). Items and collections are written
+  // as-is with put(), so existing ids are overwritten; replace clears the
+  // stores first. Everything happens in one transaction: either all items
+  // land or none.
+  async importFavorites(data, { replace = false } = {}) {
     if (!data.favorites || !Array.isArray(data.favorites)) {
       throw new Error('Invalid favorites data format');
     }
     
-    console.log(`Importing ${data.favorites.length} favorites`);
+    if (!this.db) {
+      await this.init();
+    }
     
-    const promises = data.favorites.map(favorite => 
-      this.addToFavorites(favorite).catch(error => {
-        console.warn(`Failed to import favorite ${favorite.id}:`, error);
-      })
-    );
+    console.log(`Importing ${data.favorites.length} favorites${replace ? ' (replace)' : ''}`);
     
-    return Promise.allSettled(promises);
+    const collections = Array.isArray(data.collections) ? data.collections : [];
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [this.stores.favorites, this.stores.favoritePhotos, this.stores.favoriteCollections],
+        'readwrite'
+      );
+      const store = transaction.objectStore(this.stores.favorites);
+      const collectionsStore = transaction.objectStore(this.stores.favoriteCollections);
+
+      transaction.oncomplete = () => resolve(data.favorites.length);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Import aborted'));
+
+      if (replace) {
+        store.clear();
+        transaction.objectStore(this.stores.favoritePhotos).clear();
+        collectionsStore.clear();
+      }
+      collections.forEach(collection => collectionsStore.put(collection));
+      data.favorites.forEach(favorite => store.put(favorite));
+    });
   }
 }
 
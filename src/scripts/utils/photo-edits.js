@@ -0,0 +1,192 @@
+// src/scripts/utils/photo-edits.js
+// Canvas rendering for the photo editing step: 90° rotation, aspect-ratio
+// crop, brightness/contrast and preset filters. Colour changes are done on
+// the pixels (getImageData) rather than ctx.filter, which Safari lacks.
+//
+// An edit state looks like:
+//   { rotation: 0|90|180|270, aspect: 'asli'|'1:1'|..., focus: { x, y },
+//     brightness: -50..50, contrast: -50..50, preset: 'normal'|... }
+// focus is the crop centre as a fraction of the rotated photo.
+
+const CROP_ASPECTS = {
+  asli: null,
+  '1:1': 1,
+  '4:3': 4 / 3,
+  '3:4': 3 / 4,
+  '16:9': 16 / 9
+};
+
+// Saturation matrix with Rec. 709 luma weights
+function saturation(amount) {
+  const [r, g, b] = [0.213, 0.715, 0.072].map(weight => weight * (1 - amount));
+  return [
+    r + amount, g, b,
+    r, g + amount, b,
+    r, g, b + amount
+  ];
+}
+
+// 3×3 colour matrix plus a per-channel offset (0-255 scale)
+const PHOTO_PRESETS = {
+  normal: { label: 'Normal', matrix: null, offset: [0, 0, 0] },
+  hangat: { label: 'Hangat', matrix: null, offset: [18, 6, -18] },
+  sejuk: { label: 'Sejuk', matrix: null, offset: [-14, 0, 18] },
+  cerah: { label: 'Cerah', matrix: saturation(1.4), offset: [0, 0, 0] },
+  'hitam-putih': { label: 'Hitam Putih', matrix: saturation(0), offset: [0, 0, 0] },
+  sepia: {
+    label: 'Sepia',
+    matrix: [
+      0.393, 0.769, 0.189,
+      0.349, 0.686, 0.168,
+      0.272, 0.534, 0.131
+    ],
+    offset: [0, 0, 0]
+  }
+};
+
+const PhotoEdits = {
+  ASPECTS: CROP_ASPECTS,
+  PRESETS: PHOTO_PRESETS,
+
+  defaultEdits() {
+    return { rotation: 0, aspect: 'asli', focus: { x: 0.5, y: 0.5 }, brightness: 0, contrast: 0, preset: 'normal' };
+  },
+
+  // True when rendering would give back the photo unchanged
+  isIdentity(edits) {
+    return edits.rotation === 0 && edits.aspect === 'asli' && !PhotoEdits.hasColorChanges(edits);
+  },
+
+  hasColorChanges(edits) {
+    return edits.brightness !== 0 || edits.contrast !== 0 || edits.preset !== 'normal';
+  },
+
+  // Size of the photo after rotation
+  rotatedSize(image, rotation) {
+    return rotation % 180 === 0
+      ? { width: image.width, height: image.height }
+      : { width: image.height, height: image.width };
+  },
+
+  /**
+   * Largest rectangle with the chosen aspect ratio inside the rotated
+   * photo, centred on edits.focus as far as the edges allow
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  getCropRect({ width, height }, edits) {
+    const ratio = CROP_ASPECTS[edits.aspect];
+    if (!ratio) return { x: 0, y: 0, width, height };
+
+    const cropWidth = Math.min(width, height * ratio);
+    const cropHeight = cropWidth / ratio;
+    const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+    return {
+      x: clamp(edits.focus.x * width - cropWidth / 2, width - cropWidth),
+      y: clamp(edits.focus.y * height - cropHeight / 2, height - cropHeight),
+      width: cropWidth,
+      height: cropHeight
+    };
+  },
+
+  /**
+   * Draw the photo rotated into a new canvas, without cropping
+   * @param {CanvasImageSource} image - upright source photo
+   * @param {number} rotation
+   * @param {number} scale
+   */
+  drawRotated(image, rotation, scale = 1) {
+    const size = PhotoEdits.rotatedSize(image, rotation);
+    const canvas = PhotoEdits._createCanvas(size.width * scale, size.height * scale);
+    const ctx = canvas.getContext('2d');
+
+    ctx.scale(scale, scale);
+    ctx.translate(size.width / 2, size.height / 2);
+    ctx.rotate(rotation * Math.PI / 180);
+    ctx.drawImage(image, -image.width / 2, -image.height / 2);
+    return canvas;
+  },
+
+  /**
+   * Render the final edited photo
+   * @param {CanvasImageSource} image - upright source photo
+   * @param {Object} edits
+   * @param {{maxDimension?: number}} [options] - longest side of the result
+   * @returns {HTMLCanvasElement}
+   */
+  render(image, edits, { maxDimension = Infinity } = {}) {
+    const crop = PhotoEdits.getCropRect(PhotoEdits.rotatedSize(image, edits.rotation), edits);
+    const scale = Math.min(1, maxDimension / Math.max(crop.width, crop.height));
+    const canvas = PhotoEdits._createCanvas(crop.width * scale, crop.height * scale);
+    const ctx = canvas.getContext('2d');
+
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(
+      PhotoEdits.drawRotated(image, edits.rotation),
+      crop.x, crop.y, crop.width, crop.height,
+      0, 0, canvas.width, canvas.height
+    );
+
+    PhotoEdits.applyColor(canvas, edits);
+    return canvas;
+  },
+
+  // Apply brightness, contrast and the preset to a canvas in place
+  applyColor(canvas, edits) {
+    if (!PhotoEdits.hasColorChanges(edits)) return;
+
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    PhotoEdits.adjustPixels(imageData.data, edits);
+    ctx.putImageData(imageData, 0, 0);
+  },
+
+  /**
+   * Colour pass over RGBA pixels: preset first, then brightness/contrast
+   * through a lookup table. Alpha is left alone.
+   * @param {Uint8ClampedArray} data
+   */
+  adjustPixels(data, edits) {
+    const preset = PHOTO_PRESETS[edits.preset] || PHOTO_PRESETS.normal;
+    const [offsetR, offsetG, offsetB] = preset.offset;
+    const m = preset.matrix;
+
+    // -50..50 maps to a contrast factor of 0.5..1.5 and a shift of ±64
+    const contrast = 1 + edits.contrast / 100;
+    const brightness = edits.brightness * 1.28;
+    const table = new Uint8ClampedArray(511);
+    for (let i = 0; i < table.length; i++) {
+      table[i] = (i - 128 - 128) * contrast + 128 + brightness;
+    }
+    // Preset results can leave 0-255, so the table covers -128..382
+    const lookup = value => table[Math.min(510, Math.max(0, Math.round(value) + 128))];
+
+    for (let i = 0; i < data.length; i += 4) {
+      let r = data[i];
+      let g = data[i + 1];
+      let b = data[i + 2];
+
+      if (m) {
+        const red = r;
+        const green = g;
+        r = m[0] * red + m[1] * green + m[2] * b;
+        g = m[3] * red + m[4] * green + m[5] * b;
+        b = m[6] * red + m[7] * green + m[8] * b;
+      }
+
+      data[i] = lookup(r + offsetR);
+      data[i + 1] = lookup(g + offsetG);
+      data[i + 2] = lookup(b + offsetB);
+    }
+  },
+
+  _createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width));
+    canvas.height = Math.max(1, Math.round(height));
+    return canvas;
+  }
+};
+
+window.PhotoEdits = PhotoEdits;
+console.log('PhotoEdits exported to window');
@@ -9,9 +9,11 @@ class Router {
     });
   }
 
+  // url boleh berisi parameter, misalnya '/cerita/:id'
   addRoute(url, callback, options = {}) {
     this.routes.push({
       url,
+      pattern: this._compilePattern(url),
       callback,
       requiresAuth: options.requiresAuth || false,
       guestOnly: options.guestOnly || false
@@ -20,6 +22,44 @@ class Router {
     return this;
   }
 
+  // Ubah '/cerita/:id' menjadi regex dan daftar nama parameter
+  _compilePattern(url) {
+    const paramNames = [];
+    const source = url
+      .split('/')
+      .map((segment) => {
+        if (segment.startsWith(':')) {
+          paramNames.push(segment.slice(1));
+          return '([^/]+)';
+        }
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('/');
+
+    return {
+      regex: new RegExp(`^${source}/?$`),
+      paramNames
+    };
+  }
+
+  // Cocokkan path dengan route, kembalikan parameternya atau null
+  _matchRoute(route, path) {
+    const match = route.pattern.regex.exec(path);
+    if (!match) return null;
+
+    const params = {};
+    try {
+      route.pattern.paramNames.forEach((name, index) => {
+        params[name] = decodeURIComponent(match[index + 1]);
+      });
+    } catch (error) {
+      // Malformed escapes like %E0%A4%A: treat as no match, so not-found shows
+      console.warn('Router: Could not decode route params:', path, error);
+      return null;
+    }
+    return params;
+  }
+
   setFallback(callback) {
     this.fallbackCallback = callback;
     return this;
@@ -56,30 +96,41 @@ class Router {
     const url = hash.slice(1) || '/';
     this.currentUrl = url;
     
-    const isAuthenticated = localStorage.getItem('token') !== null;
+    // Query string tidak ikut dicocokkan, tapi diteruskan ke callback
+    const [path, queryString = ''] = url.split('?');
+    const query = Object.fromEntries(new URLSearchParams(queryString));
+    
+    const isAuthenticated = this._isAuthenticated();
     
     console.log('Loading route:', url, 'Auth:', isAuthenticated); 
 
+    let params = null;
     const route = this.routes.find((route) => {
-      return route.url === url;
+      params = this._matchRoute(route, path || '/');
+      return params !== null;
     });
 
     if (route) {
       // Prevent redirect loop
       if (route.requiresAuth && !isAuthenticated && url !== '/masuk') {
         console.log('Halaman memerlukan login. Mengalihkan ke halaman login...');
-        this.navigateTo('/masuk');
+        // Token kedaluwarsa: bersihkan sesi lewat ApiService
+        if (localStorage.getItem('token') !== null && window.apiService) {
+          window.apiService.handleSessionExpired();
+          return;
+        }
+        this.redirectToLogin(url);
         return;
       }
       
       if (route.guestOnly && isAuthenticated && url !== '/') {
         console.log('Halaman hanya untuk tamu. Mengalihkan ke beranda...');
-        this.navigateTo('/');
+        this.navigateTo(this.consumeIntendedRoute() || '/');
         return;
       }
       
       try {
-        route.callback();
+        route.callback(params, query);
       } catch (error) {
         console.error('Error in route callback:', error);
       }
@@ -89,6 +140,53 @@ class Router {
     }
   }
 
+  // Muat ulang halaman aktif jika aturan login/tamunya tidak lagi
+  // terpenuhi, mis. setelah logout atau login di tab lain
+  recheckAccess() {
+    const [path] = this.currentUrl.split('?');
+    const route = this.routes.find((route) => this._matchRoute(route, path || '/') !== null);
+    if (!route) return;
+
+    const isAuthenticated = this._isAuthenticated();
+    if ((route.requiresAuth && !isAuthenticated) || (route.guestOnly && isAuthenticated)) {
+      this._loadRoute();
+    }
+  }
+
+  _isAuthenticated() {
+    if (window.apiService) {
+      return window.apiService.isAuthenticated();
+    }
+    return localStorage.getItem('token') !== null;
+  }
+
+  // Buka halaman login dan ingat halaman tujuan, supaya pengguna kembali
+  // ke sana setelah berhasil masuk
+  redirectToLogin(intendedUrl = this.currentUrl) {
+    if (intendedUrl && !['/masuk', '/daftar'].includes(intendedUrl.split('?')[0])) {
+      sessionStorage.setItem('intended_route', intendedUrl);
+    }
+    this.navigateTo('/masuk');
+  }
+
+  // Ambil (sekali pakai) halaman yang tadi ingin dibuka sebelum login
+  consumeIntendedRoute() {
+    const url = sessionStorage.getItem('intended_route');
+    sessionStorage.removeItem('intended_route');
+    return url;
+  }
+
+  // Ganti query string halaman aktif tanpa memuat ulang halamannya
+  // (replaceState tidak memicu hashchange), mis. kata kunci pencarian
+  replaceQuery(query = {}) {
+    const [path] = this.currentUrl.split('?');
+    const queryString = new URLSearchParams(query).toString();
+    const url = queryString ? `${path}?${queryString}` : path;
+
+    this.currentUrl = url;
+    history.replaceState(history.state, '', `#${url}`);
+  }
+
   navigateTo(url) {
     console.log('Navigating to:', url); 
     
@@ -0,0 +1,45 @@
+// src/scripts/utils/safe-html.js
+// Helpers for building innerHTML templates from untrusted strings
+// (story text from the API, server error messages, imported data).
+// The methods don't use `this`, so `const { escape, url } = window.SafeHtml`
+// works inside templates.
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;'
+};
+
+// Schemes allowed in src/href values built from API data
+const SAFE_URL_PATTERN = /^(https?:|blob:|data:image\/)/i;
+
+const SafeHtml = {
+  /**
+   * Escape a value for use as element text or inside a quoted attribute.
+   * null/undefined become an empty string.
+   */
+  escape(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"'`]/g, (char) => HTML_ESCAPES[char]);
+  },
+
+  /**
+   * Escape a URL for a src/href attribute. Anything other than http(s),
+   * blob: or data:image/ (e.g. javascript:) is replaced by the fallback.
+   */
+  url(value, fallback = '') {
+    const url = value === null || value === undefined ? '' : String(value).trim();
+
+    // Relative app links like '#/cerita/1' are fine as well
+    if (!SAFE_URL_PATTERN.test(url) && !url.startsWith('#/')) {
+      return SafeHtml.escape(fallback);
+    }
+    return SafeHtml.escape(url);
+  }
+};
+
+window.SafeHtml = SafeHtml;
+console.log('SafeHtml exported to window');
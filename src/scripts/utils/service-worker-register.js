@@ -66,6 +66,16 @@ class ServiceWorkerRegister {
         window.location.reload();
       });
 
+      // Forward background sync results so open pages can refresh
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'OFFLINE_STORIES_SYNCED') {
+          console.log('Offline stories synced by Service Worker:', event.data);
+          window.dispatchEvent(new CustomEvent('offlineStoriesSynced', {
+            detail: { uploaded: event.data.uploaded, failed: event.data.failed }
+          }));
+        }
+      });
+
       return this.registration;
     } catch (error) {
       console.error('Service Worker registration error:', error);
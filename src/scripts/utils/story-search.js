@@ -0,0 +1,129 @@
+// src/scripts/utils/story-search.js
+// Pencarian teks dan filter cerita di sisi klien untuk Beranda. Kriteria
+// disimpan di query string hash URL (#/?q=pantai&lokasi=1&urut=terlama)
+// supaya hasil pencarian bisa dibagikan dan tetap ada setelah reload.
+
+const SEARCH_SORTS = ['terbaru', 'terlama', 'terdekat'];
+const DEFAULT_SEARCH_SORT = 'terbaru';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const StorySearch = {
+  /**
+   * Kriteria tanpa filter apa pun
+   * @returns {{q: string, hasLocation: boolean, from: string, to: string, author: string, sort: string}}
+   */
+  emptyCriteria() {
+    return { q: '', hasLocation: false, from: '', to: '', author: '', sort: DEFAULT_SEARCH_SORT };
+  },
+
+  // Baca kriteria dari query string route; nilai yang tidak valid diabaikan
+  fromQuery(query = {}) {
+    const criteria = StorySearch.emptyCriteria();
+
+    criteria.q = String(query.q || '').trim();
+    criteria.hasLocation = query.lokasi === '1';
+    criteria.from = DATE_PATTERN.test(query.dari || '') ? query.dari : '';
+    criteria.to = DATE_PATTERN.test(query.sampai || '') ? query.sampai : '';
+    criteria.author = String(query.penulis || '').trim();
+    criteria.sort = SEARCH_SORTS.includes(query.urut) ? query.urut : DEFAULT_SEARCH_SORT;
+
+    return criteria;
+  },
+
+  // Kebalikan fromQuery; nilai bawaan tidak ikut ditulis ke URL
+  toQuery(criteria) {
+    const query = {};
+
+    if (criteria.q) query.q = criteria.q;
+    if (criteria.hasLocation) query.lokasi = '1';
+    if (criteria.from) query.dari = criteria.from;
+    if (criteria.to) query.sampai = criteria.to;
+    if (criteria.author) query.penulis = criteria.author;
+    if (criteria.sort !== DEFAULT_SEARCH_SORT) query.urut = criteria.sort;
+
+    return query;
+  },
+
+  isActive(criteria) {
+    return Object.keys(StorySearch.toQuery(criteria)).length > 0;
+  },
+
+  /**
+   * Saring dan urutkan cerita
+   * @param {Array} stories
+   * @param {Object} criteria - lihat emptyCriteria()
+   * @param {{lat: number, lon: number}|null} position - wajib untuk urutan 'terdekat'
+   * @returns {Array} salinan cerita yang cocok; dengan position, tiap cerita
+   *   mendapat distanceKm (null tanpa lokasi)
+   */
+  filter(stories, criteria, position = null) {
+    const terms = StorySearch.normalize(criteria.q).split(/\s+/).filter(Boolean);
+    const author = StorySearch.normalize(criteria.author);
+    const fromTime = criteria.from ? new Date(`${criteria.from}T00:00:00`).getTime() : null;
+    const toTime = criteria.to ? new Date(`${criteria.to}T23:59:59.999`).getTime() : null;
+
+    let results = stories.filter((story) => {
+      if (criteria.hasLocation && !window.GeoUtils.hasCoordinates(story)) return false;
+      if (author && !StorySearch.normalize(story.name).includes(author)) return false;
+
+      if (fromTime !== null || toTime !== null) {
+        const createdAt = new Date(story.createdAt).getTime();
+        if (isNaN(createdAt)) return false;
+        if (fromTime !== null && createdAt < fromTime) return false;
+        if (toTime !== null && createdAt > toTime) return false;
+      }
+
+      // Semua kata kunci harus muncul di nama atau deskripsi
+      const text = StorySearch.normalize(`${story.name || ''} ${story.description || ''}`);
+      return terms.every(term => text.includes(term));
+    });
+
+    if (position) {
+      results = results.map(story => ({
+        ...story,
+        distanceKm: window.GeoUtils.distanceKm(position, story)
+      }));
+    }
+
+    return results.sort(StorySearch._getComparator(criteria.sort));
+  },
+
+  // Nama penulis unik, untuk saran di kolom filter penulis
+  getAuthors(stories) {
+    const names = new Set(stories.map(story => story.name).filter(Boolean));
+    return [...names].sort((a, b) => a.localeCompare(b, 'id-ID'));
+  },
+
+  // Huruf kecil tanpa diakritik, supaya "Café" cocok dengan "cafe"
+  normalize(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .trim();
+  },
+
+  _getComparator(sort) {
+    const time = story => new Date(story.createdAt).getTime() || 0;
+
+    if (sort === 'terlama') {
+      return (a, b) => time(a) - time(b);
+    }
+
+    if (sort === 'terdekat') {
+      // Cerita tanpa lokasi di akhir
+      return (a, b) => {
+        const distanceA = a.distanceKm ?? null;
+        const distanceB = b.distanceKm ?? null;
+        if (distanceA === null) return distanceB === null ? 0 : 1;
+        if (distanceB === null) return -1;
+        return distanceA - distanceB;
+      };
+    }
+
+    return (a, b) => time(b) - time(a);
+  }
+};
+
+window.StorySearch = StorySearch;
+console.log('StorySearch exported to window');
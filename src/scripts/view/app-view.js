@@ -34,6 +34,14 @@ class AppView {
     return mapView;
   }
   
+  renderStoryDetailPage() {
+    this.clearContent();
+    
+    const storyDetailView = new window.StoryDetailView();
+    storyDetailView.render();
+    return storyDetailView;
+  }
+  
   renderLoginPage() {
     this.clearContent();
     
@@ -68,6 +76,14 @@ class AppView {
     return settingsView;
   }
   
+  renderOutboxPage() {
+    this.clearContent();
+    
+    const outboxView = new window.OutboxView();
+    outboxView.render();
+    return outboxView;
+  }
+  
   clearContent() {
     // Clear main content
     this.mainContent.innerHTML = '';
@@ -87,7 +103,7 @@ class AppView {
       <div class="error-container">
         <i class="fas fa-exclamation-circle" aria-hidden="true"></i>
         <h2>Terjadi Kesalahan</h2>
-        <p>${message}</p>
+        <p>${window.SafeHtml.escape(message)}</p>
         <button class="btn btn-primary" id="retryButton">
           <i class="fas fa-redo" aria-hidden="true"></i>
           Coba Lagi
@@ -199,15 +215,34 @@ class AppView {
   
   // Add missing methods
   setupAuthChangeListener(callback) {
-    // Listen for storage events (when auth status changes)
-    window.addEventListener('storage', (e) => {
-      if (e.key === 'token' || e.key === 'user') {
-        callback();
+    // Custom event for auth changes; EventBus re-dispatches the ones from
+    // other tabs with detail.fromOtherTab set
+    window.addEventListener('authChanged', (event) => {
+      callback(window.EventBus ? window.EventBus.isFromOtherTab(event) : false);
+    });
+  }
+  
+  // Listen for offline queue changes (queued, uploaded, edited, removed)
+  setupOutboxChangeListener(callback) {
+    window.addEventListener('outboxChanged', callback);
+    window.addEventListener('offlineStoriesSynced', callback);
+  }
+  
+  updateOutboxCount(count) {
+    const countElement = document.getElementById('navOutboxCount');
+    if (countElement) {
+      countElement.textContent = count;
+      countElement.style.display = count > 0 ? 'inline' : 'none';
+    }
+  }
+  
+  // Listen for detail requests bubbling up from <story-card>
+  setupStoryDetailListener(callback) {
+    document.addEventListener('story-detail-click', (event) => {
+      if (event.detail && event.detail.id) {
+        callback(event.detail.id);
       }
     });
-    
-    // Custom event for auth changes
-    window.addEventListener('authChanged', callback);
   }
   
   dispatchAuthChange() {
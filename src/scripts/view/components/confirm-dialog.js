@@ -0,0 +1,188 @@
+// src/scripts/view/components/confirm-dialog.js - In-app replacement for window.confirm()
+// Modal alertdialog that keeps focus inside while open, closes on Escape
+// and returns focus to the element that opened it.
+
+class ConfirmDialog {
+  /**
+   * Ask the user to confirm an action
+   * @param {Object} options
+   * @param {string} options.message - question shown to the user
+   * @param {string} [options.title]
+   * @param {string} [options.confirmLabel]
+   * @param {string} [options.cancelLabel]
+   * @param {boolean} [options.danger] - style the confirm button as destructive
+   * @returns {Promise<boolean>} true when confirmed
+   */
+  static show({
+    message,
+    title = 'Konfirmasi',
+    confirmLabel = 'Ya, lanjutkan',
+    cancelLabel = 'Batal',
+    danger = false
+  }) {
+    ConfirmDialog.addStyles();
+
+    // Only one dialog at a time; a previous one counts as cancelled
+    if (ConfirmDialog._active) {
+      ConfirmDialog._active.close(false);
+    }
+
+    return new Promise((resolve) => {
+      ConfirmDialog._active = new ConfirmDialog({ message, title, confirmLabel, cancelLabel, danger, resolve });
+    });
+  }
+
+  constructor({ message, title, confirmLabel, cancelLabel, danger, resolve }) {
+    const { escape } = window.SafeHtml;
+
+    this.resolve = resolve;
+    this.previousFocus = document.activeElement;
+
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'confirm-dialog-overlay';
+    this.overlay.innerHTML = `
+      <div class="confirm-dialog" role="alertdialog" aria-modal="true"
+           aria-labelledby="confirmDialogTitle" aria-describedby="confirmDialogMessage">
+        <h2 id="confirmDialogTitle">${escape(title)}</h2>
+        <p id="confirmDialogMessage">${escape(message)}</p>
+        <div class="confirm-dialog-actions">
+          <button type="button" class="confirm-dialog-cancel">${escape(cancelLabel)}</button>
+          <button type="button" class="confirm-dialog-confirm ${danger ? 'danger' : ''}">${escape(confirmLabel)}</button>
+        </div>
+      </div>
+    `;
+
+    this._onKeydown = this._onKeydown.bind(this);
+
+    this.overlay.querySelector('.confirm-dialog-cancel').addEventListener('click', () => this.close(false));
+    this.overlay.querySelector('.confirm-dialog-confirm').addEventListener('click', () => this.close(true));
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target === this.overlay) this.close(false);
+    });
+    document.addEventListener('keydown', this._onKeydown);
+
+    document.body.appendChild(this.overlay);
+
+    // Destructive actions start on "cancel" so Enter does not delete by accident
+    const initialFocus = danger ? '.confirm-dialog-cancel' : '.confirm-dialog-confirm';
+    this.overlay.querySelector(initialFocus).focus();
+  }
+
+  close(confirmed) {
+    if (!this.overlay) return;
+
+    document.removeEventListener('keydown', this._onKeydown);
+    this.overlay.remove();
+    this.overlay = null;
+
+    if (ConfirmDialog._active === this) {
+      ConfirmDialog._active = null;
+    }
+    if (this.previousFocus && typeof this.previousFocus.focus === 'function' && this.previousFocus.isConnected) {
+      this.previousFocus.focus();
+    }
+
+    this.resolve(confirmed);
+  }
+
+  _onKeydown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close(false);
+      return;
+    }
+
+    // Keep Tab cycling between the two buttons
+    if (e.key === 'Tab') {
+      const buttons = [...this.overlay.querySelectorAll('button')];
+      const index = buttons.indexOf(document.activeElement);
+      const next = e.shiftKey
+        ? (index <= 0 ? buttons.length - 1 : index - 1)
+        : (index + 1) % buttons.length;
+
+      e.preventDefault();
+      buttons[next].focus();
+    }
+  }
+
+  /**
+   * Inject dialog styles once
+   */
+  static addStyles() {
+    if (document.getElementById('confirmDialogStyles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'confirmDialogStyles';
+    style.textContent = `
+      .confirm-dialog-overlay {
+        position: fixed;
+        inset: 0;
+        background: rgba(0, 0, 0, 0.5);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        padding: 1rem;
+        z-index: 10001;
+      }
+
+      .confirm-dialog {
+        background: white;
+        border-radius: 12px;
+        padding: 1.5rem;
+        max-width: 420px;
+        width: 100%;
+        box-shadow: 0 10px 40px rgba(0, 0, 0, 0.3);
+        color: #2d3748;
+      }
+
+      .confirm-dialog h2 {
+        margin: 0 0 0.5rem;
+        font-size: 1.2rem;
+      }
+
+      .confirm-dialog p {
+        margin: 0 0 1.25rem;
+        line-height: 1.5;
+      }
+
+      .confirm-dialog-actions {
+        display: flex;
+        justify-content: flex-end;
+        gap: 0.5rem;
+      }
+
+      .confirm-dialog-actions button {
+        border: none;
+        border-radius: 8px;
+        padding: 0.6rem 1.2rem;
+        font-weight: 500;
+        cursor: pointer;
+      }
+
+      .confirm-dialog-actions button:focus-visible {
+        outline: 3px solid #90cdf4;
+        outline-offset: 2px;
+      }
+
+      .confirm-dialog-cancel {
+        background: #edf2f7;
+        color: #2d3748;
+      }
+
+      .confirm-dialog-confirm {
+        background: linear-gradient(135deg, #667eea, #764ba2);
+        color: white;
+      }
+
+      .confirm-dialog-confirm.danger {
+        background: #dc3545;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+ConfirmDialog._active = null;
+
+window.ConfirmDialog = ConfirmDialog;
+console.log('ConfirmDialog exported to window');
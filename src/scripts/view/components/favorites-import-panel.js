@@ -0,0 +1,367 @@
+// src/scripts/view/components/favorites-import-panel.js - Import UI for favorites backups
+// Used by FavoritesView and SettingsView. The panel only handles the DOM;
+// reading, validating and saving the file is done by the page presenter.
+
+class FavoritesImportPanel {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.container - element the panel renders into
+   * @param {Function} options.onFileSelected - called with the chosen File
+   * @param {Function} options.onConfirm - called with { mode, overwriteConflicts }
+   * @param {Function} [options.onCancel] - called when the preview is dismissed
+   */
+  constructor({ container, onFileSelected, onConfirm, onCancel = () => {} }) {
+    this.container = container;
+    this.onFileSelected = onFileSelected;
+    this.onConfirm = onConfirm;
+    this.onCancel = onCancel;
+
+    FavoritesImportPanel.addStyles();
+  }
+
+  /**
+   * Show the file picker / drop zone
+   */
+  render() {
+    this.container.innerHTML = `
+      <div class="import-dropzone" tabindex="0" role="button"
+           aria-label="Pilih atau seret file backup favorit (JSON)">
+        <i class="fas fa-file-import fa-2x" aria-hidden="true"></i>
+        <p><strong>Seret file backup ke sini</strong> atau klik untuk memilih file</p>
+        <p class="import-hint">File JSON hasil Export Data (maks. 5 MB)</p>
+        <input type="file" accept="application/json,.json" hidden>
+      </div>
+      <div class="import-result" aria-live="polite"></div>
+    `;
+
+    this._bindDropzone();
+  }
+
+  _bindDropzone() {
+    const dropzone = this.container.querySelector('.import-dropzone');
+    const input = dropzone.querySelector('input[type="file"]');
+
+    dropzone.addEventListener('click', () => input.click());
+    dropzone.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        input.click();
+      }
+    });
+
+    input.addEventListener('change', () => {
+      if (input.files[0]) {
+        this.onFileSelected(input.files[0]);
+      }
+      input.value = '';
+    });
+
+    ['dragenter', 'dragover'].forEach(type => {
+      dropzone.addEventListener(type, (e) => {
+        e.preventDefault();
+        dropzone.classList.add('dragging');
+      });
+    });
+
+    ['dragleave', 'drop'].forEach(type => {
+      dropzone.addEventListener(type, (e) => {
+        e.preventDefault();
+        dropzone.classList.remove('dragging');
+      });
+    });
+
+    dropzone.addEventListener('drop', (e) => {
+      const file = e.dataTransfer && e.dataTransfer.files[0];
+      if (file) {
+        this.onFileSelected(file);
+      }
+    });
+  }
+
+  /**
+   * Show what the import would do and let the user pick merge or replace
+   */
+  showPreview(preview) {
+    const { escape } = window.SafeHtml;
+    const result = this._getResultElement();
+    const total = preview.newItems.length + preview.duplicates.length + preview.conflicts.length;
+    const formatLabel = preview.format === 'helper' ? 'Export Favorit' : 'Backup database';
+
+    result.innerHTML = `
+      <div class="import-preview">
+        <h3><i class="fas fa-eye" aria-hidden="true"></i> Pratinjau: ${escape(preview.fileName)}</h3>
+        <p class="import-hint">
+          Format: ${formatLabel}${preview.exportDate ? ` · diekspor ${escape(this._formatDate(preview.exportDate))}` : ''}
+        </p>
+
+        <ul class="import-counts">
+          <li class="count-new"><strong>${preview.newItems.length}</strong> baru</li>
+          <li class="count-duplicate"><strong>${preview.duplicates.length}</strong> sudah ada</li>
+          <li class="count-conflict"><strong>${preview.conflicts.length}</strong> berbeda dengan yang tersimpan</li>
+          <li class="count-invalid"><strong>${preview.invalid.length}</strong> tidak valid</li>
+        </ul>
+
+        ${this._renderDetails('Koleksi baru', preview.newCollections.map(collection => collection.name))}
+        ${this._renderDetails('Cerita baru', preview.newItems.map(story => story.name))}
+        ${this._renderDetails('Berbeda dengan yang tersimpan', preview.conflicts.map(({ current, incoming }) =>
+          current.name === incoming.name ? incoming.name : `${current.name} → ${incoming.name}`))}
+        ${this._renderDetails('Dilewati karena tidak valid', preview.invalid.map(item => `#${item.index + 1}: ${item.reason}`))}
+        ${preview.warnings.length ? `
+          <p class="import-warning">
+            <i class="fas fa-exclamation-triangle" aria-hidden="true"></i>
+            ${preview.warnings.map(escape).join('<br>')}
+          </p>
+        ` : ''}
+
+        <fieldset class="import-mode">
+          <legend>Cara import</legend>
+          <label>
+            <input type="radio" name="importMode" value="merge" checked>
+            Gabungkan dengan ${preview.existingCount} favorit yang ada
+          </label>
+          <label class="import-overwrite">
+            <input type="checkbox" name="overwriteConflicts" ${preview.conflicts.length ? '' : 'disabled'}>
+            Timpa cerita yang berbeda dengan versi dari file
+          </label>
+          <label>
+            <input type="radio" name="importMode" value="replace">
+            Ganti semua favorit dengan isi file
+          </label>
+        </fieldset>
+
+        <div class="import-actions">
+          <button type="button" class="btn btn-primary btn-import-confirm" ${total ? '' : 'disabled'}>
+            <i class="fas fa-check" aria-hidden="true"></i> Import
+          </button>
+          <button type="button" class="btn btn-import-cancel">Batal</button>
+        </div>
+      </div>
+    `;
+
+    const overwrite = result.querySelector('input[name="overwriteConflicts"]');
+    result.querySelectorAll('input[name="importMode"]').forEach(radio => {
+      radio.addEventListener('change', () => {
+        overwrite.disabled = radio.value === 'replace' || preview.conflicts.length === 0;
+      });
+    });
+
+    result.querySelector('.btn-import-confirm').addEventListener('click', async () => {
+      const mode = result.querySelector('input[name="importMode"]:checked').value;
+
+      if (mode === 'replace' && !await window.ConfirmDialog.show({
+        title: 'Ganti semua favorit',
+        message: `Semua ${preview.existingCount} favorit yang ada akan diganti. Lanjutkan?`,
+        confirmLabel: 'Ganti semua',
+        danger: true
+      })) {
+        return;
+      }
+
+      this.onConfirm({ mode, overwriteConflicts: overwrite.checked });
+    });
+
+    result.querySelector('.btn-import-cancel').addEventListener('click', () => {
+      result.innerHTML = '';
+      this.onCancel();
+    });
+  }
+
+  /**
+   * Show the outcome of a finished import
+   */
+  showSummary(summary) {
+    const result = this._getResultElement();
+    const rows = [
+      ['Ditambahkan', summary.added],
+      ['Diperbarui', summary.updated],
+      ['Dilewati', summary.skipped],
+      ['Dihapus (mode ganti)', summary.removed],
+      ['Tidak valid', summary.invalid]
+    ].filter(([, value]) => value > 0);
+
+    result.innerHTML = `
+      <div class="import-summary" role="status">
+        <h3><i class="fas fa-check-circle" aria-hidden="true"></i> Import selesai</h3>
+        ${rows.length ? `
+          <ul class="import-counts">
+            ${rows.map(([label, value]) => `<li><strong>${value}</strong> ${label}</li>`).join('')}
+          </ul>
+        ` : '<p>Tidak ada perubahan.</p>'}
+      </div>
+    `;
+  }
+
+  showError(message) {
+    const result = this._getResultElement();
+    result.innerHTML = `
+      <p class="import-error" role="alert">
+        <i class="fas fa-exclamation-circle" aria-hidden="true"></i>
+        ${window.SafeHtml.escape(message)}
+      </p>
+    `;
+  }
+
+  setBusy(isBusy) {
+    const button = this.container.querySelector('.btn-import-confirm');
+    if (button) {
+      button.disabled = isBusy;
+      button.innerHTML = isBusy
+        ? '<i class="fas fa-spinner fa-spin" aria-hidden="true"></i> Mengimpor...'
+        : '<i class="fas fa-check" aria-hidden="true"></i> Import';
+    }
+  }
+
+  _renderDetails(title, lines) {
+    if (!lines.length) return '';
+
+    const { escape } = window.SafeHtml;
+    const shown = lines.slice(0, 20);
+    const more = lines.length - shown.length;
+
+    return `
+      <details class="import-details">
+        <summary>${title} (${lines.length})</summary>
+        <ul>
+          ${shown.map(line => `<li>${escape(line)}</li>`).join('')}
+          ${more > 0 ? `<li>…dan ${more} lainnya</li>` : ''}
+        </ul>
+      </details>
+    `;
+  }
+
+  _getResultElement() {
+    return this.container.querySelector('.import-result');
+  }
+
+  _formatDate(dateString) {
+    const date = new Date(dateString);
+    if (isNaN(date.getTime())) return dateString;
+    return date.toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric' });
+  }
+
+  /**
+   * Inject panel styles once
+   */
+  static addStyles() {
+    if (document.getElementById('favoritesImportStyles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'favoritesImportStyles';
+    style.textContent = `
+      .import-dropzone {
+        border: 2px dashed #cbd5e0;
+        border-radius: 10px;
+        padding: 1.5rem;
+        text-align: center;
+        color: #4a5568;
+        background: #f7fafc;
+        cursor: pointer;
+        transition: border-color 0.2s ease, background 0.2s ease;
+      }
+
+      .import-dropzone:hover,
+      .import-dropzone:focus,
+      .import-dropzone.dragging {
+        border-color: #667eea;
+        background: #ebf4ff;
+        outline: none;
+      }
+
+      .import-dropzone p {
+        margin: 0.5rem 0 0;
+      }
+
+      .import-hint {
+        font-size: 0.85rem;
+        color: #718096;
+      }
+
+      .import-result:not(:empty) {
+        margin-top: 1rem;
+      }
+
+      .import-preview,
+      .import-summary {
+        background: white;
+        border-radius: 10px;
+        padding: 1rem 1.25rem;
+        color: #2d3748;
+        box-shadow: 0 2px 6px rgba(0, 0, 0, 0.08);
+      }
+
+      .import-preview h3,
+      .import-summary h3 {
+        margin: 0 0 0.5rem;
+        font-size: 1.1rem;
+        word-break: break-all;
+      }
+
+      .import-counts {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+        list-style: none;
+        padding: 0;
+        margin: 0.75rem 0;
+      }
+
+      .import-counts li {
+        background: #edf2f7;
+        border-radius: 999px;
+        padding: 0.25rem 0.75rem;
+        font-size: 0.9rem;
+      }
+
+      .import-counts .count-new { background: #c6f6d5; }
+      .import-counts .count-conflict { background: #feebc8; }
+      .import-counts .count-invalid { background: #fed7d7; }
+
+      .import-details {
+        margin: 0.5rem 0;
+        font-size: 0.9rem;
+      }
+
+      .import-details ul {
+        margin: 0.5rem 0 0;
+        padding-left: 1.25rem;
+      }
+
+      .import-mode {
+        border: 1px solid #e2e8f0;
+        border-radius: 8px;
+        margin: 1rem 0;
+        padding: 0.75rem 1rem;
+        display: flex;
+        flex-direction: column;
+        gap: 0.5rem;
+      }
+
+      .import-overwrite {
+        margin-left: 1.5rem;
+        font-size: 0.9rem;
+      }
+
+      .import-actions {
+        display: flex;
+        gap: 0.5rem;
+      }
+
+      .import-warning {
+        color: #c05621;
+        font-size: 0.9rem;
+      }
+
+      .import-error {
+        color: #c53030;
+        background: #fff5f5;
+        border-radius: 8px;
+        padding: 0.75rem 1rem;
+        margin: 0;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+window.FavoritesImportPanel = FavoritesImportPanel;
+console.log('FavoritesImportPanel exported to window');
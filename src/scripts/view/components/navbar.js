@@ -192,11 +192,16 @@ class Navbar {
   /**
    * Handle logout
    */
-  _handleLogout() {
+  async _handleLogout() {
     console.log('Navbar: Logging out...');
     
     // Confirm logout
-    if (!confirm('Apakah Anda yakin ingin keluar?')) {
+    const confirmed = await window.ConfirmDialog.show({
+      title: 'Keluar',
+      message: 'Apakah Anda yakin ingin keluar?',
+      confirmLabel: 'Keluar'
+    });
+    if (!confirmed) {
       return;
     }
     
@@ -334,7 +339,8 @@ class Navbar {
    * Update active link based on current route
    */
   _updateActiveLink() {
-    const currentHash = window.location.hash || '#/';
+    // Ignore the query string, e.g. '#/?q=pantai' still highlights Beranda
+    const currentHash = (window.location.hash || '#/').split('?')[0];
     const navLinks = this.navMenu?.querySelectorAll('a[href^="#"]') || [];
     
     navLinks.forEach(link => {
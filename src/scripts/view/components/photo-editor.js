@@ -0,0 +1,407 @@
+// src/scripts/view/components/photo-editor.js - Editing step for story photos
+// Crop to an aspect ratio (drag or arrow keys move the crop), rotate by 90°,
+// brightness/contrast and preset filters. The preview works on a scaled copy;
+// Terapkan renders the full photo with PhotoEdits and hands the canvas back.
+
+const PREVIEW_MAX_SIZE = 720;
+const FOCUS_KEY_STEP = 0.02;
+
+class PhotoEditor {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.container - element the editor renders into
+   * @param {Function} options.onApply - called with { canvas, edits }
+   * @param {Function} [options.onCancel]
+   * @param {number} [options.maxDimension] - longest side of the rendered result
+   */
+  constructor({ container, onApply, onCancel = () => {}, maxDimension = Infinity }) {
+    this.container = container;
+    this.onApply = onApply;
+    this.onCancel = onCancel;
+    this.maxDimension = maxDimension;
+
+    this.image = null;
+    this.edits = window.PhotoEdits.defaultEdits();
+    this.base = null; // Rotated, scaled preview without colour changes
+    this.canvas = null;
+    this.drag = null;
+    this.frame = null;
+
+    PhotoEditor.addStyles();
+  }
+
+  isOpen() {
+    return !!this.image;
+  }
+
+  /**
+   * Show the editor for a photo
+   * @param {Blob} blob - the original photo
+   * @param {Object} [options]
+   * @param {number} [options.orientation] - EXIF orientation
+   * @param {Object} [options.edits] - edits to start from (default: none)
+   */
+  async open(blob, { orientation = 1, edits = null } = {}) {
+    this.image = await window.imagePipeline.decodeUpright(blob, orientation);
+    this.edits = edits ? { ...edits, focus: { ...edits.focus } } : window.PhotoEdits.defaultEdits();
+
+    this._render();
+    this._refreshBase();
+    this.canvas.focus();
+  }
+
+  close() {
+    cancelAnimationFrame(this.frame);
+    this.image = null;
+    this.base = null;
+    this.canvas = null;
+    this.drag = null;
+    this.container.innerHTML = '';
+    this.container.hidden = true;
+  }
+
+  _render() {
+    const { escape } = window.SafeHtml;
+    const { ASPECTS, PRESETS } = window.PhotoEdits;
+
+    this.container.hidden = false;
+    this.container.innerHTML = `
+      <div class="photo-editor" role="group" aria-label="Sunting foto">
+        <div class="photo-editor-stage">
+          <canvas class="photo-editor-canvas" tabindex="0"
+                  aria-label="Pratinjau foto. Pada mode potong, geser atau gunakan tombol panah untuk memindahkan area potong."></canvas>
+        </div>
+
+        <div class="photo-editor-row">
+          <span class="photo-editor-label"><i class="fas fa-crop-simple" aria-hidden="true"></i> Potong</span>
+          <div class="photo-editor-options" role="group" aria-label="Rasio potong">
+            ${Object.keys(ASPECTS).map(aspect => `
+              <button type="button" class="photo-editor-chip" data-aspect="${escape(aspect)}">${escape(aspect === 'asli' ? 'Asli' : aspect)}</button>
+            `).join('')}
+          </div>
+          <div class="photo-editor-options">
+            <button type="button" class="photo-editor-chip" data-rotate="-90" aria-label="Putar ke kiri">
+              <i class="fas fa-rotate-left" aria-hidden="true"></i>
+            </button>
+            <button type="button" class="photo-editor-chip" data-rotate="90" aria-label="Putar ke kanan">
+              <i class="fas fa-rotate-right" aria-hidden="true"></i>
+            </button>
+          </div>
+        </div>
+
+        <div class="photo-editor-row">
+          <label class="photo-editor-slider">
+            <span>Kecerahan</span>
+            <input type="range" min="-50" max="50" step="1" data-adjust="brightness">
+            <output data-output="brightness"></output>
+          </label>
+          <label class="photo-editor-slider">
+            <span>Kontras</span>
+            <input type="range" min="-50" max="50" step="1" data-adjust="contrast">
+            <output data-output="contrast"></output>
+          </label>
+        </div>
+
+        <div class="photo-editor-row">
+          <span class="photo-editor-label"><i class="fas fa-wand-magic-sparkles" aria-hidden="true"></i> Filter</span>
+          <div class="photo-editor-options" role="group" aria-label="Filter">
+            ${Object.entries(PRESETS).map(([key, preset]) => `
+              <button type="button" class="photo-editor-chip" data-preset="${escape(key)}">${escape(preset.label)}</button>
+            `).join('')}
+          </div>
+        </div>
+
+        <div class="photo-editor-actions">
+          <button type="button" class="btn" data-action="reset">Atur Ulang</button>
+          <button type="button" class="btn" data-action="cancel">Batal</button>
+          <button type="button" class="btn btn-primary" data-action="apply">
+            <i class="fas fa-check" aria-hidden="true"></i> Terapkan
+          </button>
+        </div>
+      </div>
+    `;
+
+    this.canvas = this.container.querySelector('.photo-editor-canvas');
+    this._bindControls();
+    this._bindCropDrag();
+    this._syncControls();
+  }
+
+  _bindControls() {
+    this.container.querySelectorAll('[data-aspect]').forEach(button => {
+      button.addEventListener('click', () => {
+        this._update({ aspect: button.dataset.aspect, focus: { x: 0.5, y: 0.5 } });
+      });
+    });
+
+    this.container.querySelectorAll('[data-rotate]').forEach(button => {
+      button.addEventListener('click', () => {
+        const rotation = (this.edits.rotation + Number(button.dataset.rotate) + 360) % 360;
+        this._update({ rotation, focus: { x: 0.5, y: 0.5 } });
+        this._refreshBase();
+      });
+    });
+
+    this.container.querySelectorAll('[data-adjust]').forEach(input => {
+      input.addEventListener('input', () => {
+        this._update({ [input.dataset.adjust]: Number(input.value) });
+      });
+    });
+
+    this.container.querySelectorAll('[data-preset]').forEach(button => {
+      button.addEventListener('click', () => this._update({ preset: button.dataset.preset }));
+    });
+
+    this.container.querySelector('[data-action="reset"]').addEventListener('click', () => {
+      this.edits = window.PhotoEdits.defaultEdits();
+      this._syncControls();
+      this._refreshBase();
+    });
+
+    this.container.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+      this.close();
+      this.onCancel();
+    });
+
+    this.container.querySelector('[data-action="apply"]').addEventListener('click', () => {
+      const edits = this.edits;
+      const canvas = window.PhotoEdits.render(this.image, edits, { maxDimension: this.maxDimension });
+      this.close();
+      this.onApply({ canvas, edits });
+    });
+  }
+
+  _bindCropDrag() {
+    this.canvas.addEventListener('pointerdown', (e) => {
+      if (this.edits.aspect === 'asli') return;
+
+      this.canvas.setPointerCapture(e.pointerId);
+      this.drag = { x: e.clientX, y: e.clientY, focus: { ...this.edits.focus } };
+    });
+
+    this.canvas.addEventListener('pointermove', (e) => {
+      if (!this.drag) return;
+
+      const rect = this.canvas.getBoundingClientRect();
+      this._moveFocus(
+        this.drag.focus.x + (e.clientX - this.drag.x) / rect.width,
+        this.drag.focus.y + (e.clientY - this.drag.y) / rect.height
+      );
+    });
+
+    ['pointerup', 'pointercancel'].forEach(type => {
+      this.canvas.addEventListener(type, () => {
+        this.drag = null;
+      });
+    });
+
+    this.canvas.addEventListener('keydown', (e) => {
+      const moves = {
+        ArrowLeft: [-FOCUS_KEY_STEP, 0],
+        ArrowRight: [FOCUS_KEY_STEP, 0],
+        ArrowUp: [0, -FOCUS_KEY_STEP],
+        ArrowDown: [0, FOCUS_KEY_STEP]
+      };
+      if (!moves[e.key] || this.edits.aspect === 'asli') return;
+
+      e.preventDefault();
+      const [dx, dy] = moves[e.key];
+      this._moveFocus(this.edits.focus.x + dx, this.edits.focus.y + dy);
+    });
+  }
+
+  // Keep the focus at the centre of the crop it actually produces, so
+  // dragging back from an edge responds straight away
+  _moveFocus(x, y) {
+    const size = { width: this.base.width, height: this.base.height };
+    const crop = window.PhotoEdits.getCropRect(size, { ...this.edits, focus: { x, y } });
+
+    this._update({
+      focus: {
+        x: (crop.x + crop.width / 2) / size.width,
+        y: (crop.y + crop.height / 2) / size.height
+      }
+    });
+  }
+
+  _update(changes) {
+    this.edits = { ...this.edits, ...changes };
+    this._syncControls();
+    this._scheduleDraw();
+  }
+
+  _syncControls() {
+    const { edits } = this;
+
+    this.container.querySelectorAll('[data-aspect]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.aspect === edits.aspect));
+    });
+    this.container.querySelectorAll('[data-preset]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.preset === edits.preset));
+    });
+    this.container.querySelectorAll('[data-adjust]').forEach(input => {
+      const value = edits[input.dataset.adjust];
+      input.value = value;
+      this.container.querySelector(`[data-output="${input.dataset.adjust}"]`).textContent =
+        value > 0 ? `+${value}` : String(value);
+    });
+
+    this.canvas.classList.toggle('cropping', edits.aspect !== 'asli');
+  }
+
+  _refreshBase() {
+    const size = window.PhotoEdits.rotatedSize(this.image, this.edits.rotation);
+    const scale = Math.min(1, PREVIEW_MAX_SIZE / Math.max(size.width, size.height));
+
+    this.base = window.PhotoEdits.drawRotated(this.image, this.edits.rotation, scale);
+    this._scheduleDraw();
+  }
+
+  // Slider input fires faster than the pixel pass can keep up with
+  _scheduleDraw() {
+    cancelAnimationFrame(this.frame);
+    this.frame = requestAnimationFrame(() => this._draw());
+  }
+
+  _draw() {
+    if (!this.canvas || !this.base) return;
+
+    const { width, height } = this.base;
+    const ctx = this.canvas.getContext('2d');
+    this.canvas.width = width;
+    this.canvas.height = height;
+
+    ctx.drawImage(this.base, 0, 0);
+    window.PhotoEdits.applyColor(this.canvas, this.edits);
+
+    if (this.edits.aspect === 'asli') return;
+
+    // Dim everything outside the crop
+    const crop = window.PhotoEdits.getCropRect({ width, height }, this.edits);
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.beginPath();
+    ctx.rect(0, 0, width, height);
+    ctx.rect(crop.x, crop.y, crop.width, crop.height);
+    ctx.fill('evenodd');
+
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(crop.x + 1, crop.y + 1, crop.width - 2, crop.height - 2);
+    ctx.restore();
+  }
+
+  /**
+   * Inject editor styles once
+   */
+  static addStyles() {
+    if (document.getElementById('photoEditorStyles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'photoEditorStyles';
+    style.textContent = `
+      .photo-editor {
+        display: flex;
+        flex-direction: column;
+        gap: 1rem;
+        padding: 1rem;
+        margin-top: 1rem;
+        border: 1px solid #e2e8f0;
+        border-radius: 10px;
+        background: #f7fafc;
+      }
+
+      .photo-editor-stage {
+        display: flex;
+        justify-content: center;
+        background: #1a202c;
+        border-radius: 8px;
+        overflow: hidden;
+      }
+
+      .photo-editor-canvas {
+        max-width: 100%;
+        max-height: 60vh;
+        touch-action: none;
+      }
+
+      .photo-editor-canvas.cropping {
+        cursor: move;
+      }
+
+      .photo-editor-canvas:focus-visible {
+        outline: 3px solid #667eea;
+        outline-offset: -3px;
+      }
+
+      .photo-editor-row {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 0.75rem 1.5rem;
+      }
+
+      .photo-editor-label {
+        font-weight: 600;
+        color: #2d3748;
+      }
+
+      .photo-editor-options {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+      }
+
+      .photo-editor-chip {
+        padding: 0.4rem 0.8rem;
+        border: 1px solid #cbd5e0;
+        border-radius: 999px;
+        background: #ffffff;
+        color: #2d3748;
+        font-size: 0.875rem;
+        cursor: pointer;
+      }
+
+      .photo-editor-chip:hover {
+        border-color: #667eea;
+      }
+
+      .photo-editor-chip[aria-pressed="true"] {
+        background: #667eea;
+        border-color: #667eea;
+        color: #ffffff;
+      }
+
+      .photo-editor-slider {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        flex: 1;
+        min-width: 220px;
+        font-size: 0.9rem;
+        color: #2d3748;
+      }
+
+      .photo-editor-slider input {
+        flex: 1;
+      }
+
+      .photo-editor-slider output {
+        min-width: 2.5rem;
+        text-align: right;
+        font-variant-numeric: tabular-nums;
+      }
+
+      .photo-editor-actions {
+        display: flex;
+        justify-content: flex-end;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+window.PhotoEditor = PhotoEditor;
+console.log('PhotoEditor exported to window');
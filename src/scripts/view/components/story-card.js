@@ -27,12 +27,14 @@ class StoryCard extends HTMLElement {
     this._story = null;
     this._isLoading = false;
     this._imageLoaded = false;
+    this._offlinePhotoUrl = null;
     
     // Bind methods
     this._handleLocationClick = this._handleLocationClick.bind(this);
     this._handleImageLoad = this._handleImageLoad.bind(this);
     this._handleImageError = this._handleImageError.bind(this);
     this._handleFavoriteClick = this._handleFavoriteClick.bind(this);
+    this._handleFavoritesChanged = this._handleFavoritesChanged.bind(this);
     this._handleShareClick = this._handleShareClick.bind(this);
   }
 
@@ -49,6 +51,9 @@ class StoryCard extends HTMLElement {
   connectedCallback() {
     this.setAttribute('role', 'article');
     this._addStyles();
+    
+    // Keep the heart in sync when favorites change elsewhere (undo, import)
+    window.addEventListener('favoritesChanged', this._handleFavoritesChanged);
   }
 
   /**
@@ -56,6 +61,12 @@ class StoryCard extends HTMLElement {
    */
   disconnectedCallback() {
     this._removeEventListeners();
+    window.removeEventListener('favoritesChanged', this._handleFavoritesChanged);
+    
+    if (this._offlinePhotoUrl) {
+      URL.revokeObjectURL(this._offlinePhotoUrl);
+      this._offlinePhotoUrl = null;
+    }
   }
 
   /**
@@ -92,15 +103,19 @@ class StoryCard extends HTMLElement {
    * Validate and sanitize story data
    */
   _validateStoryData(story) {
+    // Values stay raw (they are saved as favorites); render() escapes them
     return {
       id: story.id || this._generateId(),
-      name: this._sanitizeHTML(story.name || 'Untitled Story'),
+      name: story.name || 'Untitled Story',
       photoUrl: story.photoUrl || this._getPlaceholderImage(),
-      description: this._sanitizeHTML(story.description || 'No description'),
+      description: story.description || 'No description',
       createdAt: story.createdAt || new Date().toISOString(),
       lat: this._validateCoordinate(story.lat),
       lon: this._validateCoordinate(story.lon),
-      author: story.author || 'Anonymous'
+      // API stories only carry the author's name
+      author: story.author || story.name || 'Anonymous',
+      // Set by pages sorting by distance from the user ("Di dekat saya")
+      distanceKm: typeof story.distanceKm === 'number' ? story.distanceKm : null
     };
   }
 
@@ -123,9 +138,7 @@ class StoryCard extends HTMLElement {
    * Sanitize HTML to prevent XSS
    */
   _sanitizeHTML(str) {
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
+    return window.SafeHtml.escape(str);
   }
 
   /**
@@ -218,7 +231,8 @@ class StoryCard extends HTMLElement {
       return;
     }
 
-    const { id, name, photoUrl, description, createdAt, lat, lon, author } = this._story;
+    const { id, photoUrl, createdAt, lat, lon, author, distanceKm } = this._story;
+    const name = this._sanitizeHTML(this._story.name);
     const isCompact = this.hasAttribute('compact');
     const hasLocation = lat !== null && lon !== null;
     
@@ -226,11 +240,11 @@ class StoryCard extends HTMLElement {
     const isFavorited = await this._isFavorite();
     
     this.innerHTML = `
-      <article class="story-card ${isCompact ? 'compact' : ''}" data-story-id="${id}">
+      <article class="story-card ${isCompact ? 'compact' : ''}" data-story-id="${this._sanitizeHTML(id)}">
         <!-- Image Container -->
         <div class="story-image-container">
           <img 
-            src="${photoUrl}" 
+            src="${window.SafeHtml.url(photoUrl, this._getPlaceholderImage())}" 
             alt="Cerita: ${name}" 
             class="story-image"
             loading="lazy"
@@ -240,18 +254,21 @@ class StoryCard extends HTMLElement {
           <!-- Image Overlay -->
           <div class="story-image-overlay">
             <button 
-              class="btn-icon btn-favorite ${isFavorited ? 'active' : ''}" 
+              class="btn-favorite-modern ${isFavorited ? 'active' : ''}" 
+              aria-pressed="${isFavorited}"
               aria-label="${isFavorited ? 'Hapus dari favorit' : 'Tambah ke favorit'}"
               title="${isFavorited ? 'Hapus dari favorit' : 'Tambah ke favorit'}"
             >
-              <i class="fas fa-heart"></i>
+              <svg class="heart-icon" viewBox="0 0 24 24" aria-hidden="true">
+                <path class="heart-outline" d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/>
+              </svg>
             </button>
             <button 
-              class="btn-icon btn-share" 
+              class="btn-action-glass btn-share-glass" 
               aria-label="Bagikan cerita"
               title="Bagikan cerita"
             >
-              <i class="fas fa-share-alt"></i>
+              <i class="fas fa-share-alt" aria-hidden="true"></i>
             </button>
           </div>
           
@@ -274,7 +291,7 @@ class StoryCard extends HTMLElement {
             <div class="story-meta">
               <span class="story-author">
                 <i class="fas fa-user" aria-hidden="true"></i>
-                <span>${author}</span>
+                <span>${this._sanitizeHTML(author)}</span>
               </span>
               <span class="story-separator">•</span>
               <time 
@@ -284,12 +301,19 @@ class StoryCard extends HTMLElement {
               >
                 ${this._formatRelativeTime(createdAt)}
               </time>
+              ${distanceKm !== null ? `
+                <span class="story-separator">•</span>
+                <span class="story-distance" title="Jarak dari lokasi Anda">
+                  <i class="fas fa-location-arrow" aria-hidden="true"></i>
+                  <span>${window.GeoUtils.formatDistance(distanceKm)}</span>
+                </span>
+              ` : ''}
             </div>
           </div>
           
           <!-- Description -->
           <p class="story-description">
-            ${this._truncateText(description, isCompact ? 100 : 150)}
+            ${this._sanitizeHTML(this._truncateText(this._story.description, isCompact ? 100 : 150))}
           </p>
           
           <!-- Footer Actions -->
@@ -439,14 +463,24 @@ class StoryCard extends HTMLElement {
   /**
    * Handle image error
    */
-  _handleImageError() {
+  async _handleImageError() {
     console.warn('StoryCard: Failed to load image', this._story?.photoUrl);
     
     const img = this.querySelector('.story-image');
-    if (img) {
-      img.src = this._getPlaceholderImage();
-      img.alt = 'Image not available';
+    if (!img) return;
+    
+    // Favorited stories keep an offline copy of their photo
+    if (!this._offlinePhotoUrl && window.favoritePhotoStore && this._story) {
+      this._offlinePhotoUrl = await window.favoritePhotoStore.getObjectUrl(this._story.id, 'full');
+      if (this._offlinePhotoUrl) {
+        img.src = this._offlinePhotoUrl;
+        return;
+      }
     }
+    
+    img.removeEventListener('error', this._handleImageError);
+    img.src = this._getPlaceholderImage();
+    img.alt = 'Image not available';
   }
 
   /**
@@ -459,47 +493,53 @@ class StoryCard extends HTMLElement {
     const btn = event.currentTarget;
     const isFavorited = btn.classList.contains('active');
     
-    if (!window.indexedDBHelper) {
-      console.error('StoryCard: IndexedDB helper not available');
+    if (!window.favoritesHelper) {
+      console.error('StoryCard: FavoritesHelper not available');
       return;
     }
 
-    try {
-      if (isFavorited) {
-        // Remove from favorites
-        await window.indexedDBHelper.removeFromFavorites(this._story.id);
-        btn.classList.remove('active');
-        btn.setAttribute('aria-label', 'Tambah ke favorit');
-        btn.setAttribute('title', 'Tambah ke favorit');
-        
-        if (window.showToast) {
-          window.showToast('Dihapus dari favorit', 'info');
-        }
-      } else {
-        // Add to favorites
-        await window.indexedDBHelper.addToFavorites(this._story);
-        btn.classList.add('active');
-        btn.setAttribute('aria-label', 'Hapus dari favorit');
-        btn.setAttribute('title', 'Hapus dari favorit');
-        
-        if (window.showToast) {
-          window.showToast('✅ Ditambahkan ke favorit', 'success');
-        }
-      }
+    btn.disabled = true;
+    
+    // FavoritesHelper shows the toast (with undo on removal)
+    const success = isFavorited
+      ? await window.favoritesHelper.removeFromFavorites(this._story.id)
+      : await window.favoritesHelper.addToFavorites(this._story);
+    
+    btn.disabled = false;
 
+    if (success) {
+      this._setFavoriteState(!isFavorited);
       this._dispatchEvent('story-favorite-toggle', {
         story: this._story,
         isFavorited: !isFavorited
       });
-    } catch (error) {
-      console.error('StoryCard: Error toggling favorite', error);
-      
-      if (window.showToast) {
-        window.showToast('Gagal mengubah favorit', 'error');
-      }
     }
   }
 
+  /**
+   * Re-check the favorite state when this story was affected by a change
+   */
+  async _handleFavoritesChanged(event) {
+    const ids = event.detail && event.detail.ids;
+    if (!this._story || (ids && !ids.includes(this._story.id))) return;
+    
+    this._setFavoriteState(await this._isFavorite());
+  }
+
+  /**
+   * Update the favorite button without re-rendering the card
+   */
+  _setFavoriteState(isFavorited) {
+    const btn = this.querySelector('.btn-favorite-modern');
+    if (!btn) return;
+    
+    const label = isFavorited ? 'Hapus dari favorit' : 'Tambah ke favorit';
+    btn.classList.toggle('active', isFavorited);
+    btn.setAttribute('aria-pressed', String(isFavorited));
+    btn.setAttribute('aria-label', label);
+    btn.setAttribute('title', label);
+  }
+
   /**
    * Handle share button click
    */
@@ -849,6 +889,14 @@ class StoryCard extends HTMLElement {
         opacity: 0.5;
       }
 
+      .story-distance {
+        display: flex;
+        align-items: center;
+        gap: 0.35rem;
+        color: #3a86ff;
+        font-weight: 500;
+      }
+
       .story-description {
         font-size: 0.95rem;
         line-height: 1.6;
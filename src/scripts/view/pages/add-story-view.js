@@ -1,8 +1,18 @@
+const PHOTO_FORMAT_LABELS = {
+  'image/webp': 'WebP',
+  'image/jpeg': 'JPEG',
+  'image/avif': 'AVIF'
+};
+
 class AddStoryView {
   constructor() {
     this._container = document.querySelector("#mainContent");
     this._map = null;
     this._marker = null;
+    this._accuracyCircle = null;
+    this._placeSearchTimer = null;
+    this._places = [];
+    this._activePlaceIndex = -1;
     this._position = {
       lat: null,
       lon: null,
@@ -11,6 +21,15 @@ class AddStoryView {
     this._canvas = document.createElement("canvas");
     this._presenter = null;
     this._photoBlob = null; // Menyimpan blob gambar dari kamera atau file
+    this._photoUrl = null;
+    this._photoJob = 0; // Naik tiap foto baru, supaya hasil proses lama dibuang
+    this._photoProcessing = false;
+    this._sourcePhoto = null; // { blob, orientation, reencode } sebelum disunting
+    this._photoEdits = null;
+    this._photoEditor = null;
+    this._usingFileUpload = false;
+    this._restoring = false; // Mengisi form dari draf, bukan perubahan pengguna
+    this._draftThumbUrls = [];
     this._setupNavigationListener();
   }
 
@@ -38,11 +57,7 @@ class AddStoryView {
     console.log('Stopping camera and cleaning up resources');
     cameraHelper.stopCamera();
     this._cameraActive = false;
-
-    const cameraFeed = document.getElementById("cameraFeed");
-    if (cameraFeed) {
-      cameraFeed.srcObject = null;
-    }
+    this._renderCameraOptions(null);
   }
 
   render() {
@@ -51,8 +66,30 @@ class AddStoryView {
       <div class="container">
         <div class="add-story-container">
           <h2><span class="text-primary">Tambah</span> <span class="text-secondary">Cerita Baru</span></h2>
+          <p class="guest-mode-notice" id="guestModeNotice" role="status" hidden>
+            <i class="fas fa-user-secret" aria-hidden="true"></i>
+            Anda mengirim cerita sebagai <strong>tamu</strong>. Cerita tidak akan terhubung ke akun mana pun.
+            <a href="#/masuk">Masuk</a> untuk mengirim atas nama Anda.
+          </p>
+          <section class="drafts-panel" id="draftsPanel" aria-labelledby="draftsTitle" hidden>
+            <div class="drafts-header">
+              <h3 id="draftsTitle">Draf Cerita</h3>
+              <button type="button" id="newDraftBtn" class="btn">
+                <i class="fas fa-plus" aria-hidden="true"></i> Draf baru
+              </button>
+            </div>
+            <ul class="drafts-list" id="draftsList"></ul>
+          </section>
           <form id="addStoryForm">
             <div id="messageContainer"></div>
+            <div class="draft-prompt" id="draftPrompt" role="status" hidden>
+              <i class="fas fa-file-pen" aria-hidden="true"></i>
+              <p id="draftPromptText"></p>
+              <div class="draft-prompt-actions">
+                <button type="button" id="resumeDraftBtn" class="btn btn-primary">Lanjutkan draf</button>
+                <button type="button" id="dismissDraftBtn" class="btn">Mulai baru</button>
+              </div>
+            </div>
             
             <div class="form-group">
               <label for="description">Cerita Anda</label>
@@ -65,6 +102,7 @@ class AddStoryView {
                 <video id="cameraFeed" autoplay playsinline></video>
                 <img id="capturedImage" alt="Gambar yang diambil atau dipilih">
               </div>
+              <div id="photoEditor" hidden></div>
               <div class="camera-controls">
                 <button type="button" id="startCameraBtn" class="btn">
                   <i class="fas fa-video" aria-hidden="true"></i> Mulai Kamera
@@ -75,46 +113,463 @@ class AddStoryView {
                 <button type="button" id="retakeBtn" class="btn" disabled>
                   <i class="fas fa-redo" aria-hidden="true"></i> Ambil Ulang
                 </button>
+                <button type="button" id="editPhotoBtn" class="btn" disabled>
+                  <i class="fas fa-pen-to-square" aria-hidden="true"></i> Sunting Foto
+                </button>
                 <label for="uploadImage" class="btn">
                   <i class="fas fa-upload" aria-hidden="true"></i> Pilih Gambar
-                  <input type="file" id="uploadImage" accept="image/jpeg,image/png" style="display: none;">
+                  <input type="file" id="uploadImage" accept="image/jpeg,image/png,image/webp" style="display: none;">
                 </label>
               </div>
+              <div class="camera-options" id="cameraOptions" hidden>
+                <button type="button" id="switchCameraBtn" class="btn" hidden>
+                  <i class="fas fa-camera-rotate" aria-hidden="true"></i> <span>Kamera depan</span>
+                </button>
+                <label for="cameraDevice" class="visually-hidden">Pilih kamera</label>
+                <select id="cameraDevice" hidden></select>
+                <label for="cameraResolution" class="visually-hidden">Resolusi kamera</label>
+                <select id="cameraResolution">
+                  ${Object.entries(window.CameraHelper.RESOLUTIONS).map(([key, resolution]) => `
+                    <option value="${window.SafeHtml.escape(key)}">${window.SafeHtml.escape(resolution.label)}</option>
+                  `).join('')}
+                </select>
+                <button type="button" id="torchBtn" class="btn" aria-pressed="false" hidden>
+                  <i class="fas fa-bolt" aria-hidden="true"></i> Senter
+                </button>
+                <label class="camera-zoom" id="cameraZoomControl" hidden>
+                  <i class="fas fa-magnifying-glass-plus" aria-hidden="true"></i> Zoom
+                  <input type="range" id="cameraZoom">
+                </label>
+              </div>
+              <p class="photo-size-info" id="photoSizeInfo" aria-live="polite" hidden></p>
             </div>
             
             <div class="location-section">
               <h3>Pilih Lokasi</h3>
+              <div class="photo-location-offer" id="photoLocationOffer" role="status" hidden>
+                <i class="fas fa-map-pin" aria-hidden="true"></i>
+                <p id="photoLocationText"></p>
+                <div class="photo-location-actions">
+                  <button type="button" id="usePhotoLocationBtn" class="btn btn-primary">Gunakan lokasi foto</button>
+                  <button type="button" id="dismissPhotoLocationBtn" class="btn">Abaikan</button>
+                </div>
+              </div>
+              <div class="location-tools">
+                <button type="button" id="useLocationBtn" class="btn">
+                  <i class="fas fa-crosshairs" aria-hidden="true"></i> <span>Gunakan lokasi saya</span>
+                </button>
+                <div class="place-search">
+                  <label for="placeSearch" class="visually-hidden">Cari kota</label>
+                  <input type="search" id="placeSearch" placeholder="Cari kota, mis. Bandung" autocomplete="off"
+                         role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="placeResults">
+                  <ul id="placeResults" class="place-results" role="listbox" aria-label="Hasil pencarian kota" hidden></ul>
+                </div>
+              </div>
               <div id="pickLocationMap"></div>
               <div class="location-info">
-                <p>Latitude: <span id="latValue">Belum dipilih</span></p>
-                <p>Longitude: <span id="lonValue">Belum dipilih</span></p>
+                <label for="latInput">Latitude
+                  <input type="text" id="latInput" inputmode="decimal" placeholder="Belum dipilih" autocomplete="off">
+                </label>
+                <label for="lonInput">Longitude
+                  <input type="text" id="lonInput" inputmode="decimal" placeholder="Belum dipilih" autocomplete="off">
+                </label>
               </div>
-              <p class="hint">Klik pada peta untuk menentukan lokasi cerita Anda.</p>
+              <p class="location-error" id="locationError" role="alert" hidden></p>
+              <p class="hint">Klik peta atau geser penanda, cari nama kota, atau ketik koordinatnya.</p>
             </div>
             
             <div class="submit-section">
               <button type="submit" id="submitBtn" class="submit-btn">
                 <i class="fas fa-paper-plane" aria-hidden="true"></i> Kirim Cerita
               </button>
+              <p class="draft-status" id="draftStatus" aria-live="polite"></p>
             </div>
           </form>
           
           <div class="loading-indicator" id="loadingIndicator">
             <i class="fas fa-spinner" aria-hidden="true"></i>
-            <span>Mengirim cerita...</span>
+            <div class="upload-progress">
+              <span id="uploadStatus" aria-live="polite">Mengirim cerita...</span>
+              <progress id="uploadProgress" max="100" aria-label="Progres pengiriman cerita"></progress>
+            </div>
+            <button type="button" id="cancelUploadBtn" class="cancel-upload-btn">
+              <i class="fas fa-times" aria-hidden="true"></i> Batalkan
+            </button>
           </div>
         </div>
       </div>
     `;
 
+    this._addStyles();
+
     setTimeout(() => {
       this._initMap();
+      this._initLocationControls();
       this._initCameraButtons();
       this._initFormSubmit();
+      this._initDrafts();
       console.log('Add story page components initialized');
     }, 100);
   }
 
+  // Tampilkan penanda bahwa cerita dikirim tanpa akun
+  setGuestMode(isGuest) {
+    const notice = document.getElementById("guestModeNotice");
+    if (notice) {
+      notice.hidden = !isGuest;
+    }
+
+    const submitBtn = document.getElementById("submitBtn");
+    if (submitBtn) {
+      submitBtn.innerHTML = isGuest
+        ? '<i class="fas fa-paper-plane" aria-hidden="true"></i> Kirim sebagai Tamu'
+        : '<i class="fas fa-paper-plane" aria-hidden="true"></i> Kirim Cerita';
+    }
+  }
+
+  _addStyles() {
+    if (document.getElementById("addStoryViewStyles")) return;
+
+    const style = document.createElement("style");
+    style.id = "addStoryViewStyles";
+    style.textContent = `
+      .guest-mode-notice {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 0.4rem;
+        padding: 0.75rem 1rem;
+        margin-bottom: 1rem;
+        border-radius: 8px;
+        background: #fffaf0;
+        border: 1px solid #fbd38d;
+        color: #7b341e;
+      }
+
+      .guest-mode-notice[hidden] {
+        display: none;
+      }
+
+      .drafts-panel {
+        margin-bottom: 1.5rem;
+        padding: 1rem;
+        border: 1px solid #e2e8f0;
+        border-radius: 10px;
+        background: #f7fafc;
+      }
+
+      .drafts-panel[hidden],
+      .draft-prompt[hidden] {
+        display: none;
+      }
+
+      .drafts-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 1rem;
+        margin-bottom: 0.75rem;
+      }
+
+      .drafts-header h3 {
+        margin: 0;
+      }
+
+      .drafts-list {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+        display: flex;
+        flex-direction: column;
+        gap: 0.5rem;
+      }
+
+      .draft-item {
+        display: flex;
+        align-items: center;
+        gap: 0.75rem;
+        padding: 0.5rem;
+        border-radius: 8px;
+        background: #ffffff;
+        border: 1px solid transparent;
+      }
+
+      .draft-item.current {
+        border-color: #667eea;
+      }
+
+      .draft-thumb {
+        flex-shrink: 0;
+        width: 56px;
+        height: 56px;
+        border-radius: 6px;
+        object-fit: cover;
+      }
+
+      .draft-thumb-empty {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: #edf2f7;
+        color: #a0aec0;
+      }
+
+      .draft-info {
+        flex: 1;
+        min-width: 0;
+      }
+
+      .draft-info p {
+        margin: 0;
+      }
+
+      .draft-excerpt {
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      .draft-meta {
+        font-size: 0.8rem;
+        color: #718096;
+      }
+
+      .draft-actions {
+        display: flex;
+        gap: 0.4rem;
+      }
+
+      .draft-prompt {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 0.75rem;
+        padding: 0.75rem 1rem;
+        margin-bottom: 1rem;
+        border-radius: 8px;
+        background: #fefcbf;
+        border: 1px solid #f6e05e;
+        color: #744210;
+      }
+
+      .draft-prompt p {
+        flex: 1;
+        min-width: 200px;
+        margin: 0;
+      }
+
+      .draft-prompt-actions {
+        display: flex;
+        gap: 0.5rem;
+      }
+
+      .upload-progress {
+        display: flex;
+        flex-direction: column;
+        gap: 0.3rem;
+        min-width: 0;
+        flex: 1;
+        max-width: 320px;
+        font-size: 0.9rem;
+      }
+
+      .upload-progress progress {
+        width: 100%;
+        height: 0.5rem;
+      }
+
+      .cancel-upload-btn {
+        padding: 0.4rem 0.8rem;
+        border: 1px solid #ef476f;
+        border-radius: 4px;
+        background: #fff;
+        color: #ef476f;
+        font-size: 0.85rem;
+        cursor: pointer;
+      }
+
+      .cancel-upload-btn:hover:not(:disabled) {
+        background: rgba(239, 71, 111, 0.1);
+      }
+
+      .message.info {
+        background-color: #edf2f7;
+        border-left: 4px solid #718096;
+        color: #4a5568;
+      }
+
+      .draft-status {
+        margin: 0.5rem 0 0;
+        font-size: 0.8rem;
+        color: #718096;
+        text-align: center;
+      }
+
+      .camera-options {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        justify-content: center;
+        gap: 0.5rem;
+        margin-top: 0.75rem;
+      }
+
+      .camera-options[hidden],
+      .camera-options [hidden] {
+        display: none;
+      }
+
+      .camera-options select {
+        padding: 0.45rem 0.6rem;
+        border: 1px solid #cbd5e0;
+        border-radius: 6px;
+        background: #ffffff;
+        max-width: 220px;
+      }
+
+      #torchBtn[aria-pressed="true"] {
+        background: #f6e05e;
+        color: #1a202c;
+      }
+
+      .camera-zoom {
+        display: flex;
+        align-items: center;
+        gap: 0.4rem;
+        font-size: 0.9rem;
+      }
+
+      .photo-size-info {
+        margin: 0.5rem 0 0;
+        font-size: 0.875rem;
+        color: #4a5568;
+      }
+
+      .photo-size-info.over-budget {
+        color: #c53030;
+      }
+
+      .photo-location-offer {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 0.75rem;
+        padding: 0.75rem 1rem;
+        margin-bottom: 1rem;
+        border-radius: 8px;
+        background: #ebf8ff;
+        border: 1px solid #90cdf4;
+        color: #2c5282;
+      }
+
+      .photo-location-offer[hidden] {
+        display: none;
+      }
+
+      .photo-location-offer p {
+        flex: 1;
+        min-width: 200px;
+        margin: 0;
+        font-size: 0.9rem;
+      }
+
+      .photo-location-actions {
+        display: flex;
+        gap: 0.5rem;
+      }
+
+      .location-tools {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.75rem;
+        margin-bottom: 1rem;
+      }
+
+      .place-search {
+        position: relative;
+        flex: 1;
+        min-width: 200px;
+      }
+
+      .place-search input {
+        width: 100%;
+        padding: 0.6rem 0.75rem;
+        border: 1px solid #e0e0e0;
+        border-radius: 8px;
+        font: inherit;
+      }
+
+      .place-results {
+        position: absolute;
+        top: calc(100% + 4px);
+        left: 0;
+        right: 0;
+        z-index: 1000;
+        margin: 0;
+        padding: 0.25rem 0;
+        list-style: none;
+        background: white;
+        border: 1px solid #e0e0e0;
+        border-radius: 8px;
+        box-shadow: 0 6px 16px rgba(0, 0, 0, 0.12);
+      }
+
+      .place-results[hidden] {
+        display: none;
+      }
+
+      .place-results [role="option"] {
+        display: flex;
+        justify-content: space-between;
+        gap: 0.5rem;
+        padding: 0.5rem 0.75rem;
+        cursor: pointer;
+      }
+
+      .place-results [role="option"] span,
+      .place-results-empty {
+        color: #6c757d;
+        font-size: 0.875rem;
+      }
+
+      .place-results-empty {
+        padding: 0.5rem 0.75rem;
+      }
+
+      .place-results [role="option"]:hover,
+      .place-results [aria-selected="true"] {
+        background: #ebf8ff;
+      }
+
+      .location-info label {
+        display: flex;
+        flex-direction: column;
+        gap: 0.25rem;
+        font-size: 0.875rem;
+        color: #4a5568;
+      }
+
+      .location-info input {
+        padding: 8px 12px;
+        background-color: #fff;
+        border-radius: 8px;
+        border: 1px solid #e0e0e0;
+        font: inherit;
+      }
+
+      .location-error {
+        margin: 0.5rem 0 0;
+        color: #e53e3e;
+        font-size: 0.875rem;
+      }
+
+      .location-error[hidden] {
+        display: none;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
   _initMap() {
     console.log('Initializing map');
     const mapContainer = document.getElementById("pickLocationMap");
@@ -132,6 +587,7 @@ class AddStoryView {
       }).addTo(this._map);
       
       this._map.on("click", (e) => {
+        this._clearAccuracy();
         this._updateMarker(e.latlng.lat, e.latlng.lng);
       });
       
@@ -146,13 +602,246 @@ class AddStoryView {
     this._position.lat = lat;
     this._position.lon = lon;
 
-    document.getElementById("latValue").textContent = lat.toFixed(6);
-    document.getElementById("lonValue").textContent = lon.toFixed(6);
+    document.getElementById("latInput").value = lat.toFixed(6);
+    document.getElementById("lonInput").value = lon.toFixed(6);
+    this._hideLocationError();
+    this._notifyDraftChanged();
+
+    if (!this._map) return;
+
+    if (this._marker) {
+      this._marker.setLatLng([lat, lon]);
+      return;
+    }
+
+    // Draggable so the spot can be fine-tuned after a click or search
+    this._marker = L.marker([lat, lon], { draggable: true, autoPan: true }).addTo(this._map);
+    this._marker.bindPopup("Lokasi cerita Anda. Geser untuk memindahkan.").openPopup();
+    this._marker.on("dragend", () => {
+      const { lat: newLat, lng: newLon } = this._marker.getLatLng();
+      this._clearAccuracy();
+      this._updateMarker(newLat, newLon);
+    });
+  }
+
+  // Move the marker and the map to a location picked by the presenter
+  // (device location, typed coordinates). accuracy in metres draws a circle.
+  setLocation(lat, lon, { accuracy = null, zoom = 15 } = {}) {
+    this._clearAccuracy();
+    this._updateMarker(lat, lon);
+
+    if (!this._map) return;
+
+    if (accuracy) {
+      this._accuracyCircle = L.circle([lat, lon], {
+        radius: accuracy,
+        color: "#3a86ff",
+        weight: 1,
+        fillOpacity: 0.15,
+        interactive: false
+      }).addTo(this._map);
+      this._map.fitBounds(this._accuracyCircle.getBounds(), { maxZoom: 17 });
+    } else {
+      this._map.setView([lat, lon], zoom);
+    }
+  }
+
+  _clearAccuracy() {
+    if (this._accuracyCircle) {
+      this._accuracyCircle.remove();
+      this._accuracyCircle = null;
+    }
+  }
+
+  _initLocationControls() {
+    const useLocationBtn = document.getElementById("useLocationBtn");
+    const latInput = document.getElementById("latInput");
+    const lonInput = document.getElementById("lonInput");
+    const placeSearch = document.getElementById("placeSearch");
+    const placeResults = document.getElementById("placeResults");
+
+    if (!useLocationBtn || !latInput || !lonInput || !placeSearch || !placeResults) {
+      console.error('Location controls not found');
+      return;
+    }
+
+    useLocationBtn.addEventListener("click", () => {
+      if (this._presenter) {
+        this._presenter.useCurrentLocation();
+      }
+    });
+
+    const usePhotoLocationBtn = document.getElementById("usePhotoLocationBtn");
+    const dismissPhotoLocationBtn = document.getElementById("dismissPhotoLocationBtn");
+    if (usePhotoLocationBtn && dismissPhotoLocationBtn) {
+      usePhotoLocationBtn.addEventListener("click", () => {
+        if (this._presenter) {
+          this._presenter.usePhotoLocation();
+        }
+      });
+      dismissPhotoLocationBtn.addEventListener("click", () => this.hidePhotoLocationOffer());
+    }
+
+    // Typed coordinates apply once both fields are filled
+    const applyManualLocation = () => {
+      if (!latInput.value.trim() || !lonInput.value.trim() || !this._presenter) return;
+      this._presenter.setManualLocation(latInput.value, lonInput.value);
+    };
+    [latInput, lonInput].forEach(input => {
+      input.addEventListener("change", applyManualLocation);
+      input.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") {
+          e.preventDefault();
+          applyManualLocation();
+        }
+      });
+    });
+
+    placeSearch.addEventListener("input", () => {
+      clearTimeout(this._placeSearchTimer);
+      const query = placeSearch.value.trim();
+
+      if (!query) {
+        this.renderPlaceResults([], query);
+        return;
+      }
+
+      this._placeSearchTimer = setTimeout(() => {
+        if (this._presenter) {
+          this._presenter.searchPlaces(query);
+        }
+      }, 250);
+    });
+
+    placeSearch.addEventListener("keydown", (e) => this._onPlaceSearchKeydown(e));
+    placeSearch.addEventListener("blur", () => {
+      // Let a click on a result land first
+      setTimeout(() => this.renderPlaceResults([], placeSearch.value.trim()), 150);
+    });
+
+    placeResults.addEventListener("mousedown", (e) => {
+      const option = e.target.closest("[data-index]");
+      if (option) {
+        e.preventDefault();
+        this._selectPlace(Number(option.dataset.index));
+      }
+    });
+  }
+
+  // Up/Down move through the results, Enter picks one, Escape closes the list.
+  // Enter never submits the story form from here.
+  _onPlaceSearchKeydown(e) {
+    const count = this._places.length;
+
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (count === 0) return;
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      this._setActivePlace((this._activePlaceIndex + step + count) % count);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (count > 0) {
+        this._selectPlace(Math.max(this._activePlaceIndex, 0));
+      }
+    } else if (e.key === "Escape" && count > 0) {
+      e.preventDefault();
+      this.renderPlaceResults([], e.target.value.trim());
+    }
+  }
+
+  // Results for the query that was searched; late answers for an older
+  // query are dropped
+  renderPlaceResults(places, query) {
+    const placeSearch = document.getElementById("placeSearch");
+    const placeResults = document.getElementById("placeResults");
+    if (!placeSearch || !placeResults) return;
+    if (query !== placeSearch.value.trim()) return;
+
+    const { escape } = window.SafeHtml;
+    this._places = places;
+    this._activePlaceIndex = -1;
+
+    if (places.length === 0) {
+      placeResults.innerHTML = query
+        ? '<li class="place-results-empty" role="presentation">Kota tidak ditemukan</li>'
+        : '';
+    } else {
+      placeResults.innerHTML = places.map((place, index) => `
+        <li id="placeOption${index}" role="option" aria-selected="false" data-index="${index}">
+          <strong>${escape(place.name)}</strong>
+          <span>${escape(place.region || '')}</span>
+        </li>
+      `).join('');
+    }
+
+    const isOpen = placeResults.innerHTML !== '' && document.activeElement === placeSearch;
+    placeResults.hidden = !isOpen;
+    placeSearch.setAttribute("aria-expanded", String(isOpen && places.length > 0));
+    placeSearch.removeAttribute("aria-activedescendant");
+  }
+
+  _setActivePlace(index) {
+    const placeSearch = document.getElementById("placeSearch");
+    this._activePlaceIndex = index;
+
+    document.querySelectorAll("#placeResults [role='option']").forEach((option, i) => {
+      option.setAttribute("aria-selected", String(i === index));
+    });
+    placeSearch.setAttribute("aria-activedescendant", `placeOption${index}`);
+  }
+
+  _selectPlace(index) {
+    const place = this._places[index];
+    const placeSearch = document.getElementById("placeSearch");
+    if (!place || !placeSearch) return;
+
+    placeSearch.value = place.name;
+    this.renderPlaceResults([], place.name);
+    this.setLocation(place.lat, place.lon, { zoom: 12 });
+  }
+
+  // The picked photo carries GPS coordinates: offer them as the location
+  offerPhotoLocation({ lat, lon, capturedAt }) {
+    const offer = document.getElementById("photoLocationOffer");
+    const text = document.getElementById("photoLocationText");
+    if (!offer || !text) return;
+
+    const takenAt = capturedAt
+      ? ` Diambil ${capturedAt.toLocaleString('id-ID', { dateStyle: 'medium', timeStyle: 'short' })}.`
+      : '';
+    text.textContent = `Foto ini menyimpan lokasi pengambilan (${lat.toFixed(5)}, ${lon.toFixed(5)}).${takenAt} ` +
+      'Data lokasi di file foto tidak ikut diunggah.';
+    offer.hidden = false;
+  }
+
+  hidePhotoLocationOffer() {
+    const offer = document.getElementById("photoLocationOffer");
+    if (offer) {
+      offer.hidden = true;
+    }
+  }
+
+  setLocating(isLocating) {
+    const button = document.getElementById("useLocationBtn");
+    if (!button) return;
 
-    if (this._marker) this._map.removeLayer(this._marker);
+    button.disabled = isLocating;
+    button.querySelector("span").textContent = isLocating ? "Mencari lokasi..." : "Gunakan lokasi saya";
+  }
 
-    this._marker = L.marker([lat, lon]).addTo(this._map);
-    this._marker.bindPopup("Lokasi cerita Anda").openPopup();
+  showLocationError(message) {
+    const error = document.getElementById("locationError");
+    if (error) {
+      error.textContent = message;
+      error.hidden = false;
+    }
+  }
+
+  _hideLocationError() {
+    const error = document.getElementById("locationError");
+    if (error) {
+      error.hidden = true;
+    }
   }
 
   _initCameraButtons() {
@@ -172,28 +861,30 @@ class AddStoryView {
     cameraFeed.style.display = "none";
     capturedImage.style.display = "none";
 
-    let isUsingFileUpload = false;
+    this._photoEditor = new window.PhotoEditor({
+      container: document.getElementById("photoEditor"),
+      maxDimension: window.imagePipeline.getSettings().maxDimension,
+      onApply: ({ canvas, edits }) => this._applyPhotoEdits(canvas, edits),
+      onCancel: () => this._setPhotoEditing(false)
+    });
+    document.getElementById("editPhotoBtn").addEventListener("click", () => this._openPhotoEditor());
+    this._initCameraOptions();
 
     startCameraBtn.addEventListener("click", async () => {
       console.log('Start camera button clicked');
-      if (!this._cameraActive && !isUsingFileUpload) {
+      if (!this._cameraActive && !this._usingFileUpload) {
         startCameraBtn.disabled = true;
         uploadImageInput.disabled = true;
         cameraFeed.style.display = "block";
         capturedImage.style.display = "none";
         
-        const cameraStarted = await cameraHelper.startCamera(cameraFeed);
+        const cameraStarted = await this._startCamera();
         if (cameraStarted) {
           console.log('Camera started successfully');
-          this._cameraActive = true;
           captureBtn.disabled = false;
           retakeBtn.disabled = true;
         } else {
-          console.error('Failed to start camera');
-          startCameraBtn.disabled = false;
-          uploadImageInput.disabled = false;
-          cameraFeed.style.display = "none";
-          this.showMessage("Gagal memulai kamera. Pastikan kamera diizinkan.", "error");
+          this._resetCameraControls();
         }
       }
     });
@@ -210,13 +901,11 @@ class AddStoryView {
           captureBtn.disabled = true;
           retakeBtn.disabled = false;
           uploadImageInput.disabled = false;
-          this._cameraActive = false;
+          this._stopCameraAndCleanup();
 
-          this._photoBlob = await this._dataURLtoBlob(imageData);
-          if (this._photoBlob.size > 1000000) {
-            this._photoBlob = await this._compressImage(this._photoBlob);
-            capturedImage.src = URL.createObjectURL(this._photoBlob);
-          }
+          // The frame is only an intermediate JPEG, so always re-encode it
+          this._setSourcePhoto({ blob: await this._dataURLtoBlob(imageData), orientation: 1, reencode: true });
+          await this._preparePhoto(this._sourcePhoto.blob, { reencode: true });
         } else {
           console.error('Failed to capture image');
           this.showMessage("Gagal mengambil gambar. Coba lagi.", "error");
@@ -227,28 +916,24 @@ class AddStoryView {
     retakeBtn.addEventListener("click", async () => {
       console.log('Retake button clicked');
       capturedImage.style.display = "none";
-      this._photoBlob = null;
+      this._clearPhoto();
+      this.hidePhotoLocationOffer();
       retakeBtn.disabled = true;
 
-      if (isUsingFileUpload) {
+      if (this._usingFileUpload) {
         uploadImageInput.value = '';
         uploadImageInput.disabled = false;
         startCameraBtn.disabled = false;
-        isUsingFileUpload = false;
+        this._usingFileUpload = false;
       } else {
         cameraFeed.style.display = "block";
-        const cameraStarted = await cameraHelper.startCamera(cameraFeed);
+        const cameraStarted = await this._startCamera();
         if (cameraStarted) {
           console.log('Camera restarted successfully');
-          this._cameraActive = true;
           captureBtn.disabled = false;
           uploadImageInput.disabled = true;
         } else {
-          console.error('Failed to restart camera');
-          startCameraBtn.disabled = false;
-          uploadImageInput.disabled = false;
-          cameraFeed.style.display = "none";
-          this.showMessage("Gagal memulai kamera. Pastikan kamera diizinkan.", "error");
+          this._resetCameraControls();
         }
       }
     });
@@ -257,63 +942,320 @@ class AddStoryView {
       console.log('File selected');
       const file = event.target.files[0];
       if (file) {
-        if (!file.type.match('image/jpeg|image/png')) {
-          this.showMessage("Hanya file JPEG atau PNG yang diperbolehkan!", "error");
+        if (!file.type.match('image/jpeg|image/png|image/webp')) {
+          this.showMessage("Hanya file JPEG, PNG atau WebP yang diperbolehkan!", "error");
           uploadImageInput.value = '';
           return;
         }
 
-        if (file.size > 1000000) {
-          this._photoBlob = await this._compressImage(file);
-        } else {
-          this._photoBlob = file;
-        }
+        const metadata = await window.ExifUtils.read(file);
+        this._setSourcePhoto({ blob: file, orientation: metadata.orientation, reencode: false });
 
-        capturedImage.src = URL.createObjectURL(this._photoBlob);
+        // Show the original right away; it is replaced once processed
+        this._showPhoto(file);
         capturedImage.style.display = "block";
         cameraFeed.style.display = "none";
         startCameraBtn.disabled = true;
         captureBtn.disabled = true;
         retakeBtn.disabled = false;
-        isUsingFileUpload = true;
+        this._usingFileUpload = true;
+
+        if (this._presenter) {
+          this._presenter.handlePhotoMetadata(metadata);
+        }
+
+        await this._preparePhoto(file, { orientation: metadata.orientation });
       }
     });
   }
 
-  async _dataURLtoBlob(dataURL) {
-    const response = await fetch(dataURL);
-    return await response.blob();
+  // Starts with the camera, resolution etc. chosen last time. The error
+  // says why it failed (permission denied, no camera, camera busy).
+  async _startCamera() {
+    try {
+      const state = await cameraHelper.startCamera(document.getElementById("cameraFeed"));
+      this._cameraActive = true;
+      this._renderCameraOptions(state);
+      return true;
+    } catch (error) {
+      console.error('Failed to start camera:', error.code, error);
+      this._cameraActive = false;
+      this._renderCameraOptions(null);
+      this.showMessage(error.message, "error");
+      return false;
+    }
+  }
+
+  // Back to "camera off": only starting it or picking a file is possible
+  _resetCameraControls() {
+    const controls = {
+      startCameraBtn: false,
+      captureBtn: true,
+      uploadImage: false
+    };
+    Object.entries(controls).forEach(([id, disabled]) => {
+      const control = document.getElementById(id);
+      if (control) control.disabled = disabled;
+    });
+
+    const cameraFeed = document.getElementById("cameraFeed");
+    if (cameraFeed) {
+      cameraFeed.style.display = "none";
+    }
   }
 
-  async _compressImage(blob) {
-    const img = new Image();
-    img.src = URL.createObjectURL(blob);
-    await new Promise(resolve => img.onload = resolve);
+  _initCameraOptions() {
+    const switchCameraBtn = document.getElementById("switchCameraBtn");
+    const deviceSelect = document.getElementById("cameraDevice");
+    const resolutionSelect = document.getElementById("cameraResolution");
+    const torchBtn = document.getElementById("torchBtn");
+    const zoomInput = document.getElementById("cameraZoom");
 
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    const maxSize = 1024;
-    let width = img.width;
-    let height = img.height;
+    if (!switchCameraBtn || !deviceSelect || !resolutionSelect || !torchBtn || !zoomInput) {
+      return;
+    }
+
+    switchCameraBtn.addEventListener("click", () => this._changeCamera(() => cameraHelper.switchFacingMode()));
+    deviceSelect.addEventListener("change", () => {
+      this._changeCamera(() => cameraHelper.selectDevice(deviceSelect.value));
+    });
+    resolutionSelect.addEventListener("change", () => {
+      this._changeCamera(() => cameraHelper.setResolution(resolutionSelect.value));
+    });
 
-    if (width > height) {
-      if (width > maxSize) {
-        height *= maxSize / width;
-        width = maxSize;
+    torchBtn.addEventListener("click", async () => {
+      try {
+        await cameraHelper.setTorch(!cameraHelper.torch);
+      } catch (error) {
+        console.warn('Torch not available:', error);
       }
-    } else {
-      if (height > maxSize) {
-        width *= maxSize / height;
-        height = maxSize;
+      this._renderCameraOptions(cameraHelper.getState());
+    });
+
+    zoomInput.addEventListener("input", () => {
+      cameraHelper.setZoom(Number(zoomInput.value)).catch(error => {
+        console.warn('Zoom not available:', error);
+      });
+    });
+  }
+
+  // Switching restarts the stream, which can fail like a fresh start
+  async _changeCamera(action) {
+    const options = document.getElementById("cameraOptions");
+    options.querySelectorAll("button, select, input").forEach(control => {
+      control.disabled = true;
+    });
+
+    try {
+      this._renderCameraOptions(await action());
+    } catch (error) {
+      console.error('Failed to switch camera:', error.code, error);
+      this._cameraActive = false;
+      this._renderCameraOptions(null);
+      this._resetCameraControls();
+      this.showMessage(error.message, "error");
+    } finally {
+      options.querySelectorAll("button, select, input").forEach(control => {
+        control.disabled = false;
+      });
+    }
+  }
+
+  // null hides the options; otherwise cameraHelper.getState()
+  _renderCameraOptions(state) {
+    const options = document.getElementById("cameraOptions");
+    if (!options) return;
+
+    options.hidden = !state;
+    if (!state) return;
+
+    const { escape } = window.SafeHtml;
+    const hasChoice = state.devices.length > 1;
+
+    const switchCameraBtn = document.getElementById("switchCameraBtn");
+    switchCameraBtn.hidden = !hasChoice;
+    switchCameraBtn.querySelector("span").textContent =
+      state.facingMode === 'user' ? 'Kamera belakang' : 'Kamera depan';
+
+    const deviceSelect = document.getElementById("cameraDevice");
+    deviceSelect.hidden = !hasChoice;
+    deviceSelect.innerHTML = state.devices.map(device => `
+      <option value="${escape(device.deviceId)}" ${device.deviceId === state.deviceId ? 'selected' : ''}>${escape(device.label)}</option>
+    `).join('');
+
+    document.getElementById("cameraResolution").value = state.resolution;
+
+    const torchBtn = document.getElementById("torchBtn");
+    torchBtn.hidden = !state.capabilities.torch;
+    torchBtn.setAttribute("aria-pressed", String(state.torch));
+
+    const zoomControl = document.getElementById("cameraZoomControl");
+    const zoomInput = document.getElementById("cameraZoom");
+    const { zoom } = state.capabilities;
+    zoomControl.hidden = !zoom;
+    if (zoom) {
+      zoomInput.min = zoom.min;
+      zoomInput.max = zoom.max;
+      zoomInput.step = zoom.step;
+      zoomInput.value = state.zoom ?? zoom.min;
+    }
+  }
+
+  // Nothing from the file's metadata is uploaded. Re-encoding drops it and
+  // bakes the EXIF orientation into the pixels; small upright photos only
+  // get the metadata cut out so they keep their quality.
+  // source is a photo Blob, or an edited canvas (always re-encoded).
+  async _preparePhoto(source, { orientation = 1, reencode = false, originalSize } = {}) {
+    const job = ++this._photoJob;
+    const pipeline = window.imagePipeline;
+    const editPhotoBtn = document.getElementById("editPhotoBtn");
+    this._photoBlob = null;
+    this._photoProcessing = true;
+    this._renderPhotoSize({ isProcessing: true });
+    if (editPhotoBtn) editPhotoBtn.disabled = true;
+
+    try {
+      const result = reencode || pipeline.needsProcessing(source, { orientation })
+        ? await pipeline.process(source, { orientation, originalSize })
+        : { blob: await window.ExifUtils.strip(source), originalSize: source.size };
+
+      // Another photo was taken or picked in the meantime
+      if (job !== this._photoJob) return;
+
+      this._photoBlob = result.blob;
+      this._showPhoto(result.blob);
+      this._renderPhotoSize(result);
+      if (editPhotoBtn) editPhotoBtn.disabled = false;
+      this._notifyDraftChanged();
+    } catch (error) {
+      if (job !== this._photoJob) return;
+
+      console.error('Error preparing photo:', error);
+      this._renderPhotoSize(null);
+      this.showMessage("Gagal memproses gambar. Coba gambar lain.", "error");
+    } finally {
+      if (job === this._photoJob) {
+        this._photoProcessing = false;
       }
     }
+  }
+
+  _showPhoto(blob) {
+    const capturedImage = document.getElementById("capturedImage");
+    if (this._photoUrl) {
+      URL.revokeObjectURL(this._photoUrl);
+    }
+    this._photoUrl = URL.createObjectURL(blob);
+    if (capturedImage) {
+      capturedImage.src = this._photoUrl;
+    }
+  }
+
+  _setSourcePhoto(source) {
+    this._sourcePhoto = source;
+    this._photoEdits = null;
+  }
+
+  async _openPhotoEditor() {
+    if (!this._sourcePhoto || !this._photoEditor) return;
+
+    this._setPhotoEditing(true);
+    try {
+      await this._photoEditor.open(this._sourcePhoto.blob, {
+        orientation: this._sourcePhoto.orientation,
+        edits: this._photoEdits
+      });
+    } catch (error) {
+      console.error('Error opening photo editor:', error);
+      this._photoEditor.close();
+      this._setPhotoEditing(false);
+      this.showMessage("Foto tidak bisa disunting. Coba ambil ulang.", "error");
+    }
+  }
+
+  // The editor takes the place of the preview while it is open
+  _setPhotoEditing(isEditing) {
+    const capturedImage = document.getElementById("capturedImage");
+    const editPhotoBtn = document.getElementById("editPhotoBtn");
+    if (capturedImage) {
+      capturedImage.style.display = isEditing ? "none" : "block";
+    }
+    if (editPhotoBtn) {
+      editPhotoBtn.disabled = isEditing;
+    }
+  }
+
+  // Edits always start from the source photo, so applying twice does not
+  // compress twice
+  async _applyPhotoEdits(canvas, edits) {
+    const source = this._sourcePhoto;
+    this._setPhotoEditing(false);
+
+    if (window.PhotoEdits.isIdentity(edits)) {
+      this._photoEdits = null;
+      await this._preparePhoto(source.blob, { orientation: source.orientation, reencode: source.reencode });
+    } else {
+      this._photoEdits = edits;
+      await this._preparePhoto(canvas, { reencode: true, originalSize: source.blob.size });
+    }
+  }
+
+  _clearPhoto() {
+    this._photoJob++;
+    this._photoBlob = null;
+    this._photoProcessing = false;
+    this._sourcePhoto = null;
+    this._photoEdits = null;
+    if (this._photoEditor && this._photoEditor.isOpen()) {
+      this._photoEditor.close();
+    }
+    const editPhotoBtn = document.getElementById("editPhotoBtn");
+    if (editPhotoBtn) {
+      editPhotoBtn.disabled = true;
+    }
+    this._renderPhotoSize(null);
+    this._notifyDraftChanged();
+    if (this._photoUrl) {
+      URL.revokeObjectURL(this._photoUrl);
+      this._photoUrl = null;
+    }
+  }
+
+  // null hides the line; otherwise an ImagePipeline.process() result, or
+  // { blob, originalSize } for a photo that was not re-encoded
+  _renderPhotoSize(state) {
+    const info = document.getElementById("photoSizeInfo");
+    if (!info) return;
 
-    canvas.width = width;
-    canvas.height = height;
-    ctx.drawImage(img, 0, 0, width, height);
+    info.hidden = !state;
+    info.classList.remove("over-budget");
+    if (!state) return;
+
+    if (state.isProcessing) {
+      info.textContent = "Mengoptimalkan foto...";
+      return;
+    }
 
-    const compressedDataUrl = canvas.toDataURL('image/jpeg', 0.7);
-    return await this._dataURLtoBlob(compressedDataUrl);
+    const { formatBytes } = window.ImagePipeline;
+    const { maxBytes } = window.imagePipeline.getSettings();
+
+    if (!state.type) {
+      info.textContent = `Ukuran foto: ${formatBytes(state.blob.size)} (tanpa kompresi ulang)`;
+    } else {
+      const format = PHOTO_FORMAT_LABELS[state.type] || state.type;
+      info.textContent = `Ukuran foto: ${formatBytes(state.originalSize)} → ${formatBytes(state.size)} ` +
+        `(${format}, ${state.width}×${state.height} piksel)`;
+    }
+
+    if (state.blob.size > maxBytes) {
+      info.classList.add("over-budget");
+      info.textContent += `. Masih melebihi batas ${formatBytes(maxBytes)}, pilih gambar lain.`;
+    }
+  }
+
+  async _dataURLtoBlob(dataURL) {
+    const response = await fetch(dataURL);
+    return await response.blob();
   }
 
   _initFormSubmit() {
@@ -325,6 +1267,16 @@ class AddStoryView {
       return;
     }
     
+    const cancelUploadBtn = document.getElementById("cancelUploadBtn");
+    if (cancelUploadBtn) {
+      cancelUploadBtn.addEventListener("click", () => {
+        if (this._presenter) {
+          cancelUploadBtn.disabled = true;
+          this._presenter.cancelUpload();
+        }
+      });
+    }
+    
     form.addEventListener("submit", async (event) => {
       event.preventDefault();
       console.log('Form submitted');
@@ -357,11 +1309,17 @@ class AddStoryView {
     if (!description) {
       errorMessage = "Cerita tidak boleh kosong.";
       hasError = true;
+    } else if (this._photoEditor && this._photoEditor.isOpen()) {
+      errorMessage = "Terapkan atau batalkan suntingan foto terlebih dahulu.";
+      hasError = true;
+    } else if (this._photoProcessing) {
+      errorMessage = "Gambar masih diproses, tunggu sebentar.";
+      hasError = true;
     } else if (!this._photoBlob) {
       errorMessage = "Gambar belum diambil atau dipilih!";
       hasError = true;
-    } else if (this._photoBlob.size > 1000000) {
-      errorMessage = "Ukuran gambar melebihi 1MB!";
+    } else if (this._photoBlob.size > window.imagePipeline.getSettings().maxBytes) {
+      errorMessage = `Ukuran gambar melebihi ${window.ImagePipeline.formatBytes(window.imagePipeline.getSettings().maxBytes)}!`;
       hasError = true;
     } else if (lat === null || lon === null) {
       errorMessage = "Pilih lokasi pada peta!";
@@ -386,7 +1344,7 @@ class AddStoryView {
     console.log(`Showing ${type} message:`, message);
     const messageContainer = document.getElementById("messageContainer");
     if (messageContainer) {
-      messageContainer.innerHTML = `<div class="message ${type}"><p>${message}</p></div>`;
+      messageContainer.innerHTML = `<div class="message ${type}"><p>${window.SafeHtml.escape(message)}</p></div>`;
       setTimeout(() => {
         messageContainer.innerHTML = "";
       }, 3000);
@@ -398,6 +1356,7 @@ class AddStoryView {
     if (loadingIndicator) {
       loadingIndicator.style.display = "flex";
     }
+    this._setUploading(true);
   }
 
   hideLoading() {
@@ -405,6 +1364,38 @@ class AddStoryView {
     if (loadingIndicator) {
       loadingIndicator.style.display = "none";
     }
+    this._setUploading(false);
+  }
+
+  // Bytes of the photo sent so far; total is null when the browser does
+  // not know the request size
+  showUploadProgress(loaded, total) {
+    const status = document.getElementById("uploadStatus");
+    const progress = document.getElementById("uploadProgress");
+    if (!status || !progress) return;
+
+    if (!total) {
+      // No value attribute shows an indeterminate bar
+      progress.removeAttribute("value");
+      status.textContent = "Mengirim cerita...";
+      return;
+    }
+
+    const percent = Math.min(100, Math.round((loaded / total) * 100));
+    progress.value = percent;
+    status.textContent = loaded >= total
+      ? "Menunggu konfirmasi server..."
+      : `Mengirim cerita... ${window.ImagePipeline.formatBytes(loaded)} dari ${window.ImagePipeline.formatBytes(total)} (${percent}%)`;
+  }
+
+  _setUploading(uploading) {
+    const submitBtn = document.getElementById("submitBtn");
+    const cancelUploadBtn = document.getElementById("cancelUploadBtn");
+    const progress = document.getElementById("uploadProgress");
+
+    if (submitBtn) submitBtn.disabled = uploading;
+    if (cancelUploadBtn) cancelUploadBtn.disabled = !uploading;
+    if (progress && !uploading) progress.removeAttribute("value");
   }
 
   showSuccess(message) {
@@ -412,7 +1403,19 @@ class AddStoryView {
     this.resetForm();
   }
 
+  // Clearing the form is not an edit: autosave must not store what is left
+  // over mid-reset (e.g. the old location once the photo is gone)
   resetForm() {
+    const wasRestoring = this._restoring;
+    this._restoring = true;
+    try {
+      this._clearFormFields();
+    } finally {
+      this._restoring = wasRestoring;
+    }
+  }
+
+  _clearFormFields() {
     const descriptionField = document.getElementById("description");
     const capturedImage = document.getElementById("capturedImage");
     const uploadImageInput = document.getElementById("uploadImage");
@@ -430,22 +1433,25 @@ class AddStoryView {
       uploadImageInput.value = '';
     }
 
-    this._photoBlob = null;
+    this._clearPhoto();
+    this.hidePhotoLocationOffer();
 
     if (this._marker) {
       this._map.removeLayer(this._marker);
       this._marker = null;
     }
+    this._clearAccuracy();
 
     this._position = { lat: null, lon: null };
+    this._usingFileUpload = false;
     
-    const latValueEl = document.getElementById("latValue");
-    const lonValueEl = document.getElementById("lonValue");
-    
-    if (latValueEl && lonValueEl) {
-      latValueEl.textContent = "Belum dipilih";
-      lonValueEl.textContent = "Belum dipilih";
-    }
+    ["latInput", "lonInput", "placeSearch"].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.value = "";
+      }
+    });
+    this._hideLocationError();
     
     if (this._cameraActive) {
       this._stopCameraAndCleanup();
@@ -466,8 +1472,194 @@ class AddStoryView {
     this.showMessage(message, "error");
   }
 
+  // === DRAFTS ===
+
+  _initDrafts() {
+    const description = document.getElementById("description");
+    const draftsList = document.getElementById("draftsList");
+    const newDraftBtn = document.getElementById("newDraftBtn");
+    const resumeDraftBtn = document.getElementById("resumeDraftBtn");
+    const dismissDraftBtn = document.getElementById("dismissDraftBtn");
+
+    if (!description || !draftsList || !newDraftBtn || !resumeDraftBtn || !dismissDraftBtn) {
+      console.error('Draft elements not found');
+      return;
+    }
+
+    description.addEventListener("input", () => this._notifyDraftChanged());
+
+    newDraftBtn.addEventListener("click", () => {
+      if (this._presenter) {
+        this._presenter.startNewDraft();
+      }
+    });
+
+    draftsList.addEventListener("click", async (event) => {
+      const button = event.target.closest("button[data-draft-action]");
+      if (!button || !this._presenter) return;
+
+      const id = Number(button.dataset.draftId);
+      if (button.dataset.draftAction === "resume") {
+        this._presenter.resumeDraft(id);
+      } else if (await window.ConfirmDialog.show({
+        title: 'Hapus draf?',
+        message: 'Draf ini beserta fotonya akan dihapus dari perangkat ini.',
+        confirmLabel: 'Hapus',
+        danger: true
+      })) {
+        this._presenter.deleteDraft(id);
+      }
+    });
+
+    resumeDraftBtn.addEventListener("click", () => {
+      if (this._presenter && resumeDraftBtn.dataset.draftId) {
+        this._presenter.resumeDraft(Number(resumeDraftBtn.dataset.draftId));
+      }
+    });
+    dismissDraftBtn.addEventListener("click", () => this.hideDraftPrompt());
+  }
+
+  _notifyDraftChanged() {
+    if (!this._restoring && this._presenter) {
+      this._presenter.onDraftChanged();
+    }
+  }
+
+  // What autosave stores; read right away because the form disappears on navigation
+  getDraftData() {
+    const description = document.getElementById("description");
+    return {
+      description: description ? description.value : '',
+      photoBlob: this._photoBlob,
+      lat: this._position.lat,
+      lon: this._position.lon
+    };
+  }
+
+  renderDrafts(drafts, currentId) {
+    const panel = document.getElementById("draftsPanel");
+    const list = document.getElementById("draftsList");
+    if (!panel || !list) return;
+
+    const { escape } = window.SafeHtml;
+    this._revokeDraftThumbs();
+    panel.hidden = drafts.length === 0;
+
+    list.innerHTML = drafts.map(draft => {
+      const isCurrent = draft.id === currentId;
+      const excerpt = draft.description.trim() || 'Tanpa deskripsi';
+      let thumb = '<span class="draft-thumb draft-thumb-empty"><i class="fas fa-image" aria-hidden="true"></i></span>';
+
+      if (draft.photoBlob) {
+        const url = URL.createObjectURL(draft.photoBlob);
+        this._draftThumbUrls.push(url);
+        thumb = `<img class="draft-thumb" src="${escape(url)}" alt="">`;
+      }
+
+      return `
+        <li class="draft-item ${isCurrent ? 'current' : ''}">
+          ${thumb}
+          <div class="draft-info">
+            <p class="draft-excerpt">${escape(excerpt.length > 80 ? `${excerpt.slice(0, 80)}…` : excerpt)}</p>
+            <p class="draft-meta">
+              Disimpan ${escape(this._formatDraftTime(draft.updatedAt))}
+              ${draft.lat !== null ? ' · <i class="fas fa-map-marker-alt" aria-hidden="true"></i> ada lokasi' : ''}
+              ${isCurrent ? ' · <strong>sedang disunting</strong>' : ''}
+            </p>
+          </div>
+          <div class="draft-actions">
+            <button type="button" class="btn" data-draft-action="resume" data-draft-id="${escape(draft.id)}" ${isCurrent ? 'disabled' : ''}>
+              Lanjutkan
+            </button>
+            <button type="button" class="btn" data-draft-action="delete" data-draft-id="${escape(draft.id)}"
+                    aria-label="Hapus draf: ${escape(excerpt.slice(0, 40))}">
+              <i class="fas fa-trash" aria-hidden="true"></i>
+            </button>
+          </div>
+        </li>
+      `;
+    }).join('');
+  }
+
+  _revokeDraftThumbs() {
+    this._draftThumbUrls.forEach(url => URL.revokeObjectURL(url));
+    this._draftThumbUrls = [];
+  }
+
+  showDraftPrompt(draft) {
+    const prompt = document.getElementById("draftPrompt");
+    const text = document.getElementById("draftPromptText");
+    const resumeDraftBtn = document.getElementById("resumeDraftBtn");
+    if (!prompt || !text || !resumeDraftBtn) return;
+
+    const excerpt = draft.description.trim();
+    text.textContent = `Ada draf yang belum dikirim (disimpan ${this._formatDraftTime(draft.updatedAt)})` +
+      (excerpt ? `: "${excerpt.length > 60 ? `${excerpt.slice(0, 60)}…` : excerpt}"` : '.');
+    resumeDraftBtn.dataset.draftId = draft.id;
+    prompt.hidden = false;
+  }
+
+  hideDraftPrompt() {
+    const prompt = document.getElementById("draftPrompt");
+    if (prompt) {
+      prompt.hidden = true;
+    }
+  }
+
+  // updatedAt of the saved draft, or null when nothing is saved
+  setDraftStatus(updatedAt) {
+    const status = document.getElementById("draftStatus");
+    if (status) {
+      status.textContent = updatedAt ? `Draf tersimpan otomatis ${this._formatDraftTime(updatedAt)}` : '';
+    }
+  }
+
+  // Put a saved draft into the form; the photo counts as a picked file
+  fillDraft(draft) {
+    this._restoring = true;
+    try {
+      this.resetForm();
+      document.getElementById("description").value = draft.description;
+
+      if (draft.photoBlob) {
+        this._setSourcePhoto({ blob: draft.photoBlob, orientation: 1, reencode: false });
+        this._photoBlob = draft.photoBlob;
+        this._showPhoto(draft.photoBlob);
+        document.getElementById("capturedImage").style.display = "block";
+
+        const controls = { startCameraBtn: true, captureBtn: true, retakeBtn: false, editPhotoBtn: false };
+        Object.entries(controls).forEach(([id, disabled]) => {
+          document.getElementById(id).disabled = disabled;
+        });
+        this._usingFileUpload = true;
+      }
+
+      if (draft.lat !== null && draft.lon !== null) {
+        this.setLocation(draft.lat, draft.lon, { zoom: 12 });
+      }
+    } finally {
+      this._restoring = false;
+    }
+  }
+
+  clearDraftForm() {
+    this.resetForm();
+  }
+
+  _formatDraftTime(isoDate) {
+    const date = new Date(isoDate);
+    const isToday = date.toDateString() === new Date().toDateString();
+    return isToday
+      ? `pukul ${date.toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' })}`
+      : date.toLocaleString('id-ID', { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
   destroy() {
     console.log('Destroying add story view');
+    clearTimeout(this._placeSearchTimer);
+    this._restoring = true;
+    this._clearPhoto();
+    this._revokeDraftThumbs();
     
     if (this._cameraActive) {
       this._stopCameraAndCleanup();
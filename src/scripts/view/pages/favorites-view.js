@@ -5,6 +5,9 @@ class FavoritesView {
   constructor() {
     this.container = document.querySelector('#mainContent');
     this.presenter = null;
+    this.importPanel = null;
+    this.objectUrls = [];
+    this.collections = [];
   }
 
   setPresenter(presenter) {
@@ -39,12 +42,39 @@ class FavoritesView {
               <i class="fas fa-download"></i>
               Export Data
             </button>
+            <button class="btn btn-secondary" id="importBtn" aria-controls="favoritesImport">
+              <i class="fas fa-upload"></i>
+              Import Data
+            </button>
             <button class="btn btn-danger" id="clearAllBtn">
               <i class="fas fa-trash"></i>
               Hapus Semua
             </button>
           </div>
 
+          <div class="favorites-import" id="favoritesImport" hidden></div>
+
+          <div class="favorites-toolbar">
+            <div class="collection-tabs" id="collectionTabs" role="tablist" aria-label="Koleksi favorit"></div>
+            <form class="collection-create" id="collectionCreateForm" hidden>
+              <input type="text" id="collectionNameInput" maxlength="40" required
+                     placeholder="Nama koleksi, mis. Liburan Bali" aria-label="Nama koleksi baru">
+              <button type="submit" class="btn-chip btn-chip-primary">Simpan</button>
+              <button type="button" class="btn-chip" id="collectionCreateCancel">Batal</button>
+            </form>
+            <div class="favorites-filters">
+              <div class="tag-filters" id="tagFilters" aria-label="Filter tag"></div>
+              <label class="favorites-sort">
+                Urutkan
+                <select id="favoritesSort">
+                  <option value="addedAt">Tanggal ditambahkan</option>
+                  <option value="createdAt">Tanggal cerita</option>
+                  <option value="distance">Jarak dari saya</option>
+                </select>
+              </label>
+            </div>
+          </div>
+
           <div class="favorites-content">
             <div id="favoritesContainer" class="favorites-grid">
               <div class="loading-container" id="loadingIndicator">
@@ -63,6 +93,24 @@ class FavoritesView {
     // Setup event listeners
     this._setupEventListeners();
     
+    // Reload whenever favorites change: removal, "Urungkan", import.
+    // Collection and note edits made on this page reload through the presenter
+    const onFavoritesChanged = (event) => {
+      const { action } = event.detail || {};
+      const isOwnEdit = ['collections', 'updated'].includes(action) &&
+        !(window.EventBus && window.EventBus.isFromOtherTab(event));
+      if (this.presenter && !isOwnEdit) {
+        this.presenter.loadFavorites();
+      }
+    };
+    window.addEventListener('favoritesChanged', onFavoritesChanged);
+    
+    // Release offline photo URLs when leaving the page
+    window.addEventListener('hashchange', () => {
+      window.removeEventListener('favoritesChanged', onFavoritesChanged);
+      this._revokeObjectUrls();
+    }, { once: true });
+    
     // Show loading
     this.showLoading();
   }
@@ -105,12 +153,26 @@ class FavoritesView {
         100% { transform: scale(1); }
       }
 
+      @keyframes fadeOut {
+        from { opacity: 1; transform: scale(1); }
+        to { opacity: 0; transform: scale(0.95); }
+      }
+
       .page-header p {
         font-size: 1.1rem;
         opacity: 0.9;
         margin: 0;
       }
 
+      .favorites-import {
+        max-width: 720px;
+        margin: 0 auto 2rem;
+      }
+
+      .favorites-import[hidden] {
+        display: none;
+      }
+
       .favorites-stats {
         display: flex;
         justify-content: center;
@@ -336,6 +398,189 @@ class FavoritesView {
         background: #c82333;
       }
 
+      .favorites-toolbar {
+        background: rgba(255, 255, 255, 0.95);
+        border-radius: 15px;
+        padding: 1rem 1.25rem;
+        margin-bottom: 1.5rem;
+        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.08);
+        display: flex;
+        flex-direction: column;
+        gap: 0.75rem;
+      }
+
+      .collection-tabs,
+      .tag-filters,
+      .favorite-chips {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+        align-items: center;
+      }
+
+      .collection-tab,
+      .btn-chip,
+      .tag-chip {
+        border: 1px solid #cbd5e0;
+        background: white;
+        color: #4a5568;
+        border-radius: 999px;
+        padding: 0.35rem 0.9rem;
+        font-size: 0.9rem;
+        cursor: pointer;
+        transition: all 0.2s ease;
+      }
+
+      .collection-tab[aria-selected="true"],
+      .tag-chip[aria-pressed="true"],
+      .btn-chip-primary {
+        background: linear-gradient(135deg, #667eea, #764ba2);
+        border-color: transparent;
+        color: white;
+      }
+
+      .collection-tab .tab-count {
+        opacity: 0.75;
+        margin-left: 0.25rem;
+      }
+
+      .collection-delete {
+        border: none;
+        background: none;
+        color: #c53030;
+        cursor: pointer;
+        font-size: 0.85rem;
+      }
+
+      .collection-create {
+        display: flex;
+        gap: 0.5rem;
+        flex-wrap: wrap;
+      }
+
+      .collection-create[hidden] {
+        display: none;
+      }
+
+      .collection-create input {
+        flex: 1;
+        min-width: 200px;
+        padding: 0.4rem 0.75rem;
+        border: 1px solid #cbd5e0;
+        border-radius: 8px;
+      }
+
+      .favorites-filters {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 1rem;
+        flex-wrap: wrap;
+      }
+
+      .tag-filters-hint {
+        color: #999;
+        font-size: 0.85rem;
+      }
+
+      .favorites-sort {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        color: #4a5568;
+        font-size: 0.9rem;
+      }
+
+      .favorites-sort select {
+        padding: 0.35rem 0.5rem;
+        border: 1px solid #cbd5e0;
+        border-radius: 8px;
+      }
+
+      .favorite-chips {
+        margin-bottom: 0.75rem;
+      }
+
+      .favorite-chip {
+        font-size: 0.8rem;
+        border-radius: 999px;
+        padding: 0.15rem 0.6rem;
+        background: #edf2f7;
+        color: #4a5568;
+      }
+
+      .favorite-chip-collection {
+        background: #ebf4ff;
+        color: #434190;
+      }
+
+      .favorite-note {
+        background: #fffbea;
+        border-left: 3px solid #f6e05e;
+        border-radius: 4px;
+        padding: 0.5rem 0.75rem;
+        margin: 0 0 1rem 0;
+        font-size: 0.9rem;
+        color: #744210;
+        white-space: pre-line;
+      }
+
+      .favorite-editor {
+        display: flex;
+        flex-direction: column;
+        gap: 0.75rem;
+        margin-top: 1rem;
+        padding-top: 1rem;
+        border-top: 1px solid #edf2f7;
+        font-size: 0.9rem;
+        color: #4a5568;
+      }
+
+      .favorite-editor[hidden] {
+        display: none;
+      }
+
+      .favorite-editor label {
+        display: flex;
+        flex-direction: column;
+        gap: 0.25rem;
+      }
+
+      .favorite-editor textarea,
+      .favorite-editor input[type="text"] {
+        padding: 0.5rem;
+        border: 1px solid #cbd5e0;
+        border-radius: 8px;
+        font: inherit;
+      }
+
+      .favorite-editor fieldset {
+        border: 1px solid #e2e8f0;
+        border-radius: 8px;
+        padding: 0.5rem 0.75rem;
+        margin: 0;
+      }
+
+      .favorite-editor fieldset label {
+        flex-direction: row;
+        align-items: center;
+        gap: 0.5rem;
+      }
+
+      .editor-actions {
+        display: flex;
+        gap: 0.5rem;
+      }
+
+      .btn-edit-details {
+        background: #667eea;
+        color: white;
+      }
+
+      .btn-edit-details:hover {
+        background: #5a67d8;
+      }
+
       .empty-state {
         text-align: center;
         padding: 3rem 1rem;
@@ -448,8 +693,13 @@ class FavoritesView {
 
   _setupEventListeners() {
     const exportBtn = document.getElementById('exportBtn');
+    const importBtn = document.getElementById('importBtn');
     const clearAllBtn = document.getElementById('clearAllBtn');
 
+    if (importBtn) {
+      importBtn.addEventListener('click', () => this._toggleImportPanel());
+    }
+
     if (exportBtn) {
       exportBtn.addEventListener('click', () => {
         if (this.presenter) {
@@ -465,17 +715,228 @@ class FavoritesView {
         }
       });
     }
+
+    this._setupToolbarEventListeners();
+  }
+
+  // === COLLECTIONS, TAG FILTERS & SORT ===
+
+  _setupToolbarEventListeners() {
+    const tabs = document.getElementById('collectionTabs');
+    const createForm = document.getElementById('collectionCreateForm');
+    const nameInput = document.getElementById('collectionNameInput');
+    const tagFilters = document.getElementById('tagFilters');
+    const sortSelect = document.getElementById('favoritesSort');
+
+    // Tabs are re-rendered on every change, so listen on the containers
+    tabs.addEventListener('click', (e) => {
+      if (!this.presenter) return;
+
+      const deleteBtn = e.target.closest('.collection-delete');
+      if (deleteBtn) {
+        this._confirmDeleteCollection(
+          deleteBtn.getAttribute('data-collection-id'),
+          deleteBtn.getAttribute('data-collection-name')
+        );
+        return;
+      }
+
+      if (e.target.closest('.collection-tab-add')) {
+        createForm.hidden = false;
+        nameInput.focus();
+        return;
+      }
+
+      const tab = e.target.closest('.collection-tab');
+      if (tab) {
+        this.presenter.selectCollection(tab.getAttribute('data-collection-id'));
+      }
+    });
+
+    createForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (this.presenter && await this.presenter.createCollection(nameInput.value)) {
+        createForm.reset();
+        createForm.hidden = true;
+      }
+    });
+
+    document.getElementById('collectionCreateCancel').addEventListener('click', () => {
+      createForm.reset();
+      createForm.hidden = true;
+    });
+
+    tagFilters.addEventListener('click', (e) => {
+      if (!this.presenter) return;
+
+      if (e.target.closest('.tag-filters-clear')) {
+        this.presenter.clearFilters();
+        return;
+      }
+
+      const chip = e.target.closest('.tag-chip');
+      if (chip) {
+        this.presenter.toggleTagFilter(chip.getAttribute('data-tag'));
+      }
+    });
+
+    sortSelect.addEventListener('change', () => {
+      if (this.presenter) {
+        this.presenter.setSortOrder(sortSelect.value);
+      }
+    });
+  }
+
+  async _confirmDeleteCollection(collectionId, name) {
+    const confirmed = await window.ConfirmDialog.show({
+      title: 'Hapus koleksi',
+      message: `Hapus koleksi "${name}"? Cerita di dalamnya tetap tersimpan di favorit.`,
+      confirmLabel: 'Hapus koleksi',
+      danger: true
+    });
+
+    if (confirmed && this.presenter) {
+      this.presenter.deleteCollection(collectionId);
+    }
+  }
+
+  confirmClearAll(count) {
+    return window.ConfirmDialog.show({
+      title: 'Hapus semua favorit',
+      message: `Semua ${count} favorit akan dihapus. Anda masih bisa mengurungkannya beberapa detik setelahnya.`,
+      confirmLabel: 'Hapus semua',
+      danger: true
+    });
+  }
+
+  renderCollectionTabs(collections, activeCollectionId, totalCount) {
+    const { escape } = window.SafeHtml;
+    const tabs = document.getElementById('collectionTabs');
+    if (!tabs) return;
+
+    const tab = (id, label, count) => `
+      <button type="button" class="collection-tab" role="tab" data-collection-id="${escape(id)}"
+              aria-selected="${(activeCollectionId || '') === id}">
+        ${escape(label)}<span class="tab-count">${count}</span>
+      </button>
+    `;
+    const active = collections.find(collection => collection.id === activeCollectionId);
+
+    tabs.innerHTML = `
+      ${tab('', 'Semua', totalCount)}
+      ${collections.map(collection => tab(collection.id, collection.name, collection.count)).join('')}
+      <button type="button" class="btn-chip collection-tab-add">
+        <i class="fas fa-plus" aria-hidden="true"></i> Koleksi
+      </button>
+      ${active ? `
+        <button type="button" class="collection-delete" data-collection-id="${escape(active.id)}"
+                data-collection-name="${escape(active.name)}">
+          <i class="fas fa-trash" aria-hidden="true"></i> Hapus koleksi ini
+        </button>
+      ` : ''}
+    `;
+  }
+
+  renderTagFilters(tags, activeTags) {
+    const { escape } = window.SafeHtml;
+    const container = document.getElementById('tagFilters');
+    if (!container) return;
+
+    if (tags.length === 0) {
+      container.innerHTML = '<span class="tag-filters-hint">Tambahkan tag lewat tombol Atur pada kartu cerita</span>';
+      return;
+    }
+
+    container.innerHTML = `
+      ${tags.map(({ tag, count }) => `
+        <button type="button" class="tag-chip" data-tag="${escape(tag)}"
+                aria-pressed="${activeTags.includes(tag)}">
+          #${escape(tag)} <span class="tab-count">${count}</span>
+        </button>
+      `).join('')}
+      ${activeTags.length ? `
+        <button type="button" class="btn-chip tag-filters-clear">
+          <i class="fas fa-times" aria-hidden="true"></i> Hapus filter
+        </button>
+      ` : ''}
+    `;
+  }
+
+  setSortValue(sortBy) {
+    const sortSelect = document.getElementById('favoritesSort');
+    if (sortSelect) {
+      sortSelect.value = sortBy;
+    }
+  }
+
+  // === IMPORT ===
+
+  _toggleImportPanel() {
+    const section = document.getElementById('favoritesImport');
+    if (!section) return;
+
+    section.hidden = !section.hidden;
+    if (!section.hidden && !this.importPanel) {
+      this.importPanel = new window.FavoritesImportPanel({
+        container: section,
+        onFileSelected: (file) => this.presenter && this.presenter.previewImport(file),
+        onConfirm: (options) => this.presenter && this.presenter.confirmImport(options),
+        onCancel: () => this.presenter && this.presenter.cancelImport()
+      });
+      this.importPanel.render();
+    }
+  }
+
+  showImportPreview(preview) {
+    if (this.importPanel) this.importPanel.showPreview(preview);
+  }
+
+  showImportSummary(summary) {
+    if (this.importPanel) this.importPanel.showSummary(summary);
+  }
+
+  showImportError(message) {
+    if (this.importPanel) this.importPanel.showError(message);
+  }
+
+  setImportBusy(isBusy) {
+    if (this.importPanel) this.importPanel.setBusy(isBusy);
   }
 
   // Render daftar favorit
-  renderFavorites(favorites) {
+  renderFavorites(favorites, { collections = [], totalCount = favorites.length, isFiltered = false } = {}) {
     console.log('FavoritesView: Rendering favorites', favorites.length);
     
     this.hideLoading();
-    this.updateFavoritesCount(favorites.length);
+    this.updateFavoritesCount(totalCount);
+    this.collections = collections;
+
+    // URLs from the previous render are no longer shown
+    this._revokeObjectUrls();
+    this.objectUrls = favorites.map(story => story.offlinePhotoUrl).filter(Boolean);
 
     const container = document.getElementById('favoritesContainer');
     
+    if (favorites.length === 0 && isFiltered) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <i class="fas fa-filter"></i>
+          <h3>Tidak Ada yang Cocok</h3>
+          <p>Tidak ada cerita favorit di koleksi atau tag yang dipilih.</p>
+          <button type="button" class="btn btn-show-all">
+            <i class="fas fa-list"></i>
+            Tampilkan Semua
+          </button>
+        </div>
+      `;
+      container.querySelector('.btn-show-all').addEventListener('click', () => {
+        if (this.presenter) {
+          this.presenter.clearFilters();
+        }
+      });
+      return;
+    }
+    
     if (favorites.length === 0) {
       container.innerHTML = `
         <div class="empty-state">
@@ -499,52 +960,141 @@ class FavoritesView {
   }
 
   _createFavoriteCard(story) {
+    const { escape, url } = window.SafeHtml;
     const formattedDate = this._formatDate(story.createdAt);
     const addedDate = this._formatDate(story.addedToFavoritesAt);
+    const storyCollections = this.collections.filter(collection => story.collectionIds.includes(collection.id));
+    const hasDistance = story.distanceKm !== undefined && story.distanceKm !== null;
     
     return `
-      <article class="favorite-story-card" data-story-id="${story.id}">
+      <article class="favorite-story-card" data-story-id="${escape(story.id)}">
         <div class="story-image-container">
-          <img class="story-image" src="${story.photoUrl}" alt="${story.name}" loading="lazy" onerror="this.src='https://via.placeholder.com/400x300?text=No+Image'">
+          <img class="story-image" src="${url(story.offlinePhotoUrl || story.photoUrl)}" alt="${escape(story.name)}" loading="lazy" onerror="this.src='https://via.placeholder.com/400x300?text=No+Image'">
           <div class="favorite-badge">
             <i class="fas fa-heart"></i>
           </div>
         </div>
         <div class="story-content">
-          <h3 class="story-title">${story.name}</h3>
-          <div class="story-description">${story.description}</div>
+          <h3 class="story-title">${escape(story.name)}</h3>
+          <div class="story-description">${escape(story.description)}</div>
           <div class="story-meta">
             <span><i class="fas fa-calendar"></i> ${formattedDate}</span>
             <span><i class="fas fa-heart"></i> ${addedDate}</span>
+            ${hasDistance ? `<span><i class="fas fa-location-arrow"></i> ${window.GeoUtils.formatDistance(story.distanceKm)}</span>` : ''}
           </div>
+          ${storyCollections.length || story.tags.length ? `
+            <div class="favorite-chips">
+              ${storyCollections.map(collection => `
+                <span class="favorite-chip favorite-chip-collection"><i class="fas fa-folder" aria-hidden="true"></i> ${escape(collection.name)}</span>
+              `).join('')}
+              ${story.tags.map(tag => `<span class="favorite-chip">#${escape(tag)}</span>`).join('')}
+            </div>
+          ` : ''}
+          ${story.note ? `
+            <p class="favorite-note"><i class="fas fa-sticky-note" aria-hidden="true"></i> ${escape(story.note)}</p>
+          ` : ''}
           <div class="story-actions">
             ${story.lat && story.lon ? `
-              <button class="btn btn-view-map" data-lat="${story.lat}" data-lon="${story.lon}">
+              <button class="btn btn-view-map" data-lat="${escape(story.lat)}" data-lon="${escape(story.lon)}">
                 <i class="fas fa-map-pin"></i>
                 Lihat di Peta
               </button>
             ` : ''}
-            <button class="btn btn-remove" data-story-id="${story.id}">
+            <button class="btn btn-edit-details" aria-expanded="false" aria-controls="editor-${escape(story.id)}">
+              <i class="fas fa-tags"></i>
+              Atur
+            </button>
+            <button class="btn btn-remove" data-story-id="${escape(story.id)}">
               <i class="fas fa-trash"></i>
               Hapus
             </button>
           </div>
+          ${this._createDetailsEditor(story)}
         </div>
       </article>
     `;
   }
 
+  // Form catatan pribadi, tag dan koleksi di dalam kartu
+  _createDetailsEditor(story) {
+    const { escape } = window.SafeHtml;
+
+    return `
+      <form class="favorite-editor" id="editor-${escape(story.id)}" data-story-id="${escape(story.id)}" hidden>
+        <label>
+          Catatan pribadi
+          <textarea name="note" rows="3" maxlength="1000" placeholder="Hanya terlihat oleh Anda">${escape(story.note)}</textarea>
+        </label>
+        <label>
+          Tag (pisahkan dengan koma)
+          <input type="text" name="tags" value="${escape(story.tags.join(', '))}" placeholder="kuliner, pantai">
+        </label>
+        <fieldset>
+          <legend>Koleksi</legend>
+          ${this.collections.length ? this.collections.map(collection => `
+            <label>
+              <input type="checkbox" name="collectionIds" value="${escape(collection.id)}"
+                     ${story.collectionIds.includes(collection.id) ? 'checked' : ''}>
+              ${escape(collection.name)}
+            </label>
+          `).join('') : '<p class="tag-filters-hint">Belum ada koleksi. Buat lewat tombol + Koleksi di atas.</p>'}
+        </fieldset>
+        <div class="editor-actions">
+          <button type="submit" class="btn-chip btn-chip-primary">Simpan</button>
+          <button type="button" class="btn-chip btn-editor-cancel">Batal</button>
+        </div>
+      </form>
+    `;
+  }
+
+  _revokeObjectUrls() {
+    this.objectUrls.forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+    this.objectUrls = [];
+  }
+
   _setupCardEventListeners() {
     // Remove buttons
     document.querySelectorAll('.btn-remove').forEach(btn => {
       btn.addEventListener('click', (e) => {
         const storyId = e.target.closest('.btn-remove').getAttribute('data-story-id');
-        if (this.presenter && confirm('Apakah Anda yakin ingin menghapus cerita ini dari favorit?')) {
+        if (this.presenter) {
+          e.target.closest('.btn-remove').disabled = true;
           this.presenter.removeFavorite(storyId);
         }
       });
     });
 
+    // Note/tag/collection editors
+    document.querySelectorAll('.btn-edit-details').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const editor = btn.closest('.favorite-story-card').querySelector('.favorite-editor');
+        editor.hidden = !editor.hidden;
+        btn.setAttribute('aria-expanded', String(!editor.hidden));
+        if (!editor.hidden) {
+          editor.querySelector('textarea').focus();
+        }
+      });
+    });
+
+    document.querySelectorAll('.favorite-editor').forEach(form => {
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (!this.presenter) return;
+
+        this.presenter.saveFavoriteDetails(form.getAttribute('data-story-id'), {
+          note: form.elements.note.value,
+          tags: form.elements.tags.value,
+          collectionIds: [...form.querySelectorAll('input[name="collectionIds"]:checked')].map(input => input.value)
+        });
+      });
+
+      form.querySelector('.btn-editor-cancel').addEventListener('click', () => {
+        form.reset();
+        form.hidden = true;
+        form.closest('.favorite-story-card').querySelector('.btn-edit-details').setAttribute('aria-expanded', 'false');
+      });
+    });
+
     // View on map buttons
     document.querySelectorAll('.btn-view-map').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -557,6 +1107,16 @@ class FavoritesView {
     });
   }
 
+  // Fade the card out before the list is re-rendered without it
+  animateCardRemoval(storyId) {
+    const card = [...document.querySelectorAll('.favorite-story-card')]
+      .find(item => item.getAttribute('data-story-id') === storyId);
+    if (!card) return Promise.resolve();
+
+    card.style.animation = 'fadeOut 0.3s ease forwards';
+    return new Promise(resolve => setTimeout(resolve, 300));
+  }
+
   updateFavoritesCount(count) {
     const countElement = document.getElementById('favoritesCount');
     if (countElement) {
@@ -585,7 +1145,7 @@ class FavoritesView {
       <div class="empty-state">
         <i class="fas fa-exclamation-circle"></i>
         <h3>Terjadi Kesalahan</h3>
-        <p>${message}</p>
+        <p>${window.SafeHtml.escape(message)}</p>
         <button class="btn" onclick="window.location.reload()">
           <i class="fas fa-redo"></i>
           Coba Lagi
@@ -598,6 +1158,11 @@ class FavoritesView {
     this._showToast(message, 'success');
   }
 
+  // Error for a single action; unlike showError it keeps the list on screen
+  showActionError(message) {
+    this._showToast(message, 'error');
+  }
+
   _showToast(message, type = 'info') {
     const existing = document.querySelector('.favorites-toast');
     if (existing) existing.remove();
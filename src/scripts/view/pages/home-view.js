@@ -6,6 +6,12 @@ class HomeView {
     this.markers = [];
     this.storiesContainer = null;
     this.loadingIndicator = null;
+    this.feedSentinel = null;
+    this.feedObserver = null;
+    this.renderedStoryIds = new Set();
+    this.freshness = null;
+    this.freshnessTimer = null;
+    this.searchTimer = null;
   }
 
   setPresenter(presenter) {
@@ -33,12 +39,54 @@ class HomeView {
       <section class="stories-section">
         <div class="container">
           <h2 class="section-title">Cerita Terbaru</h2>
+          <form class="feed-search" id="feedSearch" role="search" novalidate>
+            <div class="feed-search-bar">
+              <label for="searchQuery" class="visually-hidden">Cari cerita</label>
+              <i class="fas fa-search" aria-hidden="true"></i>
+              <input type="search" id="searchQuery" placeholder="Cari nama atau isi cerita..." autocomplete="off">
+              <label for="searchSort" class="visually-hidden">Urutkan</label>
+              <select id="searchSort">
+                <option value="terbaru">Terbaru</option>
+                <option value="terlama">Terlama</option>
+                <option value="terdekat">Terdekat</option>
+              </select>
+              <button type="button" class="btn-near-me" id="nearMeToggle" aria-pressed="false" aria-label="Di dekat saya" title="Urutkan dari yang terdekat">
+                <i class="fas fa-location-arrow" aria-hidden="true"></i>
+                <span>Di dekat saya</span>
+              </button>
+            </div>
+            <div class="feed-search-filters">
+              <label class="feed-filter-check">
+                <input type="checkbox" id="searchHasLocation"> Punya lokasi
+              </label>
+              <label>Dari <input type="date" id="searchFrom"></label>
+              <label>Sampai <input type="date" id="searchTo"></label>
+              <label>Penulis <input type="text" id="searchAuthor" list="searchAuthors" autocomplete="off"></label>
+              <datalist id="searchAuthors"></datalist>
+            </div>
+            <p class="search-error" id="searchError" role="alert" hidden></p>
+          </form>
+          <div class="search-summary" id="searchSummary" role="status" hidden></div>
+          <p class="feed-freshness" id="feedFreshness" role="status" hidden></p>
           <div class="stories-grid" id="storiesContainer">
             <div class="loading-indicator" id="loadingIndicator">
               <i class="fas fa-spinner fa-spin" aria-hidden="true"></i>
               <span>Memuat cerita...</span>
             </div>
           </div>
+          <div class="feed-sentinel" id="feedSentinel" aria-live="polite" hidden>
+            <div class="feed-loader" id="feedLoader">
+              <i class="fas fa-spinner fa-spin" aria-hidden="true"></i>
+              <span>Memuat cerita berikutnya...</span>
+            </div>
+            <button type="button" class="btn btn-primary" id="loadMoreButton" hidden>
+              Muat Lebih Banyak
+            </button>
+            <p class="feed-end" id="feedEnd" hidden>
+              <i class="fas fa-check-circle" aria-hidden="true"></i>
+              Anda sudah melihat semua cerita
+            </p>
+          </div>
         </div>
       </section>
     `;
@@ -49,6 +97,7 @@ class HomeView {
     // Initialize elements
     this.storiesContainer = document.getElementById('storiesContainer');
     this.loadingIndicator = document.getElementById('loadingIndicator');
+    this.feedSentinel = document.getElementById('feedSentinel');
     
     // Ensure elements are found
     if (!this.storiesContainer) {
@@ -62,6 +111,25 @@ class HomeView {
     // Show loading state
     this.showLoading();
     
+    // Watch the sentinel to load further pages
+    this._setupInfiniteScroll();
+    
+    // Refresh the feed when queued offline stories get uploaded
+    this._setupSyncListener();
+    
+    // Search bar and filters
+    this._setupSearch();
+    
+    // "Lihat di Peta" on a <story-card> opens the map at that story
+    if (this.storiesContainer) {
+      this.storiesContainer.addEventListener('story-location-click', (event) => {
+        const { lat, lon } = event.detail;
+        if (window.router) {
+          window.router.navigateTo(`/peta?lat=${lat}&lon=${lon}`);
+        }
+      });
+    }
+    
     // Request stories from presenter with a slight delay to ensure DOM is ready
     setTimeout(() => {
       if (this.presenter) {
@@ -74,12 +142,13 @@ class HomeView {
     }, 100);
   }
 
-  // Method to display loaded stories
+  // Method to display loaded stories (first page, replaces the feed)
   renderStories(stories) {
     console.log('HomeView.renderStories called with', stories ? stories.length : 0, 'stories');
     
     // Hide loading indicator
     this.hideLoading();
+    this.renderedStoryIds.clear();
     
     // Check if stories exist
     if (!stories || stories.length === 0) {
@@ -90,38 +159,378 @@ class HomeView {
     // Clear container
     if (this.storiesContainer) {
       this.storiesContainer.innerHTML = '';
+      this.appendStories(stories);
+    } else {
+      console.error('storiesContainer is not defined');
+    }
+  }
+  
+  // Method to append the next page, skipping stories already on screen
+  appendStories(stories) {
+    if (!this.storiesContainer || !stories) return;
+    
+    const fragment = document.createDocumentFragment();
+    
+    stories.forEach(story => {
+      if (this.renderedStoryIds.has(story.id)) return;
       
-      // Render each story
-      stories.forEach(story => {
-        const storyCard = document.createElement('div');
-        storyCard.className = 'story-card';
-        storyCard.innerHTML = `
-          <div class="story-image">
-            <img src="${story.photoUrl}" alt="Cerita dari ${story.name}" onerror="this.src='https://via.placeholder.com/400x300?text=No+Image'">
-          </div>
-          <div class="story-content">
-            <h3>${story.name}</h3>
-            <p>${story.description ? story.description.substring(0, 80) + (story.description.length > 80 ? '...' : '') : 'Tidak ada deskripsi'}</p>
-            <div class="story-meta">
-              <div class="author">
-                <i class="fas fa-user"></i> ${story.name}
-              </div>
-              <div class="date">
-                <i class="fas fa-calendar"></i> ${this._formatDate(story.createdAt)}
-              </div>
-            </div>
-          </div>
-        `;
-        this.storiesContainer.appendChild(storyCard);
+      this.renderedStoryIds.add(story.id);
+      fragment.appendChild(this._createStoryCard(story));
+    });
+    
+    console.log('HomeView.appendStories added', fragment.childNodes.length, 'new stories');
+    this.storiesContainer.appendChild(fragment);
+  }
+  
+  // <story-card> renders the card and owns its favorite button, keyed by
+  // the real story id
+  _createStoryCard(story) {
+    const storyCard = document.createElement('story-card');
+    storyCard.story = story;
+    return storyCard;
+  }
+  
+  // Infinite scroll: ask for the next page when the sentinel comes into view
+  _setupInfiniteScroll() {
+    if (!this.feedSentinel) return;
+    
+    const loadMoreButton = document.getElementById('loadMoreButton');
+    
+    if (!('IntersectionObserver' in window)) {
+      // Fallback for browsers without IntersectionObserver
+      if (loadMoreButton) {
+        loadMoreButton.hidden = false;
+        loadMoreButton.addEventListener('click', () => {
+          if (this.presenter) {
+            this.presenter.loadMoreStories();
+          }
+        });
+      }
+      return;
+    }
+    
+    this.feedObserver = new IntersectionObserver((entries) => {
+      const isVisible = entries.some(entry => entry.isIntersecting);
+      if (isVisible && this.presenter) {
+        this.presenter.loadMoreStories();
+      }
+    }, { rootMargin: '200px 0px' });
+    
+    this.feedObserver.observe(this.feedSentinel);
+    
+    // Stop observing once the user leaves the page
+    window.addEventListener('hashchange', () => this.destroy(), { once: true });
+  }
+  
+  // Typing is debounced; the other controls apply right away
+  _setupSearch() {
+    const form = document.getElementById('feedSearch');
+    if (!form) return;
+    
+    const field = (id) => document.getElementById(id);
+    const debounced = (read) => () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this._updateSearch(read()), 300);
+    };
+    
+    field('searchQuery').addEventListener('input', debounced(() => ({ q: field('searchQuery').value.trim() })));
+    field('searchAuthor').addEventListener('input', debounced(() => ({ author: field('searchAuthor').value.trim() })));
+    field('searchSort').addEventListener('change', (e) => this._updateSearch({ sort: e.target.value }));
+    field('searchHasLocation').addEventListener('change', (e) => this._updateSearch({ hasLocation: e.target.checked }));
+    field('searchFrom').addEventListener('change', (e) => this._updateSearch({ from: e.target.value }));
+    field('searchTo').addEventListener('change', (e) => this._updateSearch({ to: e.target.value }));
+    field('nearMeToggle').addEventListener('click', () => {
+      if (this.presenter) {
+        this.presenter.toggleNearMe();
+      }
+    });
+    
+    // Enter searches immediately
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      clearTimeout(this.searchTimer);
+      this._updateSearch({
+        q: field('searchQuery').value.trim(),
+        author: field('searchAuthor').value.trim()
       });
+    });
+  }
+  
+  _updateSearch(changes) {
+    if (this.presenter) {
+      this.presenter.updateSearch(changes);
+    }
+  }
+  
+  // Fill the search controls, e.g. from '#/?q=..' after a reload
+  setSearchCriteria(criteria) {
+    const field = (id) => document.getElementById(id);
+    if (!field('feedSearch')) return;
+    
+    field('searchQuery').value = criteria.q;
+    field('searchSort').value = criteria.sort;
+    field('searchHasLocation').checked = criteria.hasLocation;
+    field('searchFrom').value = criteria.from;
+    field('searchTo').value = criteria.to;
+    field('searchAuthor').value = criteria.author;
+  }
+  
+  setNearMeActive(isActive) {
+    const toggle = document.getElementById('nearMeToggle');
+    const sort = document.getElementById('searchSort');
+    
+    if (toggle) {
+      toggle.setAttribute('aria-pressed', String(isActive));
+      toggle.classList.toggle('active', isActive);
+    }
+    if (sort && isActive) {
+      sort.value = 'terdekat';
+    }
+  }
+  
+  setAuthorSuggestions(names) {
+    const list = document.getElementById('searchAuthors');
+    if (!list) return;
+    
+    list.innerHTML = names
+      .map(name => `<option value="${window.SafeHtml.escape(name)}"></option>`)
+      .join('');
+  }
+  
+  // summary: null (no search), { isSearching } or { count, total, isOffline }
+  renderSearchSummary(summary) {
+    const element = document.getElementById('searchSummary');
+    if (!element) return;
+    
+    this._toggleFeedElement('searchError', false);
+    
+    if (!summary) {
+      element.hidden = true;
+      element.innerHTML = '';
+      return;
+    }
+    
+    if (summary.isSearching) {
+      element.innerHTML = `<i class="fas fa-spinner fa-spin" aria-hidden="true"></i> Mencari cerita...`;
     } else {
-      console.error('storiesContainer is not defined');
+      const source = summary.isOffline ? ' di cerita tersimpan (offline)' : '';
+      element.innerHTML = `
+        <span>${summary.count} dari ${summary.total} cerita cocok${source}</span>
+        <button type="button" class="btn-clear-search">
+          <i class="fas fa-times" aria-hidden="true"></i> Hapus pencarian
+        </button>
+      `;
+      element.querySelector('.btn-clear-search').addEventListener('click', () => {
+        if (this.presenter) {
+          this.presenter.clearSearch();
+        }
+      });
     }
+    
+    element.hidden = false;
+  }
+  
+  renderNoSearchResults() {
+    this.hideLoading();
+    this.renderedStoryIds.clear();
+    
+    if (this.feedSentinel) {
+      this.feedSentinel.hidden = true;
+    }
+    
+    if (this.storiesContainer) {
+      this.storiesContainer.innerHTML = `
+        <div class="empty-state">
+          <i class="fas fa-search fa-3x" aria-hidden="true"></i>
+          <h3>Tidak ada cerita yang cocok</h3>
+          <p>Coba kata kunci lain atau longgarkan filternya.</p>
+        </div>
+      `;
+    }
+  }
+  
+  showSearchError(message) {
+    const element = document.getElementById('searchError');
+    if (element) {
+      element.textContent = message;
+      element.hidden = false;
+    }
+  }
+  
+  _setupSyncListener() {
+    const onSynced = (event) => {
+      if (event.detail && event.detail.uploaded > 0 && this.presenter) {
+        console.log('HomeView: Offline stories uploaded, refreshing feed');
+        this.presenter.loadStories();
+      }
+    };
+    
+    const onSearchSourceStale = () => {
+      if (this.presenter) {
+        this.presenter.refreshSearchSource();
+      }
+    };
+    
+    window.addEventListener('offlineStoriesSynced', onSynced);
+    window.addEventListener('online', onSearchSourceStale);
+    window.addEventListener('outboxChanged', onSearchSourceStale);
+    window.addEventListener('hashchange', () => {
+      window.removeEventListener('offlineStoriesSynced', onSynced);
+      window.removeEventListener('online', onSearchSourceStale);
+      window.removeEventListener('outboxChanged', onSearchSourceStale);
+    }, { once: true });
+  }
+  
+  showLoadingMore() {
+    if (!this.feedSentinel) return;
+    
+    this.feedSentinel.hidden = false;
+    this._toggleFeedElement('feedLoader', true);
+    this._toggleFeedElement('feedEnd', false);
+    this._removeLoadMoreError();
+  }
+  
+  hideLoadingMore() {
+    if (!this.feedSentinel) return;
+    
+    this.feedSentinel.hidden = false;
+    this._toggleFeedElement('feedLoader', false);
+    
+    // Re-observe so a sentinel that is still on screen triggers the next page
+    if (this.feedObserver) {
+      this.feedObserver.unobserve(this.feedSentinel);
+      this.feedObserver.observe(this.feedSentinel);
+    }
+  }
+  
+  renderEndOfFeed() {
+    if (!this.feedSentinel) return;
+    
+    this.feedSentinel.hidden = false;
+    this._toggleFeedElement('feedLoader', false);
+    this._toggleFeedElement('loadMoreButton', false);
+    // Only announce the end when there is a feed to end
+    this._toggleFeedElement('feedEnd', this.renderedStoryIds.size > 0);
+    
+    if (this.feedObserver) {
+      this.feedObserver.disconnect();
+    }
+  }
+  
+  renderLoadMoreError(message) {
+    if (!this.feedSentinel) return;
+    
+    this._toggleFeedElement('feedLoader', false);
+    this._removeLoadMoreError();
+    
+    const error = document.createElement('div');
+    error.className = 'error-message feed-error';
+    error.innerHTML = `
+      <p>Error: ${window.SafeHtml.escape(message)}</p>
+      <button type="button" class="btn btn-primary">Coba Lagi</button>
+    `;
+    error.querySelector('button').addEventListener('click', () => {
+      if (this.presenter) {
+        this.presenter.loadMoreStories();
+      }
+    });
+    this.feedSentinel.appendChild(error);
+  }
+  
+  _removeLoadMoreError() {
+    const error = this.feedSentinel?.querySelector('.feed-error');
+    if (error) {
+      error.remove();
+    }
+  }
+  
+  // Show how old the feed on screen is:
+  // { fetchedAt, fromCache, isOffline, isRefreshing }
+  renderFreshness(freshness) {
+    const banner = document.getElementById('feedFreshness');
+    if (!banner) return;
+    
+    this.freshness = freshness;
+    
+    // Fresh network data without a timestamp needs no banner
+    if (!freshness || (!freshness.fromCache && !freshness.fetchedAt)) {
+      banner.hidden = true;
+      return;
+    }
+    
+    const age = freshness.fetchedAt ? this._formatAge(freshness.fetchedAt) : null;
+    let icon = 'fa-clock';
+    let text = age ? `Diperbarui ${age}` : 'Data tersimpan';
+    
+    if (freshness.isRefreshing) {
+      icon = 'fa-sync-alt fa-spin';
+      text += ' · Memperbarui...';
+    } else if (freshness.isOffline) {
+      icon = 'fa-wifi';
+      text += ' · Anda sedang offline';
+    } else if (freshness.fromCache) {
+      icon = 'fa-exclamation-circle';
+      text += ' · Gagal memuat data terbaru';
+    }
+    
+    banner.className = 'feed-freshness' + (freshness.fromCache && !freshness.isRefreshing ? ' feed-freshness-stale' : '');
+    banner.innerHTML = `<i class="fas ${icon}" aria-hidden="true"></i> ${text}`;
+    banner.hidden = false;
+    
+    this._startFreshnessTimer();
+  }
+  
+  // Keep the "N menit yang lalu" text current while the page stays open
+  _startFreshnessTimer() {
+    if (this.freshnessTimer) return;
+    
+    this.freshnessTimer = setInterval(() => {
+      if (this.freshness) {
+        this.renderFreshness(this.freshness);
+      }
+    }, 60000);
+  }
+  
+  _formatAge(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    
+    if (minutes < 1) return 'baru saja';
+    if (minutes < 60) return `${minutes} menit yang lalu`;
+    
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} jam yang lalu`;
+    
+    return `${Math.floor(hours / 24)} hari yang lalu`;
+  }
+  
+  _toggleFeedElement(id, visible) {
+    const element = document.getElementById(id);
+    if (element) {
+      element.hidden = !visible;
+    }
+  }
+  
+  destroy() {
+    if (this.feedObserver) {
+      this.feedObserver.disconnect();
+      this.feedObserver = null;
+    }
+    
+    if (this.freshnessTimer) {
+      clearInterval(this.freshnessTimer);
+      this.freshnessTimer = null;
+    }
+    
+    clearTimeout(this.searchTimer);
   }
   
   // Method to display empty state when no stories exist
   renderEmptyState() {
     console.log('HomeView.renderEmptyState called');
+    if (this.feedSentinel) {
+      this.feedSentinel.hidden = true;
+    }
+    
     if (this.storiesContainer) {
       this.storiesContainer.innerHTML = `
         <div class="empty-state">
@@ -144,7 +553,7 @@ class HomeView {
     if (this.storiesContainer) {
       this.storiesContainer.innerHTML = `
         <div class="error-message">
-          <p>Error: ${message || 'Unable to load stories'}</p>
+          <p>Error: ${window.SafeHtml.escape(message || 'Unable to load stories')}</p>
           <button id="retryButton" class="btn btn-primary">Coba Lagi</button>
         </div>
       `;
@@ -163,18 +572,6 @@ class HomeView {
     }
   }
 
-  _formatDate(dateString) {
-    if (!dateString) return 'Tanggal tidak tersedia';
-    
-    try {
-      const options = { day: 'numeric', month: 'long', year: 'numeric' };
-      return new Date(dateString).toLocaleDateString('id-ID', options);
-    } catch (error) {
-      console.error('Error formatting date:', error);
-      return dateString;
-    }
-  }
-
   showLoading() {
     console.log('HomeView.showLoading called');
     if (this.loadingIndicator) {
@@ -267,6 +664,15 @@ class HomeView {
           font-size: 1.25rem;
         }
         
+        .story-content h3 a {
+          color: inherit;
+          text-decoration: none;
+        }
+        
+        .story-content h3 a:hover {
+          color: var(--color-primary, #4299e1);
+        }
+        
         .story-content p {
           color: #4a5568;
           margin-bottom: 1rem;
@@ -415,6 +821,176 @@ class HomeView {
           100% { transform: rotate(360deg); }
         }
         
+        /* Search */
+        .feed-search {
+          margin-bottom: 1.5rem;
+        }
+        
+        .feed-search-bar {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          padding: 0.5rem 0.75rem;
+          background: white;
+          border: 1px solid #e2e8f0;
+          border-radius: 10px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.05);
+        }
+        
+        .feed-search-bar:focus-within {
+          border-color: var(--color-primary, #4299e1);
+        }
+        
+        .feed-search-bar i {
+          color: #a0aec0;
+        }
+        
+        .feed-search-bar input {
+          flex: 1;
+          min-width: 0;
+          border: none;
+          padding: 0.5rem 0;
+          font-size: 1rem;
+          background: transparent;
+        }
+        
+        .feed-search-bar input:focus {
+          outline: none;
+        }
+        
+        .feed-search-bar select {
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+          padding: 0.4rem 0.5rem;
+          background: #f7fafc;
+        }
+        
+        .btn-near-me {
+          display: flex;
+          align-items: center;
+          gap: 0.4rem;
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+          padding: 0.4rem 0.75rem;
+          background: #f7fafc;
+          color: #4a5568;
+          cursor: pointer;
+          white-space: nowrap;
+        }
+        
+        .btn-near-me i {
+          color: inherit;
+        }
+        
+        .btn-near-me.active {
+          background: var(--color-primary, #4299e1);
+          border-color: var(--color-primary, #4299e1);
+          color: white;
+        }
+        
+        .feed-search-filters {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 0.75rem 1.25rem;
+          margin-top: 0.75rem;
+          font-size: 0.9rem;
+          color: #4a5568;
+        }
+        
+        .feed-search-filters label {
+          display: flex;
+          align-items: center;
+          gap: 0.4rem;
+        }
+        
+        .feed-search-filters input[type="date"],
+        .feed-search-filters input[type="text"] {
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+          padding: 0.3rem 0.5rem;
+        }
+        
+        .search-error {
+          margin: 0.75rem 0 0;
+          color: #e53e3e;
+          font-size: 0.9rem;
+        }
+        
+        .search-summary {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          justify-content: space-between;
+          gap: 0.5rem;
+          margin-bottom: 1rem;
+          color: #4a5568;
+        }
+        
+        .btn-clear-search {
+          border: none;
+          background: none;
+          color: var(--color-primary, #4299e1);
+          cursor: pointer;
+          font-size: 0.9rem;
+        }
+        
+        .btn-clear-search:hover {
+          text-decoration: underline;
+        }
+        
+        /* Infinite Feed */
+        .feed-freshness {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          margin: -0.5rem 0 1rem;
+          font-size: 0.9rem;
+          color: #718096;
+        }
+        
+        .feed-freshness-stale {
+          padding: 0.5rem 0.75rem;
+          border-radius: 6px;
+          background: #fffaf0;
+          color: #c05621;
+        }
+        
+        .feed-sentinel {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 1rem;
+          padding: 2rem 0;
+          min-height: 1px;
+        }
+        
+        .feed-loader {
+          display: flex;
+          align-items: center;
+          gap: 0.75rem;
+          color: #718096;
+        }
+        
+        .feed-loader i {
+          color: var(--color-primary, #4299e1);
+        }
+        
+        .feed-end {
+          color: #718096;
+          font-size: 0.95rem;
+        }
+        
+        .feed-end i {
+          color: #48bb78;
+          margin-right: 0.25rem;
+        }
+        
+        /* Feed parts set their own display, which would beat [hidden] */
+        .stories-section [hidden] {
+          display: none !important;
+        }
+        
         /* Empty State */
         .empty-state {
           text-align: center;
@@ -466,6 +1042,14 @@ class HomeView {
             grid-template-columns: 1fr;
           }
           
+          .feed-search-bar {
+            flex-wrap: wrap;
+          }
+          
+          .btn-near-me span {
+            display: none;
+          }
+          
           .story-map {
             height: 300px;
           }
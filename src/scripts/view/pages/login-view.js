@@ -291,7 +291,7 @@ class LoginView {
 
         const alert = document.createElement('div');
         alert.className = 'alert alert-danger';
-        alert.innerHTML = `${message}`;
+        alert.textContent = message;
         
         alertContainer.appendChild(alert);
 
@@ -313,7 +313,7 @@ class LoginView {
 
         const alert = document.createElement('div');
         alert.className = 'alert alert-success';
-        alert.innerHTML = `${message}`;
+        alert.textContent = message;
         
         alertContainer.appendChild(alert);
 
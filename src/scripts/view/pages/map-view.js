@@ -3,7 +3,12 @@ class MapView {
     this._container = document.querySelector('#mainContent');
     this._map = null;
     this._markers = [];
+    this._markersById = new Map();
+    this._clusterGroup = null;
     this._presenter = null;
+    this._ignoreNextMove = false;
+    this._userLocationLayer = null;
+    this._radiusCircle = null;
   }
 
   setPresenter(presenter) {
@@ -12,35 +17,87 @@ class MapView {
 
   render() {
     console.log('Rendering map page');
-    
+
     // Clear existing content
     this._container.innerHTML = '';
-    
-    // Create map container
+
+    // Create map container with the story list sidebar
     this._container.innerHTML = `
       <section class="map-section view-transition" style="margin-top: 100px;">
         <div class="container">
           <h2 class="section-title">Peta Cerita</h2>
-          <div id="storyMap" style="height: 500px;"></div>
+          <div class="map-layout">
+            <div class="map-canvas">
+              <div id="storyMap" style="height: 500px;"></div>
+              <button type="button" id="searchAreaBtn" class="btn btn-primary map-search-area" hidden>
+                <i class="fas fa-search-location" aria-hidden="true"></i> Cari di area ini
+              </button>
+              <div class="map-near-me">
+                <button type="button" id="nearMeBtn" class="map-near-me-btn" aria-pressed="false">
+                  <i class="fas fa-location-arrow" aria-hidden="true"></i>
+                  <span>Di dekat saya</span>
+                </button>
+                <label for="radiusSelect" class="visually-hidden">Radius pencarian</label>
+                <select id="radiusSelect" disabled>
+                  <option value="">Semua jarak</option>
+                  <option value="1">1 km</option>
+                  <option value="5">5 km</option>
+                  <option value="10">10 km</option>
+                  <option value="25">25 km</option>
+                  <option value="50">50 km</option>
+                </select>
+              </div>
+              <p id="nearMeStatus" class="map-near-me-status" role="alert" hidden></p>
+            </div>
+            <aside class="map-sidebar" aria-label="Daftar cerita di peta">
+              <div class="map-sidebar-header">
+                <p id="mapStoryCount" role="status">Memuat cerita...</p>
+                <button type="button" id="resetAreaBtn" class="btn map-reset-area" hidden>
+                  <i class="fas fa-times" aria-hidden="true"></i> Tampilkan semua
+                </button>
+              </div>
+              <ul id="mapStoryList" class="map-story-list"></ul>
+            </aside>
+          </div>
         </div>
       </section>
     `;
-    
+
+    this._addStyles();
+    this._initSidebarControls();
+
     // Initialize map with a slight delay to ensure DOM is ready
     setTimeout(() => {
       this._initMap();
     }, 100);
   }
-  
+
   _initMap() {
     console.log('Initializing map');
     try {
       this._map = L.map('storyMap').setView([-2.5489, 118.0149], 5);
-      
+
       L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
         attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
       }).addTo(this._map);
-      
+
+      // Group nearby markers; plain layer group if the plugin failed to load
+      this._clusterGroup = typeof L.markerClusterGroup === 'function'
+        ? L.markerClusterGroup({ showCoverageOnHover: false, maxClusterRadius: 60 })
+        : L.layerGroup();
+      this._clusterGroup.addTo(this._map);
+
+      // Keep the sidebar in sync with what is visible on the map
+      this._map.on('moveend', () => {
+        this._notifyViewportChanged();
+
+        if (this._ignoreNextMove) {
+          this._ignoreNextMove = false;
+          return;
+        }
+        this._toggleElement('searchAreaBtn', true);
+      });
+
       // Request stories from the presenter
       if (this._presenter) {
         this._presenter.loadStoriesForMap();
@@ -51,52 +108,341 @@ class MapView {
       console.error('Error initializing map:', error);
     }
   }
-  
+
+  _initSidebarControls() {
+    const searchAreaBtn = document.getElementById('searchAreaBtn');
+    if (searchAreaBtn) {
+      searchAreaBtn.addEventListener('click', () => {
+        this._toggleElement('searchAreaBtn', false);
+        if (this._presenter && this._map) {
+          this._presenter.searchArea(this.getVisibleBounds());
+        }
+      });
+    }
+
+    const resetAreaBtn = document.getElementById('resetAreaBtn');
+    if (resetAreaBtn) {
+      resetAreaBtn.addEventListener('click', () => {
+        if (this._presenter) {
+          this._presenter.clearAreaFilter();
+        }
+      });
+    }
+
+    const nearMeBtn = document.getElementById('nearMeBtn');
+    if (nearMeBtn) {
+      nearMeBtn.addEventListener('click', () => {
+        if (this._presenter && this._map) {
+          this._presenter.toggleNearMe();
+        }
+      });
+    }
+
+    const radiusSelect = document.getElementById('radiusSelect');
+    if (radiusSelect) {
+      radiusSelect.addEventListener('change', () => {
+        if (this._presenter) {
+          this._presenter.setRadius(parseFloat(radiusSelect.value) || null);
+        }
+      });
+    }
+
+    const list = document.getElementById('mapStoryList');
+    if (list) {
+      list.addEventListener('click', (event) => {
+        const item = event.target.closest('[data-story-id]');
+        if (item) {
+          this.focusStory(item.dataset.storyId);
+        }
+      });
+    }
+  }
+
   displayStories(stories) {
     console.log('MapView: Displaying stories on map');
     if (!this._map) {
       console.error('Map not initialized');
       return;
     }
-    
+
     // Clear existing markers
     this._clearMarkers();
-    
-    // Add new markers
-    stories.filter(story => story.lat && story.lon).forEach(story => {
+
+    // Add new markers in one batch so the cluster layer only recalculates once
+    const markers = stories.filter(story => window.GeoUtils.hasCoordinates(story)).map(story => {
       const marker = L.marker([story.lat, story.lon])
-        .addTo(this._map)
-        .bindPopup(`
-          <h3>${story.name}</h3>
-          <p>${story.description}</p>
-          <img src="${story.photoUrl}" alt="${story.name}" style="width:100%;max-width:200px;">
-        `);
-      
-      this._markers.push(marker);
+        .bindPopup(() => this._createPopupContent(story));
+
+      this._markersById.set(story.id, marker);
+      return marker;
     });
+
+    if (typeof this._clusterGroup.addLayers === 'function') {
+      this._clusterGroup.addLayers(markers);
+    } else {
+      markers.forEach(marker => this._clusterGroup.addLayer(marker));
+    }
+    this._markers = markers;
+
+    this._notifyViewportChanged();
   }
-  
-  _clearMarkers() {
-    this._markers.forEach(marker => {
-      if (this._map) {
-        this._map.removeLayer(marker);
+
+  // Popup dibangun dengan textContent supaya isi cerita tidak dieksekusi sebagai HTML
+  _createPopupContent(story) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'map-popup';
+
+    const title = document.createElement('h3');
+    title.textContent = story.name;
+
+    const description = document.createElement('p');
+    description.textContent = story.description;
+
+    const image = document.createElement('img');
+    image.src = story.photoUrl;
+    image.alt = `Cerita dari ${story.name}`;
+    image.style.cssText = 'width:100%;max-width:200px;';
+
+    const link = document.createElement('a');
+    link.href = `#/cerita/${encodeURIComponent(story.id)}`;
+    link.textContent = 'Lihat detail';
+
+    wrapper.append(title, description, image, link);
+    return wrapper;
+  }
+
+  // Isi sidebar dengan cerita yang terlihat di peta
+  renderStoryList(stories, { total, isAreaFilter = false, radiusKm = null } = {}) {
+    const list = document.getElementById('mapStoryList');
+    const count = document.getElementById('mapStoryCount');
+    if (!list) return;
+
+    if (count) {
+      const radius = radiusKm ? ` dalam radius ${radiusKm} km` : '';
+      count.textContent = isAreaFilter
+        ? `${stories.length} dari ${total} cerita${radius} di area yang dicari`
+        : `${stories.length} dari ${total} cerita${radius} terlihat di peta`;
+    }
+
+    const fragment = document.createDocumentFragment();
+    stories.forEach(story => {
+      const item = document.createElement('li');
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'map-story-item';
+      button.dataset.storyId = story.id;
+
+      const name = document.createElement('strong');
+      name.textContent = story.name;
+
+      const description = document.createElement('span');
+      description.textContent = story.description;
+
+      button.append(name, description);
+
+      if (typeof story.distanceKm === 'number') {
+        const distance = document.createElement('small');
+        distance.className = 'map-story-distance';
+        distance.textContent = `${window.GeoUtils.formatDistance(story.distanceKm)} dari Anda`;
+        button.appendChild(distance);
       }
+      item.appendChild(button);
+      fragment.appendChild(item);
     });
+
+    list.innerHTML = '';
+    list.appendChild(fragment);
+
+    if (stories.length === 0) {
+      list.innerHTML = '<li class="map-story-empty">Tidak ada cerita di area ini. Geser atau perkecil peta.</li>';
+    }
+  }
+
+  // Terbang ke marker cerita dan buka popup-nya (membuka cluster bila perlu)
+  focusStory(storyId) {
+    const marker = this._markersById.get(storyId);
+    if (!marker || !this._map) return;
+
+    this._moveMap(() => {
+      if (typeof this._clusterGroup.zoomToShowLayer === 'function') {
+        this._clusterGroup.zoomToShowLayer(marker, () => marker.openPopup());
+      } else {
+        this._map.flyTo(marker.getLatLng(), Math.max(this._map.getZoom(), 14));
+        marker.openPopup();
+      }
+    });
+  }
+
+  // Arahkan peta ke koordinat tertentu, misalnya dari halaman detail cerita
+  focusLocation(lat, lon) {
+    if (!this._map) return;
+
+    this._moveMap(() => this._map.setView([lat, lon], 14));
+  }
+
+  // Titik biru untuk posisi pengguna, dikelilingi lingkaran akurasinya
+  showUserLocation({ lat, lon, accuracy }, { recenter = true } = {}) {
+    if (!this._map) return;
+
+    if (this._userLocationLayer) {
+      this._userLocationLayer.remove();
+    }
+
+    this._userLocationLayer = L.layerGroup([
+      L.circle([lat, lon], {
+        radius: accuracy || 0,
+        color: '#3a86ff',
+        weight: 1,
+        fillOpacity: 0.1,
+        interactive: false
+      }),
+      L.circleMarker([lat, lon], {
+        radius: 8,
+        color: 'white',
+        weight: 3,
+        fillColor: '#3a86ff',
+        fillOpacity: 1
+      }).bindTooltip('Lokasi Anda')
+    ]).addTo(this._map);
+
+    this._toggleElement('nearMeStatus', false);
+
+    if (recenter) {
+      this._moveMap(() => this._map.setView([lat, lon], 12));
+    }
+  }
+
+  // Lingkaran radius di sekitar pengguna; radiusKm null menghapusnya
+  showRadius({ lat, lon }, radiusKm) {
+    if (!this._map) return;
+
+    if (this._radiusCircle) {
+      this._radiusCircle.remove();
+      this._radiusCircle = null;
+    }
+
+    if (!radiusKm) return;
+
+    this._radiusCircle = L.circle([lat, lon], {
+      radius: radiusKm * 1000,
+      color: '#8338ec',
+      weight: 2,
+      dashArray: '6 6',
+      fill: false,
+      interactive: false
+    }).addTo(this._map);
+
+    this._moveMap(() => this._map.fitBounds(this._radiusCircle.getBounds(), { padding: [20, 20] }));
+  }
+
+  // Move the map from code: its moveend must not offer "search this area".
+  // A move that does not start (the map is already there) fires no
+  // moveend, so the flag is dropped instead of eating the user's next pan.
+  _moveMap(move) {
+    let started = false;
+    const onMoveStart = () => {
+      started = true;
+    };
+
+    this._ignoreNextMove = true;
+    this._map.on('movestart', onMoveStart);
+    try {
+      move();
+    } finally {
+      this._map.off('movestart', onMoveStart);
+      if (!started) {
+        this._ignoreNextMove = false;
+      }
+    }
+  }
+
+  clearUserLocation() {
+    [this._userLocationLayer, this._radiusCircle].forEach(layer => layer && layer.remove());
+    this._userLocationLayer = null;
+    this._radiusCircle = null;
+
+    const radiusSelect = document.getElementById('radiusSelect');
+    if (radiusSelect) {
+      radiusSelect.value = '';
+    }
+    this.setNearMeState({ isActive: false, isLocating: false });
+  }
+
+  setNearMeState({ isActive, isLocating }) {
+    const button = document.getElementById('nearMeBtn');
+    const radiusSelect = document.getElementById('radiusSelect');
+
+    if (button) {
+      button.disabled = isLocating;
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-pressed', String(isActive));
+      button.querySelector('span').textContent = isLocating ? 'Mencari lokasi...' : 'Di dekat saya';
+    }
+    if (radiusSelect) {
+      radiusSelect.disabled = !isActive;
+    }
+  }
+
+  showLocationError(message) {
+    const status = document.getElementById('nearMeStatus');
+    if (status) {
+      status.textContent = message;
+      status.hidden = false;
+    }
+  }
+
+  setAreaFilterActive(isActive) {
+    this._toggleElement('resetAreaBtn', isActive);
+    if (isActive) {
+      this._toggleElement('searchAreaBtn', false);
+    }
+  }
+
+  // Batas peta dalam bentuk data biasa agar presenter tidak bergantung pada Leaflet
+  getVisibleBounds() {
+    const bounds = this._map.getBounds();
+    return {
+      south: bounds.getSouth(),
+      west: bounds.getWest(),
+      north: bounds.getNorth(),
+      east: bounds.getEast()
+    };
+  }
+
+  _notifyViewportChanged() {
+    if (this._presenter && this._map) {
+      this._presenter.onViewportChanged(this.getVisibleBounds());
+    }
+  }
+
+  _toggleElement(id, visible) {
+    const element = document.getElementById(id);
+    if (element) {
+      element.hidden = !visible;
+    }
+  }
+
+  _clearMarkers() {
+    if (this._clusterGroup) {
+      this._clusterGroup.clearLayers();
+    }
     this._markers = [];
+    this._markersById.clear();
   }
-  
+
   showError(message) {
     console.error('Map error:', message);
-    
+
     const mapContainer = document.getElementById('storyMap');
     if (mapContainer) {
       mapContainer.innerHTML = `
         <div class="error-container">
-          <p>Error: ${message}</p>
+          <p>Error: ${window.SafeHtml.escape(message)}</p>
           <button id="retryMapBtn" class="btn btn-primary">Coba Lagi</button>
         </div>
       `;
-      
+
       const retryButton = document.getElementById('retryMapBtn');
       if (retryButton && this._presenter) {
         retryButton.addEventListener('click', () => {
@@ -105,14 +451,185 @@ class MapView {
       }
     }
   }
-  
+
   destroy() {
     // Clean up map resources
     if (this._map) {
       this._map.remove();
       this._map = null;
     }
+    this._clusterGroup = null;
+    this._userLocationLayer = null;
+    this._radiusCircle = null;
+    this._markersById.clear();
+  }
+
+  _addStyles() {
+    if (document.getElementById('mapViewStyles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'mapViewStyles';
+    style.textContent = `
+      .map-layout {
+        display: grid;
+        grid-template-columns: minmax(0, 1fr) 300px;
+        gap: 1rem;
+      }
+
+      .map-canvas {
+        position: relative;
+      }
+
+      .map-search-area {
+        position: absolute;
+        top: 12px;
+        left: 50%;
+        transform: translateX(-50%);
+        z-index: 500;
+        box-shadow: 0 2px 6px rgba(0, 0, 0, 0.25);
+      }
+
+      .map-near-me {
+        position: absolute;
+        top: 12px;
+        right: 12px;
+        z-index: 500;
+        display: flex;
+        gap: 0.4rem;
+      }
+
+      .map-near-me-btn,
+      .map-near-me select {
+        border: none;
+        border-radius: 6px;
+        padding: 0.45rem 0.7rem;
+        background: white;
+        color: #2d3748;
+        font: inherit;
+        font-size: 0.85rem;
+        box-shadow: 0 2px 6px rgba(0, 0, 0, 0.25);
+        cursor: pointer;
+      }
+
+      .map-near-me-btn.active {
+        background: #3a86ff;
+        color: white;
+      }
+
+      .map-near-me-btn:disabled,
+      .map-near-me select:disabled {
+        cursor: default;
+        opacity: 0.7;
+      }
+
+      .map-near-me-status {
+        position: absolute;
+        top: 56px;
+        right: 12px;
+        z-index: 500;
+        max-width: 260px;
+        margin: 0;
+        padding: 0.5rem 0.75rem;
+        border-radius: 6px;
+        background: #fff5f5;
+        color: #c53030;
+        font-size: 0.85rem;
+        box-shadow: 0 2px 6px rgba(0, 0, 0, 0.15);
+      }
+
+      .map-sidebar {
+        display: flex;
+        flex-direction: column;
+        height: 500px;
+        background: white;
+        border-radius: 10px;
+        box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        overflow: hidden;
+      }
+
+      .map-sidebar-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 0.5rem;
+        padding: 0.75rem 1rem;
+        border-bottom: 1px solid #e2e8f0;
+        font-size: 0.9rem;
+        color: #4a5568;
+      }
+
+      .map-sidebar-header p {
+        margin: 0;
+      }
+
+      .map-reset-area {
+        font-size: 0.8rem;
+        padding: 0.25rem 0.5rem;
+        white-space: nowrap;
+      }
+
+      .map-story-list {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+        overflow-y: auto;
+        flex: 1;
+      }
+
+      .map-story-item {
+        display: flex;
+        flex-direction: column;
+        gap: 0.25rem;
+        width: 100%;
+        padding: 0.75rem 1rem;
+        border: none;
+        border-bottom: 1px solid #edf2f7;
+        background: none;
+        text-align: left;
+        cursor: pointer;
+        font: inherit;
+      }
+
+      .map-story-item:hover,
+      .map-story-item:focus {
+        background: #ebf8ff;
+      }
+
+      .map-story-item span {
+        color: #718096;
+        font-size: 0.85rem;
+        display: -webkit-box;
+        -webkit-line-clamp: 2;
+        -webkit-box-orient: vertical;
+        overflow: hidden;
+      }
+
+      .map-story-distance {
+        color: #3a86ff;
+        font-size: 0.8rem;
+      }
+
+      .map-story-empty {
+        padding: 1rem;
+        color: #a0aec0;
+      }
+
+      .map-layout [hidden] {
+        display: none;
+      }
+
+      @media (max-width: 768px) {
+        .map-layout {
+          grid-template-columns: 1fr;
+        }
+
+        .map-sidebar {
+          height: 320px;
+        }
+      }
+    `;
+    document.head.appendChild(style);
   }
 }
 window.MapView = MapView;
-console.log('MapView exported to window');
\ No newline at end of file
+console.log('MapView exported to window');
@@ -0,0 +1,584 @@
+// src/scripts/view/pages/outbox-view.js
+// Outbox View - daftar cerita offline yang menunggu diunggah
+
+class OutboxView {
+  constructor() {
+    this.container = document.querySelector('#mainContent');
+    this.presenter = null;
+    this.stories = [];
+    this.objectUrls = [];
+
+    // Story whose edit form is open; reloads wait until it closes
+    this.editingId = null;
+    this.reloadPending = false;
+    this.reloadTimer = null;
+  }
+
+  setPresenter(presenter) {
+    this.presenter = presenter;
+  }
+
+  render() {
+    console.log('OutboxView render called');
+    document.title = 'Kotak Keluar - Mystory';
+
+    this.container.innerHTML = `
+      <section class="outbox-page">
+        <div class="container">
+          <header class="page-header">
+            <h1><i class="fas fa-paper-plane"></i> Kotak Keluar</h1>
+            <p>Cerita yang disimpan saat offline dan menunggu untuk diunggah</p>
+          </header>
+
+          <div class="outbox-content">
+            <div id="outboxContainer" class="outbox-list">
+              <div class="loading-container" id="loadingIndicator">
+                <div class="loading-spinner"></div>
+                <p>Memuat antrean...</p>
+              </div>
+            </div>
+          </div>
+        </div>
+      </section>
+    `;
+
+    this._addOutboxStyles();
+    this._setupQueueListeners();
+  }
+
+  // Reload when the queue changes, here or elsewhere (background sync,
+  // other pages). One change often fires both events, so reloads are
+  // batched, and none runs while an edit form is open.
+  _setupQueueListeners() {
+    const onQueueChanged = () => this._scheduleReload();
+
+    window.addEventListener('outboxChanged', onQueueChanged);
+    window.addEventListener('offlineStoriesSynced', onQueueChanged);
+
+    window.addEventListener('hashchange', () => {
+      window.removeEventListener('outboxChanged', onQueueChanged);
+      window.removeEventListener('offlineStoriesSynced', onQueueChanged);
+      clearTimeout(this.reloadTimer);
+      this._revokeObjectUrls();
+    }, { once: true });
+  }
+
+  _scheduleReload() {
+    if (this.editingId !== null) {
+      this.reloadPending = true;
+      return;
+    }
+    if (this.reloadTimer) return;
+
+    this.reloadTimer = setTimeout(() => {
+      this.reloadTimer = null;
+      if (this.presenter) {
+        this.presenter.loadQueue();
+      }
+    }, 0);
+  }
+
+  renderQueue(stories) {
+    console.log('OutboxView: Rendering queue', stories.length);
+
+    this.stories = stories;
+    this.editingId = null;
+    this.reloadPending = false;
+    this._revokeObjectUrls();
+
+    const container = document.getElementById('outboxContainer');
+    if (!container) return;
+
+    if (stories.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <i class="fas fa-check-circle"></i>
+          <h3>Kotak Keluar Kosong</h3>
+          <p>Semua cerita Anda sudah terunggah.</p>
+          <a href="#/" class="btn">
+            <i class="fas fa-home"></i>
+            Kembali ke Beranda
+          </a>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = stories.map((story, index) => this._createOutboxItem(story, index)).join('');
+    this._setupItemEventListeners();
+  }
+
+  _createOutboxItem(story, index) {
+    const { escape } = window.SafeHtml;
+    const thumbnailUrl = this._createThumbnailUrl(story.photoBlob);
+    const hasLocation = story.lat !== null && story.lat !== undefined &&
+                        story.lon !== null && story.lon !== undefined;
+
+    return `
+      <article class="outbox-item" data-index="${index}">
+        <div class="outbox-thumbnail">
+          ${thumbnailUrl
+            ? `<img src="${thumbnailUrl}" alt="Foto cerita yang menunggu diunggah">`
+            : '<i class="fas fa-image" aria-hidden="true"></i>'}
+        </div>
+        <div class="outbox-details">
+          <p class="outbox-description">${escape(story.description)}</p>
+          <dl class="outbox-meta">
+            <div>
+              <dt><i class="fas fa-map-marker-alt" aria-hidden="true"></i> Lokasi</dt>
+              <dd>${hasLocation ? `${Number(story.lat).toFixed(6)}, ${Number(story.lon).toFixed(6)}` : 'Tidak ada lokasi'}</dd>
+            </div>
+            <div>
+              <dt><i class="fas fa-clock" aria-hidden="true"></i> Diantrekan</dt>
+              <dd>${this._formatDateTime(story.timestamp)}</dd>
+            </div>
+            <div>
+              <dt><i class="fas fa-redo" aria-hidden="true"></i> Percobaan</dt>
+              <dd>${story.attempts || 0}</dd>
+            </div>
+            ${story.isGuest ? `
+              <div>
+                <dt><i class="fas fa-user-secret" aria-hidden="true"></i> Pengirim</dt>
+                <dd>Tamu</dd>
+              </div>
+            ` : ''}
+          </dl>
+          ${story.lastError ? `
+            <p class="outbox-error" role="status">
+              <i class="fas fa-exclamation-triangle" aria-hidden="true"></i>
+              ${escape(story.lastError)}
+            </p>
+          ` : ''}
+
+          <form class="outbox-edit-form" hidden>
+            <label>
+              Cerita
+              <textarea name="description" required>${escape(story.description)}</textarea>
+            </label>
+            <div class="outbox-edit-location">
+              <label>
+                Latitude
+                <input type="number" name="lat" step="any" min="-90" max="90" value="${hasLocation ? escape(story.lat) : ''}">
+              </label>
+              <label>
+                Longitude
+                <input type="number" name="lon" step="any" min="-180" max="180" value="${hasLocation ? escape(story.lon) : ''}">
+              </label>
+            </div>
+            <div class="outbox-actions">
+              <button type="submit" class="btn btn-primary">
+                <i class="fas fa-save"></i> Simpan
+              </button>
+              <button type="button" class="btn btn-cancel-edit">
+                Batal
+              </button>
+            </div>
+          </form>
+
+          <div class="outbox-actions outbox-item-actions">
+            <button type="button" class="btn btn-edit">
+              <i class="fas fa-edit"></i> Ubah
+            </button>
+            <button type="button" class="btn btn-retry">
+              <i class="fas fa-upload"></i> Unggah Sekarang
+            </button>
+            <button type="button" class="btn btn-remove">
+              <i class="fas fa-trash"></i> Hapus
+            </button>
+          </div>
+        </div>
+      </article>
+    `;
+  }
+
+  _setupItemEventListeners() {
+    document.querySelectorAll('.outbox-item').forEach(item => {
+      const story = this.stories[Number(item.dataset.index)];
+      const form = item.querySelector('.outbox-edit-form');
+      const itemActions = item.querySelector('.outbox-item-actions');
+
+      item.querySelector('.btn-edit').addEventListener('click', () => {
+        // Only one form at a time, so a pending reload cannot wipe another
+        if (this.editingId !== null) {
+          this.closeEditForm(this.editingId);
+        }
+        form.hidden = false;
+        itemActions.hidden = true;
+        this.editingId = story.id;
+        form.querySelector('textarea').focus();
+      });
+
+      item.querySelector('.btn-cancel-edit').addEventListener('click', () => {
+        form.reset();
+        this.closeEditForm(story.id);
+      });
+
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (this.presenter) {
+          this.presenter.saveStory(story.id, {
+            description: form.elements.description.value,
+            lat: form.elements.lat.value.trim(),
+            lon: form.elements.lon.value.trim()
+          });
+        }
+      });
+
+      item.querySelector('.btn-retry').addEventListener('click', () => {
+        if (this.presenter) {
+          this.presenter.retryStory(story.id);
+        }
+      });
+
+      item.querySelector('.btn-remove').addEventListener('click', async () => {
+        const confirmed = await window.ConfirmDialog.show({
+          title: 'Hapus dari antrean',
+          message: 'Hapus cerita ini dari antrean? Cerita tidak akan diunggah.',
+          confirmLabel: 'Hapus',
+          danger: true
+        });
+
+        if (confirmed && this.presenter) {
+          this.presenter.deleteStory(story.id);
+        }
+      });
+    });
+  }
+
+  // Hide a story's edit form and run the reload it held back
+  closeEditForm(id) {
+    const item = this._findItem(id);
+    if (item) {
+      item.querySelector('.outbox-edit-form').hidden = true;
+      item.querySelector('.outbox-item-actions').hidden = false;
+    }
+
+    if (this.editingId === id) {
+      this.editingId = null;
+      if (this.reloadPending) {
+        this.reloadPending = false;
+        this._scheduleReload();
+      }
+    }
+  }
+
+  _findItem(id) {
+    const index = this.stories.findIndex(story => story.id === id);
+    return index === -1 ? null : document.querySelector(`.outbox-item[data-index="${index}"]`);
+  }
+
+  setItemBusy(id, isBusy) {
+    const item = this._findItem(id);
+    if (!item) return;
+
+    item.classList.toggle('is-busy', isBusy);
+    item.querySelectorAll('button').forEach(button => {
+      button.disabled = isBusy;
+    });
+
+    const retryButton = item.querySelector('.btn-retry');
+    if (retryButton) {
+      retryButton.innerHTML = isBusy
+        ? '<i class="fas fa-spinner fa-spin"></i> Mengunggah...'
+        : '<i class="fas fa-upload"></i> Unggah Sekarang';
+    }
+  }
+
+  _createThumbnailUrl(blob) {
+    if (!(blob instanceof Blob)) return null;
+
+    const url = URL.createObjectURL(blob);
+    this.objectUrls.push(url);
+    return url;
+  }
+
+  _revokeObjectUrls() {
+    this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+    this.objectUrls = [];
+  }
+
+  _formatDateTime(value) {
+    if (!value) return 'Tidak diketahui';
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return 'Tidak diketahui';
+
+    return date.toLocaleString('id-ID', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
+  showLoading() {
+    const loadingIndicator = document.getElementById('loadingIndicator');
+    if (loadingIndicator) {
+      loadingIndicator.style.display = 'flex';
+    }
+  }
+
+  showError(message) {
+    const container = document.getElementById('outboxContainer');
+    if (!container) return;
+
+    container.innerHTML = `
+      <div class="empty-state">
+        <i class="fas fa-exclamation-circle"></i>
+        <h3>Terjadi Kesalahan</h3>
+        <p>${window.SafeHtml.escape(message)}</p>
+      </div>
+    `;
+  }
+
+  showToast(message, type = 'info') {
+    const existing = document.querySelector('.outbox-toast');
+    if (existing) existing.remove();
+
+    const toast = document.createElement('div');
+    toast.className = 'outbox-toast';
+    toast.setAttribute('role', 'status');
+    toast.style.cssText = `
+      position: fixed;
+      top: 20px;
+      right: 20px;
+      padding: 12px 20px;
+      border-radius: 8px;
+      color: white;
+      z-index: 10000;
+      font-size: 14px;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+    `;
+
+    const colors = {
+      success: '#28a745',
+      error: '#dc3545',
+      info: '#17a2b8'
+    };
+    toast.style.background = colors[type] || colors.info;
+    toast.textContent = message;
+
+    document.body.appendChild(toast);
+
+    setTimeout(() => {
+      if (toast.parentNode) {
+        toast.remove();
+      }
+    }, 3000);
+  }
+
+  _addOutboxStyles() {
+    if (document.getElementById('outboxPageStyles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'outboxPageStyles';
+    style.textContent = `
+      .outbox-page {
+        min-height: 100vh;
+        background: linear-gradient(135deg, #43cea2 0%, #185a9d 100%);
+        padding: 2rem 0;
+      }
+
+      .outbox-page .page-header {
+        text-align: center;
+        color: white;
+        margin-bottom: 2rem;
+      }
+
+      .outbox-page .page-header h1 {
+        font-size: 2.5rem;
+        margin: 0 0 0.5rem 0;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        gap: 0.75rem;
+      }
+
+      .outbox-content {
+        background: rgba(255, 255, 255, 0.95);
+        border-radius: 20px;
+        padding: 2rem;
+        box-shadow: 0 8px 32px rgba(0, 0, 0, 0.1);
+        min-height: 300px;
+      }
+
+      .outbox-list {
+        display: flex;
+        flex-direction: column;
+        gap: 1.25rem;
+      }
+
+      .outbox-item {
+        display: flex;
+        gap: 1.25rem;
+        background: white;
+        border-radius: 15px;
+        padding: 1rem;
+        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.08);
+      }
+
+      .outbox-item.is-busy {
+        opacity: 0.7;
+      }
+
+      .outbox-thumbnail {
+        flex: 0 0 140px;
+        height: 140px;
+        border-radius: 10px;
+        overflow: hidden;
+        background: #f0f0f0;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        color: #bbb;
+        font-size: 2rem;
+      }
+
+      .outbox-thumbnail img {
+        width: 100%;
+        height: 100%;
+        object-fit: cover;
+      }
+
+      .outbox-details {
+        flex: 1;
+        min-width: 0;
+      }
+
+      .outbox-description {
+        margin: 0 0 0.75rem;
+        color: #333;
+        line-height: 1.5;
+        word-break: break-word;
+      }
+
+      .outbox-meta {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem 1.5rem;
+        margin: 0 0 0.75rem;
+        font-size: 0.85rem;
+      }
+
+      .outbox-meta dt {
+        color: #999;
+      }
+
+      .outbox-meta dd {
+        margin: 0;
+        color: #444;
+        font-family: monospace;
+      }
+
+      .outbox-error {
+        margin: 0 0 0.75rem;
+        padding: 0.5rem 0.75rem;
+        border-radius: 8px;
+        background: #fff3f3;
+        color: #c53030;
+        font-size: 0.85rem;
+      }
+
+      .outbox-edit-form label {
+        display: flex;
+        flex-direction: column;
+        gap: 0.25rem;
+        font-size: 0.85rem;
+        color: #555;
+        margin-bottom: 0.75rem;
+      }
+
+      .outbox-edit-form textarea {
+        min-height: 80px;
+        padding: 0.5rem;
+        border: 1px solid #ddd;
+        border-radius: 8px;
+        font: inherit;
+      }
+
+      .outbox-edit-form input {
+        padding: 0.5rem;
+        border: 1px solid #ddd;
+        border-radius: 8px;
+      }
+
+      .outbox-edit-location {
+        display: flex;
+        gap: 1rem;
+      }
+
+      .outbox-edit-location label {
+        flex: 1;
+      }
+
+      .outbox-actions {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+      }
+
+      .outbox-actions .btn {
+        padding: 0.5rem 1rem;
+        border: none;
+        border-radius: 8px;
+        cursor: pointer;
+        font-size: 0.85rem;
+        display: inline-flex;
+        align-items: center;
+        gap: 0.35rem;
+        background: #edf2f7;
+        color: #2d3748;
+      }
+
+      .outbox-actions .btn-retry,
+      .outbox-actions .btn-primary {
+        background: #185a9d;
+        color: white;
+      }
+
+      .outbox-actions .btn-remove {
+        background: #dc3545;
+        color: white;
+      }
+
+      .outbox-actions .btn:disabled {
+        cursor: not-allowed;
+        opacity: 0.7;
+      }
+
+      .outbox-page [hidden] {
+        display: none !important;
+      }
+
+      @media (max-width: 768px) {
+        .outbox-page .page-header h1 {
+          font-size: 2rem;
+          flex-direction: column;
+          gap: 0.5rem;
+        }
+
+        .outbox-content {
+          padding: 1rem;
+        }
+
+        .outbox-item {
+          flex-direction: column;
+        }
+
+        .outbox-thumbnail {
+          flex-basis: auto;
+          height: 180px;
+        }
+
+        .outbox-edit-location {
+          flex-direction: column;
+          gap: 0;
+        }
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+window.OutboxView = OutboxView;
+console.log('OutboxView exported to window');
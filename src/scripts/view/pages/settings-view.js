@@ -4,6 +4,7 @@ class SettingsView {
   constructor() {
     this.container = document.querySelector('#mainContent');
     this.presenter = null;
+    this.importPanel = null;
   }
 
   setPresenter(presenter) {
@@ -44,11 +45,17 @@ class SettingsView {
                     <i class="fas fa-download"></i>
                     Export Favorit
                   </button>
+                  <button class="btn btn-secondary" id="importFavoritesBtn" aria-controls="settingsImport">
+                    <i class="fas fa-upload"></i>
+                    Import Favorit
+                  </button>
                   <button class="btn btn-danger" id="clearDataBtn">
                     <i class="fas fa-trash"></i>
                     Hapus Semua Data
                   </button>
                 </div>
+
+                <div class="settings-import" id="settingsImport" hidden></div>
               </div>
             </div>
 
@@ -176,6 +183,14 @@ class SettingsView {
         gap: 0.5rem;
       }
 
+      .settings-import {
+        margin-top: 1.5rem;
+      }
+
+      .settings-import[hidden] {
+        display: none;
+      }
+
       .data-actions {
         display: flex;
         gap: 1rem;
@@ -298,8 +313,13 @@ class SettingsView {
 
   _setupEvents() {
     const exportBtn = document.getElementById('exportFavoritesBtn');
+    const importBtn = document.getElementById('importFavoritesBtn');
     const clearBtn = document.getElementById('clearDataBtn');
 
+    if (importBtn) {
+      importBtn.addEventListener('click', () => this._toggleImportPanel());
+    }
+
     if (exportBtn) {
       exportBtn.addEventListener('click', () => {
         if (this.presenter) {
@@ -317,6 +337,40 @@ class SettingsView {
     }
   }
 
+  // === IMPORT ===
+
+  _toggleImportPanel() {
+    const section = document.getElementById('settingsImport');
+    if (!section) return;
+
+    section.hidden = !section.hidden;
+    if (!section.hidden && !this.importPanel) {
+      this.importPanel = new window.FavoritesImportPanel({
+        container: section,
+        onFileSelected: (file) => this.presenter && this.presenter.previewImport(file),
+        onConfirm: (options) => this.presenter && this.presenter.confirmImport(options),
+        onCancel: () => this.presenter && this.presenter.cancelImport()
+      });
+      this.importPanel.render();
+    }
+  }
+
+  showImportPreview(preview) {
+    if (this.importPanel) this.importPanel.showPreview(preview);
+  }
+
+  showImportSummary(summary) {
+    if (this.importPanel) this.importPanel.showSummary(summary);
+  }
+
+  showImportError(message) {
+    if (this.importPanel) this.importPanel.showError(message);
+  }
+
+  setImportBusy(isBusy) {
+    if (this.importPanel) this.importPanel.setBusy(isBusy);
+  }
+
   _initializeFeatures() {
     // Initialize notification settings UI
     this._initNotificationSettings();
@@ -347,6 +401,10 @@ class SettingsView {
     try {
       if (window.indexedDBHelper) {
         const dbInfo = await window.indexedDBHelper.getDatabaseInfo();
+        const photoUsage = await window.indexedDBHelper.getFavoritePhotosUsage();
+        const estimate = navigator.storage && navigator.storage.estimate
+          ? await navigator.storage.estimate().catch(() => null)
+          : null;
         
         statsContainer.innerHTML = `
           <div class="stats-grid">
@@ -362,6 +420,20 @@ class SettingsView {
               <span class="stat-label">Settings:</span>
               <span class="stat-value">${dbInfo.stores.settings?.count || 0}</span>
             </div>
+            <div class="stat-item">
+              <span class="stat-label">Foto Offline:</span>
+              <span class="stat-value">
+                ${photoUsage.count} (${this._formatBytes(photoUsage.thumbnailBytes + photoUsage.fullBytes)})
+              </span>
+            </div>
+            ${estimate && estimate.quota ? `
+              <div class="stat-item">
+                <span class="stat-label">Penyimpanan:</span>
+                <span class="stat-value">
+                  ${this._formatBytes(estimate.usage || 0)} dari ${this._formatBytes(estimate.quota)}
+                </span>
+              </div>
+            ` : ''}
           </div>
         `;
       } else {
@@ -406,6 +478,13 @@ class SettingsView {
     }
   }
 
+  _formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  }
+
   showSuccess(message) {
     this._showToast(message, 'success');
   }
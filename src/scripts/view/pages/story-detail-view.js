@@ -0,0 +1,242 @@
+// src/scripts/view/pages/story-detail-view.js
+
+class StoryDetailView {
+  constructor() {
+    this.container = document.querySelector('#mainContent');
+    this.presenter = null;
+    this.map = null;
+  }
+
+  setPresenter(presenter) {
+    this.presenter = presenter;
+  }
+
+  render() {
+    console.log('StoryDetailView render called');
+    document.title = 'Detail Cerita - Mystory';
+
+    this.container.innerHTML = `
+      <section class="story-detail-page">
+        <div class="container">
+          <a href="#/" class="story-detail-back">
+            <i class="fas fa-arrow-left" aria-hidden="true"></i> Kembali ke Beranda
+          </a>
+          <div id="storyDetailContent">
+            <div class="loading-indicator" id="loadingIndicator">
+              <i class="fas fa-spinner fa-spin" aria-hidden="true"></i>
+              <span>Memuat cerita...</span>
+            </div>
+          </div>
+        </div>
+      </section>
+    `;
+
+    this._addStyles();
+  }
+
+  showLoading() {
+    const loadingIndicator = document.getElementById('loadingIndicator');
+    if (loadingIndicator) {
+      loadingIndicator.style.display = 'flex';
+    }
+  }
+
+  renderStory(story) {
+    console.log('StoryDetailView.renderStory called', story.id);
+    document.title = `${story.name} - Mystory`;
+
+    const content = document.getElementById('storyDetailContent');
+    if (!content) return;
+
+    const hasLocation = story.lat !== null && story.lat !== undefined &&
+                        story.lon !== null && story.lon !== undefined;
+    const { escape, url } = window.SafeHtml;
+
+    content.innerHTML = `
+      <article class="story-detail" data-story-id="${escape(story.id)}">
+        ${story.source && story.source !== 'network' ? `
+          <p class="story-detail-offline" role="status">
+            <i class="fas fa-wifi" aria-hidden="true"></i>
+            Menampilkan data tersimpan ${story.source === 'favorites' ? 'dari favorit' : 'offline'}
+          </p>
+        ` : ''}
+        <img class="story-detail-image" src="${url(story.photoUrl)}" alt="Cerita dari ${escape(story.name)}"
+             onerror="this.src='https://via.placeholder.com/800x500?text=No+Image'">
+        <div class="story-detail-body">
+          <h2 class="story-detail-title">${escape(story.name)}</h2>
+          <p class="story-detail-meta">
+            <i class="fas fa-calendar" aria-hidden="true"></i>
+            <time datetime="${escape(story.createdAt)}">${this._formatDate(story.createdAt)}</time>
+          </p>
+          <p class="story-detail-description">${escape(story.description || 'Tidak ada deskripsi')}</p>
+          ${hasLocation ? `
+            <div id="storyDetailMap" class="story-detail-map" aria-label="Lokasi cerita"></div>
+            <a class="btn btn-primary" href="#/peta?lat=${encodeURIComponent(story.lat)}&lon=${encodeURIComponent(story.lon)}">
+              <i class="fas fa-map-pin" aria-hidden="true"></i> Lihat di Peta Cerita
+            </a>
+          ` : `
+            <p class="story-detail-no-location">
+              <i class="fas fa-map-marker-alt" aria-hidden="true"></i> Cerita ini tidak memiliki lokasi
+            </p>
+          `}
+        </div>
+      </article>
+    `;
+
+    if (hasLocation) {
+      setTimeout(() => {
+        this._initMap(story);
+      }, 100);
+    }
+  }
+
+  _initMap(story) {
+    if (typeof L === 'undefined' || !document.getElementById('storyDetailMap')) return;
+
+    try {
+      this.map = L.map('storyDetailMap').setView([story.lat, story.lon], 13);
+
+      L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+      }).addTo(this.map);
+
+      L.marker([story.lat, story.lon]).addTo(this.map);
+    } catch (error) {
+      console.error('StoryDetailView: Error initializing map:', error);
+    }
+  }
+
+  renderError(message) {
+    console.log('StoryDetailView.renderError called with message:', message);
+
+    const content = document.getElementById('storyDetailContent');
+    if (!content) return;
+
+    content.innerHTML = `
+      <div class="error-message">
+        <p>Error: ${window.SafeHtml.escape(message || 'Cerita tidak dapat dimuat')}</p>
+        <button id="retryButton" class="btn btn-primary">Coba Lagi</button>
+      </div>
+    `;
+
+    const retryButton = document.getElementById('retryButton');
+    if (retryButton) {
+      retryButton.addEventListener('click', () => {
+        if (this.presenter) {
+          this.presenter.loadStory();
+        }
+      });
+    }
+  }
+
+  _formatDate(dateString) {
+    if (!dateString) return 'Tanggal tidak tersedia';
+
+    try {
+      const options = { day: 'numeric', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit' };
+      return new Date(dateString).toLocaleDateString('id-ID', options);
+    } catch (error) {
+      console.error('Error formatting date:', error);
+      return dateString;
+    }
+  }
+
+  destroy() {
+    if (this.map) {
+      this.map.remove();
+      this.map = null;
+    }
+  }
+
+  _addStyles() {
+    if (document.getElementById('storyDetailStyles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'storyDetailStyles';
+    style.textContent = `
+      .story-detail-page {
+        padding: 2rem 0 3rem;
+      }
+
+      .story-detail-back {
+        display: inline-flex;
+        align-items: center;
+        gap: 0.5rem;
+        margin-bottom: 1.5rem;
+        color: var(--color-primary, #4299e1);
+        text-decoration: none;
+        font-weight: 500;
+      }
+
+      .story-detail {
+        max-width: 800px;
+        margin: 0 auto;
+        background: white;
+        border-radius: 10px;
+        overflow: hidden;
+        box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+      }
+
+      .story-detail-offline {
+        margin: 0;
+        padding: 0.75rem 1.5rem;
+        background: #fffaf0;
+        color: #c05621;
+        font-size: 0.9rem;
+      }
+
+      .story-detail-image {
+        width: 100%;
+        max-height: 480px;
+        object-fit: cover;
+        display: block;
+      }
+
+      .story-detail-body {
+        padding: 1.5rem;
+      }
+
+      .story-detail-title {
+        margin: 0 0 0.5rem;
+        font-size: 1.75rem;
+      }
+
+      .story-detail-meta {
+        color: #718096;
+        font-size: 0.9rem;
+        margin-bottom: 1rem;
+      }
+
+      .story-detail-description {
+        color: #4a5568;
+        line-height: 1.7;
+        white-space: pre-line;
+        margin-bottom: 1.5rem;
+      }
+
+      .story-detail-map {
+        height: 280px;
+        border-radius: 10px;
+        margin-bottom: 1rem;
+      }
+
+      .story-detail-no-location {
+        color: #a0aec0;
+      }
+
+      @media (max-width: 768px) {
+        .story-detail-title {
+          font-size: 1.4rem;
+        }
+
+        .story-detail-map {
+          height: 220px;
+        }
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+window.StoryDetailView = StoryDetailView;
+console.log('StoryDetailView exported to window');
@@ -483,25 +483,197 @@ self.addEventListener('sync', (event) => {
   }
 });
 
+// IndexedDB yang dipakai halaman (IndexedDBHelper) untuk antrean offline
+const DB_NAME = 'PetaBicaraDB';
+const OFFLINE_STORE = 'offlineStories';
+// Sama dengan OFFLINE_UPLOAD_LEASE di indexeddb-helper.js
+const OFFLINE_UPLOAD_LEASE = 10 * 60 * 1000;
+const API_BASE_URL = 'https://story-api.dicoding.dev/v1';
+
+// Buka database tanpa versi supaya tidak bentrok dengan skema milik halaman.
+// Jika database belum ada, batalkan pembuatannya dan kembalikan null.
+function openAppDatabase() {
+  return new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME);
+
+    request.onupgradeneeded = () => {
+      request.transaction.abort();
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(OFFLINE_STORE)) {
+        db.close();
+        resolve(null);
+        return;
+      }
+      // Jangan menahan upgrade skema dari halaman; sync berikutnya membuka lagi
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    request.onerror = () => resolve(null);
+  });
+}
+
+function runStoreRequest(db, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([OFFLINE_STORE], mode);
+    const request = operation(transaction.objectStore(OFFLINE_STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Tandai cerita sedang diunggah dalam satu transaksi, supaya halaman
+// (Unggah Sekarang, tab tanpa Background Sync) tidak ikut mengirimnya.
+// Hasilnya null jika cerita sudah hilang atau sedang diunggah pihak lain.
+function claimOfflineStory(db, id) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([OFFLINE_STORE], 'readwrite');
+    const store = transaction.objectStore(OFFLINE_STORE);
+    let claimed = null;
+
+    const request = store.get(id);
+    request.onsuccess = () => {
+      const story = request.result;
+      if (!story || story.synced) return;
+      if (story.uploadStartedAt && Date.now() - story.uploadStartedAt < OFFLINE_UPLOAD_LEASE) return;
+
+      claimed = { ...story, uploadStartedAt: Date.now() };
+      store.put(claimed);
+    };
+
+    transaction.oncomplete = () => resolve(claimed);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Nama file mengikuti format foto, sama seperti ApiService._photoFileName
+function photoFileName(photoBlob) {
+  const extension = { 'image/webp': 'webp', 'image/png': 'png', 'image/avif': 'avif' }[photoBlob.type] || 'jpg';
+  return `photo.${extension}`;
+}
+
+// Susun ulang FormData multipart dari data yang tersimpan
+function buildStoryFormData(story) {
+  const formData = new FormData();
+  formData.append('description', story.description);
+  formData.append('photo', story.photoBlob, photoFileName(story.photoBlob));
+
+  if (story.lat !== null && story.lat !== undefined &&
+      story.lon !== null && story.lon !== undefined) {
+    formData.append('lat', story.lat);
+    formData.append('lon', story.lon);
+  }
+
+  return formData;
+}
+
+async function uploadOfflineStory(story) {
+  if (!story.isGuest && !story.token) {
+    return { ok: false, retryable: false, error: 'Token tidak ditemukan' };
+  }
+
+  try {
+    // Guest posts go to /stories/guest without an Authorization header
+    const response = await fetch(`${API_BASE_URL}/stories${story.isGuest ? '/guest' : ''}`, {
+      method: 'POST',
+      headers: story.isGuest ? {} : { Authorization: `Bearer ${story.token}` },
+      body: buildStoryFormData(story)
+    });
+    const responseJson = await response.json().catch(() => ({}));
+
+    if (response.ok && !responseJson.error) {
+      return { ok: true };
+    }
+
+    return {
+      ok: false,
+      // Server errors are worth another try, client errors are not
+      retryable: response.status >= 500,
+      error: responseJson.message || `HTTP ${response.status}`
+    };
+  } catch (error) {
+    return { ok: false, retryable: true, error: error.message };
+  }
+}
+
+async function notifyClients(message) {
+  const clientList = await self.clients.matchAll({
+    type: 'window',
+    includeUncontrolled: true
+  });
+  clientList.forEach(client => client.postMessage(message));
+}
+
 // Sync offline stories when connection is restored
 async function syncOfflineStories() {
   console.log('Syncing offline stories...');
+
+  const db = await openAppDatabase();
+  if (!db) {
+    console.log('No offline story store yet, nothing to sync');
+    return;
+  }
+
+  let uploaded = 0;
+  let failed = 0;
+  let hasRetryableFailure = false;
+
   try {
-    // This would interface with your IndexedDB implementation
-    // For now, just log the sync attempt
-    console.log('Sync attempt completed');
-    
-    // Show notification about successful sync
-    if (self.registration) {
-      self.registration.showNotification('Cerita Tersinkronisasi', {
-        body: 'Cerita offline Anda berhasil diunggah!',
-        icon: `${BASE_PATH}/icons/icon-192x192.png`,
-        tag: 'sync-success'
-      }).catch(error => {
-        console.error('Failed to show sync notification:', error);
-      });
+    const queue = await runStoreRequest(db, 'readonly', store => store.getAll());
+    const pending = queue.filter(story => !story.synced);
+    console.log(`Found ${pending.length} offline stories to sync`);
+
+    for (const queuedStory of pending) {
+      const story = await claimOfflineStory(db, queuedStory.id);
+      if (!story) {
+        console.log('Offline story is being uploaded elsewhere:', queuedStory.id);
+        continue;
+      }
+
+      const result = await uploadOfflineStory(story);
+
+      if (result.ok) {
+        await runStoreRequest(db, 'readwrite', store => store.delete(story.id));
+        uploaded++;
+        console.log('Offline story uploaded:', story.id);
+      } else {
+        // Keep the item so it can be retried, record why it failed and
+        // release the claim
+        const { uploadStartedAt, ...unclaimedStory } = story;
+        await runStoreRequest(db, 'readwrite', store => store.put({
+          ...unclaimedStory,
+          attempts: (story.attempts || 0) + 1,
+          lastError: result.error,
+          lastAttemptAt: new Date().toISOString()
+        }));
+        failed++;
+        hasRetryableFailure = hasRetryableFailure || result.retryable;
+        console.warn('Offline story upload failed:', story.id, result.error);
+      }
     }
   } catch (error) {
     console.error('Error during background sync:', error);
+    hasRetryableFailure = true;
+  } finally {
+    db.close();
   }
-}
\ No newline at end of file
+
+  await notifyClients({ type: 'OFFLINE_STORIES_SYNCED', uploaded, failed });
+
+  if (uploaded > 0 && self.registration) {
+    self.registration.showNotification('Cerita Tersinkronisasi', {
+      body: `${uploaded} cerita offline Anda berhasil diunggah!`,
+      icon: `${BASE_PATH}/icons/icon-192x192.png`,
+      tag: 'sync-success'
+    }).catch(error => {
+      console.error('Failed to show sync notification:', error);
+    });
+  }
+
+  // Rejecting lets the browser schedule another sync attempt
+  if (hasRetryableFailure) {
+    throw new Error(`${failed} offline stories failed to sync`);
+  }
+}
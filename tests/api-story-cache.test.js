@@ -0,0 +1,104 @@
+import { beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+
+let apiService;
+
+// Stories newest first, like the API returns them: story(5) is newer than story(4)
+function story(n) {
+  return { id: `story-${n}`, name: `Penulis ${n}`, createdAt: new Date(Date.UTC(2024, 0, n)).toISOString() };
+}
+
+function range(from, to) {
+  const stories = [];
+  for (let n = from; n >= to; n--) stories.push(story(n));
+  return stories;
+}
+
+async function cachedIds() {
+  const feed = await apiService.getCachedFeed();
+  return feed ? feed.stories.map(item => item.id) : [];
+}
+
+function ids(stories) {
+  return stories.map(item => item.id);
+}
+
+beforeAll(async () => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  await import('../src/scripts/data/api.js');
+  apiService = window.apiService;
+});
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('ApiService.cacheStories', () => {
+  it('replaces the whole cache with a full unpaged fetch', async () => {
+    await apiService.cacheStories(range(30, 21), { page: 1, size: 10 });
+    await apiService.cacheStories(range(20, 11), { page: 2, size: 10 });
+
+    await apiService.cacheStories([story(31), story(25)], { meta: { fetchedAt: 123 } });
+
+    expect(await cachedIds()).toEqual(['story-31', 'story-25']);
+    expect((await apiService.getCachedFeed()).fetchedAt).toBe(123);
+  });
+
+  it('keeps older pages on a page-1 refresh but drops stories the server no longer returns', async () => {
+    await apiService.cacheStories(range(30, 21), { page: 1, size: 10 });
+    await apiService.cacheStories(range(20, 11), { page: 2, size: 10 });
+
+    // story-28 was deleted on the server and story-31 is new
+    const refreshed = [story(31), ...range(30, 22).filter(item => item.id !== 'story-28')];
+    await apiService.cacheStories(refreshed, { page: 1, size: 10, meta: { fetchedAt: 456 } });
+
+    const expected = [...ids(refreshed), ...ids(range(21, 11))];
+    expect(await cachedIds()).toEqual(expected);
+    expect((await apiService.getCachedFeed()).fetchedAt).toBe(456);
+  });
+
+  it('empties the cache when page 1 comes back empty', async () => {
+    await apiService.cacheStories(range(30, 21), { page: 1, size: 10 });
+    await apiService.cacheStories([], { page: 1, size: 10 });
+
+    expect(await cachedIds()).toEqual([]);
+  });
+
+  it('keeps appended pages in feed order so cached pages slice correctly', async () => {
+    await apiService.cacheStories(range(30, 21), { page: 1, size: 10, meta: { fetchedAt: 1 } });
+    await apiService.cacheStories(range(20, 11), { page: 2, size: 10, meta: { fetchedAt: 2 } });
+    // A refresh after more stories were posted shifts page 2 by two stories
+    await apiService.cacheStories(range(32, 23), { page: 1, size: 10, meta: { fetchedAt: 3 } });
+    await apiService.cacheStories(range(22, 13), { page: 2, size: 10, meta: { fetchedAt: 4 } });
+
+    expect(await cachedIds()).toEqual(ids(range(32, 11)));
+    // Appending a page keeps the age of page 1
+    expect((await apiService.getCachedFeed()).fetchedAt).toBe(3);
+
+    const cachedPage = await apiService._getCachedResult(true, 2, 10);
+    expect(ids(cachedPage.stories)).toEqual(ids(range(22, 13)));
+  });
+
+  it('drops cached stories inside a later page that the server no longer returns', async () => {
+    await apiService.cacheStories(range(30, 21), { page: 1, size: 10 });
+    await apiService.cacheStories(range(20, 11), { page: 2, size: 10 });
+
+    const page2 = range(20, 10).filter(item => item.id !== 'story-15');
+    await apiService.cacheStories(page2, { page: 2, size: 10 });
+
+    expect(await cachedIds()).not.toContain('story-15');
+    expect(await cachedIds()).toContain('story-10');
+  });
+
+  it('caps the cache at STORY_CACHE_MAX_PAGES pages', async () => {
+    await apiService.cacheStories(range(120, 111), { page: 1, size: 10 });
+    for (let page = 2; page <= 12; page++) {
+      const newest = 120 - (page - 1) * 10;
+      await apiService.cacheStories(range(newest, newest - 9), { page, size: 10 });
+    }
+
+    const cached = await cachedIds();
+    expect(cached).toHaveLength(100);
+    expect(cached[0]).toBe('story-120');
+    expect(cached[99]).toBe('story-21');
+  });
+});
@@ -0,0 +1,78 @@
+import { beforeAll, describe, expect, it, vi } from 'vitest';
+
+let favoritesHelper;
+
+beforeAll(async () => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  await import('../src/scripts/utils/favorites-helper.js');
+  favoritesHelper = window.favoritesHelper;
+});
+
+describe('FavoritesHelper._matchCollections', () => {
+  const existing = [{ id: 'col-1', name: 'Kuliner' }];
+
+  it('merges a collection with the same name into the existing one', () => {
+    const { collections, newCollections, favorites } = favoritesHelper._matchCollections(
+      [{ id: 'col-lain', name: 'kuliner' }],
+      [{ id: 'story-a', collectionIds: ['col-lain'] }],
+      existing
+    );
+
+    expect(collections[0].id).toBe('col-1');
+    expect(newCollections).toEqual([]);
+    expect(favorites[0].collectionIds).toEqual(['col-1']);
+  });
+
+  it('gives a new id to a collection whose id is taken by another name', () => {
+    const { collections, newCollections, favorites } = favoritesHelper._matchCollections(
+      [{ id: 'col-1', name: 'Pantai' }],
+      [{ id: 'story-a', collectionIds: ['col-1'] }],
+      existing
+    );
+
+    expect(collections[0].id).not.toBe('col-1');
+    expect(collections[0].name).toBe('Pantai');
+    expect(newCollections).toEqual(collections);
+    expect(favorites[0].collectionIds).toEqual([collections[0].id]);
+  });
+
+  it('keeps the id of a collection that is new here', () => {
+    const { collections, newCollections } = favoritesHelper._matchCollections(
+      [{ id: 'col-2', name: 'Gunung' }],
+      [],
+      existing
+    );
+
+    expect(collections[0].id).toBe('col-2');
+    expect(newCollections).toHaveLength(1);
+  });
+});
+
+describe('FavoritesHelper change events', () => {
+  const favoritesChanged = vi.fn();
+
+  beforeAll(() => {
+    window.addEventListener('favoritesChanged', (event) => favoritesChanged(event.detail));
+    favoritesHelper.isReady = true;
+    favoritesHelper.dbHelper = {
+      getAllCollections: async () => [{ id: 'col-1', name: 'Kuliner' }],
+      saveCollection: async () => {},
+      deleteCollection: async () => {},
+      updateFavorite: async (id, changes) => ({ id, ...changes })
+    };
+  });
+
+  it('announces collection changes so other tabs reload', async () => {
+    await favoritesHelper.createCollection('Pantai');
+    expect(favoritesChanged).toHaveBeenLastCalledWith({ action: 'collections', ids: null });
+
+    favoritesChanged.mockClear();
+    await favoritesHelper.deleteCollection('col-1');
+    expect(favoritesChanged).toHaveBeenLastCalledWith({ action: 'collections', ids: null });
+  });
+
+  it('announces edited notes and tags for that story', async () => {
+    await favoritesHelper.updateFavoriteDetails('story-a', { note: 'Enak', collectionIds: ['col-1'] });
+    expect(favoritesChanged).toHaveBeenLastCalledWith({ action: 'updated', ids: ['story-a'] });
+  });
+});
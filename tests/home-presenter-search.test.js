@@ -0,0 +1,71 @@
+import { beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+
+let HomePresenter;
+let model;
+let presenter;
+
+function story(n) {
+  return { id: `story-${n}`, name: `Penulis ${n}`, description: `pantai ${n}`, createdAt: new Date(Date.UTC(2024, 0, n)).toISOString() };
+}
+
+// Every view method is a no-op spy
+function createView() {
+  return new Proxy({}, {
+    get: (target, name) => (target[name] ||= vi.fn())
+  });
+}
+
+beforeAll(async () => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  await import('../src/scripts/utils/story-search.js');
+  await import('../src/scripts/utils/geo-utils.js');
+  await import('../src/scripts/presenter/pages/home-presenter.js');
+  HomePresenter = window.HomePresenter;
+});
+
+beforeEach(() => {
+  model = {
+    getCachedFeed: vi.fn(async () => null),
+    getStoriesWithMeta: vi.fn(async () => ({ stories: [story(2), story(1)], fetchedAt: Date.now(), isOffline: false }))
+  };
+  presenter = new HomePresenter({ view: createView(), model });
+});
+
+describe('HomePresenter search source', () => {
+  it('reuses the fetched story list while the search is refined', async () => {
+    await presenter.updateSearch({ q: 'pantai' });
+    await presenter.updateSearch({ q: 'pantai 1' });
+
+    expect(model.getStoriesWithMeta).toHaveBeenCalledTimes(1);
+    expect(presenter.searchResults.map(item => item.id)).toEqual(['story-1']);
+  });
+
+  it('fetches the story list again when a search restarts after clearSearch', async () => {
+    await presenter.updateSearch({ q: 'pantai' });
+    await presenter.clearSearch();
+    expect(presenter.searchSource).toBeNull();
+
+    model.getStoriesWithMeta.mockClear();
+    await presenter.updateSearch({ q: 'pantai' });
+
+    // Once without paging for the search
+    expect(model.getStoriesWithMeta).toHaveBeenCalledWith();
+  });
+
+  it('refetches an active search when the story list goes stale', async () => {
+    await presenter.updateSearch({ q: 'pantai' });
+    model.getStoriesWithMeta.mockResolvedValueOnce({ stories: [story(3), story(2), story(1)], fetchedAt: Date.now(), isOffline: false });
+
+    await presenter.refreshSearchSource();
+
+    expect(presenter.searchSource.stories).toHaveLength(3);
+    expect(presenter.searchResults).toHaveLength(3);
+  });
+
+  it('only forgets the story list when no search is active', async () => {
+    await presenter.refreshSearchSource();
+
+    expect(model.getStoriesWithMeta).not.toHaveBeenCalled();
+    expect(presenter.searchSource).toBeNull();
+  });
+});
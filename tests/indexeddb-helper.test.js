@@ -0,0 +1,197 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+
+let IndexedDBHelper;
+
+// Promise wrappers for raw IndexedDB requests used to set up old databases
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// A PetaBicaraDB as it looked at `version`, built from the same migrations
+async function createDatabaseAt(version) {
+  const helper = new IndexedDBHelper();
+  helper.migrations = helper.migrations.filter(migration => migration.version <= version);
+  helper.dbVersion = version;
+
+  const db = await helper._openDatabase();
+  const transaction = db.transaction(['favorites', 'offlineStories'], 'readwrite');
+  transaction.objectStore('favorites').put({
+    id: 'story-1',
+    name: 'Budi',
+    createdAt: '2024-01-01T00:00:00.000Z',
+    addedToFavoritesAt: '2024-01-02T00:00:00.000Z'
+  });
+  transaction.objectStore('offlineStories').add({ description: 'Antre', timestamp: 1 });
+  await transactionDone(transaction);
+  db.close();
+}
+
+async function createLegacyStoryDB(stories) {
+  const request = indexedDB.open('StoryDB', 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore('offlineStories', { keyPath: 'id', autoIncrement: true });
+  };
+  const db = await promisify(request);
+
+  const transaction = db.transaction(['offlineStories'], 'readwrite');
+  stories.forEach(story => transaction.objectStore('offlineStories').add(story));
+  await transactionDone(transaction);
+  db.close();
+}
+
+async function databaseNames() {
+  return (await indexedDB.databases()).map(database => database.name);
+}
+
+beforeAll(async () => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  await import('../src/scripts/utils/indexeddb-helper.js');
+  IndexedDBHelper = window.indexedDBHelper.constructor;
+});
+
+beforeEach(() => {
+  globalThis.indexedDB = new IDBFactory();
+  localStorage.clear();
+});
+
+describe('IndexedDBHelper schema migrations', () => {
+  it('creates the latest schema on a fresh install', async () => {
+    const helper = new IndexedDBHelper();
+    const db = await helper.init();
+
+    expect(db.version).toBe(helper.dbVersion);
+    expect([...db.objectStoreNames].sort()).toEqual(Object.values(helper.stores).sort());
+    db.close();
+  });
+
+  it.each([1, 2, 3, 4, 5])('upgrades a v%i database to the latest version and keeps its data', async (version) => {
+    await createDatabaseAt(version);
+
+    const helper = new IndexedDBHelper();
+    const db = await helper.init();
+
+    expect(db.version).toBe(6);
+    expect([...db.objectStoreNames].sort()).toEqual(Object.values(helper.stores).sort());
+
+    const favorites = db.transaction(['favorites']).objectStore('favorites');
+    expect([...favorites.indexNames].sort())
+      .toEqual(['addedToFavoritesAt', 'collectionIds', 'createdAt', 'tags']);
+    expect([...db.transaction(['storyDrafts']).objectStore('storyDrafts').indexNames]).toEqual(['updatedAt']);
+
+    const favorite = await helper.getFavorite('story-1');
+    expect(favorite.name).toBe('Budi');
+    expect(await helper.getUnsyncedStories()).toHaveLength(1);
+    db.close();
+  });
+});
+
+describe('IndexedDBHelper legacy StoryDB migration', () => {
+  it('moves queued stories into offlineStories and deletes StoryDB', async () => {
+    localStorage.setItem('token', 'token-lama');
+    await createLegacyStoryDB([
+      { description: 'Pertama', photo: 'foto-1', lat: 0, lon: 0, timestamp: 1700000000000 },
+      { description: 'Kedua', photoBlob: 'foto-2', timestamp: 1700000001000 }
+    ]);
+
+    const helper = new IndexedDBHelper();
+    const db = await helper.init();
+
+    const stories = await helper.getUnsyncedStories();
+    expect(stories).toHaveLength(2);
+    expect(stories.map(story => story.description).sort()).toEqual(['Kedua', 'Pertama']);
+
+    const first = stories.find(story => story.description === 'Pertama');
+    expect(first).toMatchObject({ photoBlob: 'foto-1', lat: 0, lon: 0, token: 'token-lama', migratedFrom: 'StoryDB' });
+
+    expect(await helper.getSetting('legacyStoryDBMigrated')).toMatchObject({ movedCount: 2 });
+    expect(await databaseNames()).not.toContain('StoryDB');
+    db.close();
+  });
+
+  it('copies nothing and keeps StoryDB when the move fails partway', async () => {
+    await createLegacyStoryDB([
+      { description: 'Pertama', timestamp: 1 },
+      { description: 'Kedua', timestamp: 2 }
+    ]);
+
+    const failing = new IndexedDBHelper();
+    const toRecord = failing._fromLegacyStory.bind(failing);
+    let calls = 0;
+    failing._fromLegacyStory = (story) => {
+      calls++;
+      if (calls === 2) throw new Error('write failed');
+      return toRecord(story);
+    };
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const firstDb = await failing.init();
+    expect(await failing.getUnsyncedStories()).toHaveLength(0);
+    expect(await failing.getSetting('legacyStoryDBMigrated')).toBeNull();
+    expect(await databaseNames()).toContain('StoryDB');
+    firstDb.close();
+
+    // The next start moves every row exactly once
+    const helper = new IndexedDBHelper();
+    const db = await helper.init();
+    expect(await helper.getUnsyncedStories()).toHaveLength(2);
+    expect(await databaseNames()).not.toContain('StoryDB');
+    db.close();
+  });
+
+  it('does nothing when there is no StoryDB', async () => {
+    const helper = new IndexedDBHelper();
+    const db = await helper.init();
+
+    expect(await helper.getUnsyncedStories()).toEqual([]);
+    expect(await helper.getSetting('legacyStoryDBMigrated')).toMatchObject({ movedCount: 0 });
+    expect(await databaseNames()).not.toContain('StoryDB');
+    db.close();
+  });
+});
+
+describe('IndexedDBHelper.claimOfflineStory', () => {
+  it('lets only one uploader claim a queued story until the lease expires', async () => {
+    const helper = new IndexedDBHelper();
+    const db = await helper.init();
+    const id = await helper.saveOfflineStory({ description: 'Antre' });
+
+    const first = await helper.claimOfflineStory(id);
+    expect(first).toMatchObject({ id, description: 'Antre' });
+    expect(first.uploadStartedAt).toEqual(expect.any(Number));
+    expect(await helper.claimOfflineStory(id)).toBeNull();
+
+    // A claim left behind by an uploader that died is taken over later
+    await helper.updateOfflineStory({ ...first, uploadStartedAt: Date.now() - 11 * 60 * 1000 });
+    expect(await helper.claimOfflineStory(id)).not.toBeNull();
+
+    expect(await helper.claimOfflineStory(id + 1)).toBeNull();
+    db.close();
+  });
+});
+
+describe('IndexedDBHelper.saveFavoritePhoto', () => {
+  it('stores the photo only while the story is still a favorite', async () => {
+    const helper = new IndexedDBHelper();
+    const db = await helper.init();
+    await helper.addToFavorites({ id: 'story-1', name: 'Budi', photoUrl: 'https://example.com/a.jpg' });
+
+    expect(await helper.saveFavoritePhoto({ id: 'story-1', full: 'foto', thumbnail: 'kecil' })).toBe(true);
+    expect(await helper.getFavoritePhoto('story-1')).toMatchObject({ full: 'foto' });
+
+    // Unfavorited while the download was still running
+    expect(await helper.saveFavoritePhoto({ id: 'story-2', full: 'foto', thumbnail: 'kecil' })).toBe(false);
+    expect(await helper.getFavoritePhoto('story-2')).toBeNull();
+    db.close();
+  });
+});
@@ -0,0 +1,108 @@
+import { beforeAll, describe, expect, it, vi } from 'vitest';
+
+let SafeHtml;
+
+beforeAll(async () => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  await import('../src/scripts/utils/safe-html.js');
+  SafeHtml = window.SafeHtml;
+});
+
+// Parse a template the way the views do and return the container
+function render(html) {
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  return container;
+}
+
+describe('SafeHtml.escape', () => {
+  it('turns a script tag into text', () => {
+    const payload = '<script>alert(1)</script>';
+    const container = render(`<p>${SafeHtml.escape(payload)}</p>`);
+
+    expect(SafeHtml.escape(payload)).toBe('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(container.querySelector('script')).toBeNull();
+    expect(container.textContent).toBe(payload);
+  });
+
+  it('keeps markup in event handler payloads inert', () => {
+    const container = render(`<div>${SafeHtml.escape('<img src=x onerror="alert(1)">')}</div>`);
+
+    expect(container.querySelector('img')).toBeNull();
+  });
+
+  it('does not let a double quote break out of an attribute', () => {
+    const payload = '" onmouseover="alert(1)" data-x="';
+    const container = render(`<img alt="${SafeHtml.escape(payload)}">`);
+    const img = container.querySelector('img');
+
+    expect(SafeHtml.escape(payload)).not.toContain('"');
+    expect(img.getAttribute('alt')).toBe(payload);
+    expect(img.hasAttribute('onmouseover')).toBe(false);
+  });
+
+  it('does not let a single quote break out of an attribute', () => {
+    const payload = "' onfocus='alert(1)' autofocus='";
+    const container = render(`<input value='${SafeHtml.escape(payload)}'>`);
+    const input = container.querySelector('input');
+
+    expect(SafeHtml.escape(payload)).not.toContain("'");
+    expect(input.getAttribute('value')).toBe(payload);
+    expect(input.hasAttribute('onfocus')).toBe(false);
+  });
+
+  it('escapes ampersands so entities are shown literally', () => {
+    expect(SafeHtml.escape('Tom & Jerry')).toBe('Tom &amp; Jerry');
+    expect(SafeHtml.escape('&lt;b&gt;')).toBe('&amp;lt;b&amp;gt;');
+    expect(render(`<p>${SafeHtml.escape('&lt;b&gt;')}</p>`).textContent).toBe('&lt;b&gt;');
+  });
+
+  it('escapes backticks and returns an empty string for null and undefined', () => {
+    expect(SafeHtml.escape('`x`')).toBe('&#96;x&#96;');
+    expect(SafeHtml.escape(null)).toBe('');
+    expect(SafeHtml.escape(undefined)).toBe('');
+    expect(SafeHtml.escape(0)).toBe('0');
+  });
+});
+
+describe('SafeHtml.url', () => {
+  it('accepts http(s), blob:, data:image/ and app links', () => {
+    expect(SafeHtml.url('https://story-api.dicoding.dev/images/a.jpg')).toBe('https://story-api.dicoding.dev/images/a.jpg');
+    expect(SafeHtml.url('http://example.com/?a=1&b=2')).toBe('http://example.com/?a=1&amp;b=2');
+    expect(SafeHtml.url('blob:https://example.com/1234')).toBe('blob:https://example.com/1234');
+    expect(SafeHtml.url('data:image/png;base64,AAAA')).toBe('data:image/png;base64,AAAA');
+    expect(SafeHtml.url('#/stories/1')).toBe('#/stories/1');
+  });
+
+  it.each([
+    'javascript:alert(1)',
+    'JaVaScRiPt:alert(1)',
+    '  javascript:alert(1)',
+    'java\tscript:alert(1)',
+    'java\nscript:alert(1)',
+    '\u0000javascript:alert(1)',
+    '&#106;avascript:alert(1)',
+    'javascript&colon;alert(1)',
+    '&#x6A;&#x61;&#x76;&#x61;&#x73;&#x63;&#x72;&#x69;&#x70;&#x74;&#x3A;alert(1)'
+  ])('rejects javascript: URL %j', (payload) => {
+    expect(SafeHtml.url(payload)).toBe('');
+  });
+
+  it('rejects data:text/html and vbscript:', () => {
+    expect(SafeHtml.url('data:text/html,<script>alert(1)</script>')).toBe('');
+    expect(SafeHtml.url('DATA:text/html;base64,PHNjcmlwdD4=')).toBe('');
+    expect(SafeHtml.url('vbscript:msgbox(1)')).toBe('');
+    expect(SafeHtml.url('VBScript:msgbox(1)')).toBe('');
+  });
+
+  it('returns the escaped fallback for rejected URLs', () => {
+    expect(SafeHtml.url('javascript:alert(1)', '/images/placeholder.png')).toBe('/images/placeholder.png');
+    expect(SafeHtml.url(null, 'a"b')).toBe('a&quot;b');
+  });
+
+  it('never produces an href the browser would run', () => {
+    const container = render(`<a href="${SafeHtml.url(' JaVaScRiPt:alert(1)', '#/')}">x</a>`);
+
+    expect(container.querySelector('a').getAttribute('href')).toBe('#/');
+  });
+});
@@ -35,5 +35,10 @@ export default defineConfig({
     }
   },
   
-  publicDir: 'public'
+  publicDir: 'public',
+  
+  test: {
+    environment: 'jsdom',
+    include: ['tests/**/*.test.js']
+  }
 });
\ No newline at end of file